@@ -0,0 +1,190 @@
+using System;
+using System.Collections.Generic;
+using System.Threading;
+using System.Threading.Tasks;
+using DatevConnector.Core;
+using DatevConnector.Datev.COMs;
+using DatevConnector.Tapi;
+using DatevConnector.Webclient;
+using Xunit;
+
+namespace DatevConnector.Tests.Core
+{
+    /// <summary>
+    /// DATEV Dial / Drop gestures that become WebClient call commands
+    /// (DatevCommandHandler.TryDialDuringCall, Webclient.DialDuringCall).
+    /// </summary>
+    public class DatevCommandHandlerTests : IDisposable
+    {
+        private readonly CallTracker _callTracker = new CallTracker();
+        private readonly FakeWebclient _webclient = new FakeWebclient();
+        private DialDuringCallMode _mode = DialDuringCallMode.Call;
+
+        private DatevCommandHandler CreateHandler() =>
+            new DatevCommandHandler(_callTracker, () => _webclient, () => _mode);
+
+        private CallRecord AddCall(string id, TapiCallState state, bool incoming = true, string number = "+49891234567")
+        {
+            var record = _callTracker.AddCall(id, incoming);
+            record.TapiState = state;
+            record.RemoteNumber = number;
+            return record;
+        }
+
+        private static FakeCtiData Dial(string number) => new FakeCtiData { CalledNumber = number, CallID = "D1" };
+
+        public void Dispose() => _callTracker.Dispose();
+
+        [Fact]
+        public async Task Dial_WithoutCall_MakesCall()
+        {
+            await CreateHandler().HandleDialCommandAsync(Dial("0891111"));
+
+            Assert.Equal(new[] { "MAKE 0891111" }, _webclient.Sent);
+        }
+
+        [Fact]
+        public async Task Dial_DuringConnectedCall_HoldsItThenDials()
+        {
+            AddCall("7", TapiCallState.Connected);
+
+            await CreateHandler().HandleDialCommandAsync(Dial("0891111"));
+
+            Assert.Equal(new[] { "HOLD 7", "MAKE 0891111" }, _webclient.Sent);
+        }
+
+        [Fact]
+        public async Task Dial_HeldCallsNumber_ResumesIt()
+        {
+            AddCall("7", TapiCallState.OnHold, number: "+49891234567");
+
+            await CreateHandler().HandleDialCommandAsync(Dial("+49 89 1234567"));
+
+            Assert.Equal(new[] { "RESUME 7" }, _webclient.Sent);
+        }
+
+        [Fact]
+        public async Task Dial_Transfer_TransfersConnectedCall()
+        {
+            _mode = DialDuringCallMode.Transfer;
+            AddCall("7", TapiCallState.Connected);
+
+            await CreateHandler().HandleDialCommandAsync(Dial("0891111"));
+
+            Assert.Equal(new[] { "TRANSFER 7 0891111" }, _webclient.Sent);
+        }
+
+        [Fact]
+        public async Task Dial_Transfer_DivertsRingingCall()
+        {
+            _mode = DialDuringCallMode.Transfer;
+            AddCall("8", TapiCallState.Ringing);
+
+            await CreateHandler().HandleDialCommandAsync(Dial("0891111,,12#"));
+
+            Assert.Equal(new[] { "DIVERT 8 0891111" }, _webclient.Sent);
+        }
+
+        [Fact]
+        public async Task Dial_Attended_StartsConsultation_DropCompletesTransfer()
+        {
+            _mode = DialDuringCallMode.Attended;
+            var caller = AddCall("7", TapiCallState.Connected);
+            caller.CallData = new CallData { CallID = "C7" };
+            var handler = CreateHandler();
+
+            await handler.HandleDialCommandAsync(Dial("0891111"));
+            caller.TapiState = TapiCallState.OnHold;
+            await handler.HandleDropCommandAsync(new FakeCtiData { CallID = "C7" });
+
+            Assert.Equal(new[] { "ATTENDED 7 0891111", "COMPLETE 7" }, _webclient.Sent);
+            Assert.False(caller.TransferPending);
+        }
+
+        [Fact]
+        public async Task Dial_Transfer_WithoutExtensionSupport_FallsBackToDial()
+        {
+            _mode = DialDuringCallMode.Transfer;
+            _webclient.Unsupported.Add(Protocol.CmdTransfer);
+            AddCall("7", TapiCallState.Connected);
+
+            await CreateHandler().HandleDialCommandAsync(Dial("0891111"));
+
+            Assert.Equal(new[] { "MAKE 0891111" }, _webclient.Sent);
+        }
+
+        [Fact]
+        public async Task Dial_Transfer_CommandNotSent_FallsBackToDial()
+        {
+            _mode = DialDuringCallMode.Transfer;
+            _webclient.Failing.Add("TRANSFER");
+            AddCall("7", TapiCallState.Connected);
+
+            await CreateHandler().HandleDialCommandAsync(Dial("0891111"));
+
+            Assert.Equal(new[] { "TRANSFER 7 0891111", "MAKE 0891111" }, _webclient.Sent);
+        }
+
+        private sealed class FakeCtiData : IDatevCtiData
+        {
+            public string CallID { get; set; }
+            public string SyncID { get; set; }
+            public ENUM_DIRECTION Direction { get; set; }
+            public DateTime Begin { get; set; }
+            public DateTime End { get; set; }
+            public ENUM_CALLSTATE CallState { get; set; }
+            public string Adressatenname { get; set; }
+            public string AdressatenId { get; set; }
+            public string DataSource { get; set; }
+            public string CalledNumber { get; set; }
+            public string Note { get; set; }
+        }
+
+        // Records the commands in the order they were sent
+        private sealed class FakeWebclient : IConnectionMethod, ICallControl
+        {
+            public readonly List<string> Sent = new List<string>();
+            public readonly HashSet<string> Unsupported = new HashSet<string>();
+            public readonly HashSet<string> Failing = new HashSet<string>();
+
+            // Commands whose first word is in Failing return -1 (not sent)
+            private int Record(string command)
+            {
+                Sent.Add(command);
+                return Failing.Contains(command.Split(' ')[0]) ? -1 : 1;
+            }
+
+            public bool SupportsCommand(string command) => !Unsupported.Contains(command);
+            public int RejectCall(int callId) => Record($"REJECT {callId}");
+            public int DivertCall(int callId, string destination) => Record($"DIVERT {callId} {destination}");
+            public int HoldCall(int callId) => Record($"HOLD {callId}");
+            public int ResumeCall(int callId) => Record($"RESUME {callId}");
+            public int TransferCall(int callId, string destination) => Record($"TRANSFER {callId} {destination}");
+            public int AttendedTransfer(int callId, string destination) => Record($"ATTENDED {callId} {destination}");
+            public int CompleteTransfer(int callId) => Record($"COMPLETE {callId}");
+            public int SendDtmf(string digits, int? callId = null) => Record($"DTMF {digits}");
+            public int MakeCall(string destination) => Record($"MAKE {destination}");
+            public int DropCall(IntPtr hCall) => Record($"DROP {hCall}");
+
+            public event Action<TapiCallEvent> CallStateChanged { add { } remove { } }
+            public event Action<TapiLineInfo> LineConnected { add { } remove { } }
+            public event Action<TapiLineInfo> LineDisconnected { add { } remove { } }
+            public event Action Connected { add { } remove { } }
+            public event Action Disconnected { add { } remove { } }
+
+            public bool IsMonitoring => true;
+            public int ConnectedLineCount => 1;
+            public string LineName => "WebClient";
+            public string Extension => "101";
+            public IReadOnlyList<TapiLineInfo> Lines => Array.Empty<TapiLineInfo>();
+
+            public Task StartAsync(CancellationToken cancellationToken) => Task.CompletedTask;
+            public Task StartAsync(CancellationToken cancellationToken, Action<string> progressText) => Task.CompletedTask;
+            public TapiCallEvent FindCallById(int callId) => null;
+            public bool ReconnectLine(string extension, Action<string> progressText = null) => true;
+            public void ReconnectAllLines(Action<string> progressText = null) { }
+            public bool TestLine(string extension, Action<string> progressText = null, int maxRetries = 3) => true;
+            public void Dispose() { }
+        }
+    }
+}
@@ -11,6 +11,7 @@ using DatevConnector.Datev.PluginData;
 using DatevConnector.Interop;
 using DatevConnector.Tapi;
 using DatevConnector.UI;
+using DatevConnector.Webclient;
 
 namespace DatevConnector.Core
 {
@@ -26,6 +27,10 @@ namespace DatevConnector.Core
         private readonly CallTracker _callTracker;
         private readonly NotificationManager _notificationManager;
         private readonly CallHistoryStore _callHistory;
+        private readonly Func<IConnectionMethod> _getProvider;
+
+        // Conference id -> TAPI call ids of its participants (WebClient CONFERENCE)
+        private readonly Dictionary<string, List<string>> _conferences = new Dictionary<string, List<string>>();
         private volatile string _extension;
 
         // Settings (read from AppConfig)
@@ -46,11 +51,13 @@ namespace DatevConnector.Core
             NotificationManager notificationManager,
             CallHistoryStore callHistory,
             string extension,
-            int minCallerIdLength)
+            int minCallerIdLength,
+            Func<IConnectionMethod> getProvider)
         {
             _callTracker = callTracker;
             _notificationManager = notificationManager;
             _callHistory = callHistory;
+            _getProvider = getProvider;
             _extension = extension;
             _minCallerIdLength = minCallerIdLength;
 
@@ -78,6 +85,56 @@ namespace DatevConnector.Core
             };
         }
 
+        /// <summary>
+        /// Copy the queue, dialled number (DID), transfer / forward source and end
+        /// reason the WebClient extension reports into the DATEV note. TAPI and pipe
+        /// mode report none of them and keep the note empty.
+        /// </summary>
+        private static void ApplyCallDetails(CallRecord record, CallData callData, TapiCallEvent callEvent)
+        {
+            var parts = new List<string>();
+            string queue = NameAndNumber(callEvent.QueueName, callEvent.QueueNumber);
+            if (queue != null)
+                parts.Add("Warteschlange: " + queue);
+            if (!string.IsNullOrEmpty(callEvent.Did))
+                parts.Add("Gewählte Nummer: " + callEvent.Did);
+            string source = NameAndNumber(callEvent.SourceName, callEvent.SourceNumber);
+            if (source != null)
+            {
+                bool transfer = string.Equals(callEvent.SourceType, Protocol.SourceTransfer, StringComparison.OrdinalIgnoreCase);
+                parts.Add((transfer ? "Vermittelt von: " : "Weitergeleitet von: ") + source);
+            }
+            string endReason = DescribeEndReason(callEvent.EndReason, callEvent.TransferType);
+            if (endReason != null)
+                parts.Add("Ende: " + endReason);
+
+            if (parts.Count > 0)
+                record.DetailsNote = string.Join("; ", parts);
+            ComposeNote(record, callData);
+        }
+
+        /// <summary>
+        /// CallData.Note from the call details and the conference parties. Leaves
+        /// a note from elsewhere (e.g. a DATEV-initiated call) alone while both are empty.
+        /// </summary>
+        private static void ComposeNote(CallRecord record, CallData callData, bool clearIfEmpty = false)
+        {
+            var parts = new List<string>();
+            if (!string.IsNullOrEmpty(record.DetailsNote)) parts.Add(record.DetailsNote);
+            if (!string.IsNullOrEmpty(record.ConferenceNote)) parts.Add(record.ConferenceNote);
+
+            if (parts.Count > 0)
+                callData.Note = string.Join("; ", parts);
+            else if (clearIfEmpty)
+                callData.Note = string.Empty;
+        }
+
+        private static string NameAndNumber(string name, string number)
+        {
+            if (string.IsNullOrEmpty(name)) return string.IsNullOrEmpty(number) ? null : number;
+            return string.IsNullOrEmpty(number) ? name : string.Format("{0} ({1})", name, number);
+        }
+
         /// <summary>
         /// Main entry point — dispatches TAPI call state events.
         /// </summary>
@@ -99,6 +156,9 @@ namespace DatevConnector.Core
                     case TapiInterop.LINECALLSTATE_CONNECTED:
                         HandleConnected(callId, callEvent);
                         break;
+                    case TapiInterop.LINECALLSTATE_ONHOLD:
+                        HandleOnHold(callId, callEvent);
+                        break;
                     case TapiInterop.LINECALLSTATE_DISCONNECTED:
                         HandleDisconnected(callId, callEvent);
                         break;
@@ -161,11 +221,13 @@ namespace DatevConnector.Core
 
             var callData = CreateCallData(record, ENUM_DIRECTION.eDirIncoming);
             var contact = LookupAndFillContact(record, callData, callerNumber);
+            ApplyCallDetails(record, callData, callEvent);
 
             if (_enableCallerPopup && !_isMuted)
             {
+                GetIncomingCallActions(callEvent.CallId, out var onAnswer, out var onReject);
                 CallerPopupForm.ShowPopup(callerNumber, callEvent.CallerName, contact,
-                    isIncoming: true, _callerPopupMode, _extension);
+                    isIncoming: true, _callerPopupMode, _extension, onAnswer, onReject);
             }
 
             LogManager.Log("Connector: Eingehender Anruf {0} von {1} (Kontakt={2})",
@@ -197,6 +259,7 @@ namespace DatevConnector.Core
                 record.RemoteNumber = calledNumber;
                 record.CallData.Begin = record.StartTime;
                 record.CallData.End = record.StartTime;
+                ApplyCallDetails(record, record.CallData, callEvent);
 
                 LogManager.Log("Connector: DATEV-initiierter ausgehender Anruf {0} an {1} (SyncID={2}, Kontakt={3})",
                     callId, LogManager.Mask(calledNumber), record.CallData.SyncID, LogManager.MaskName(record.CallData.Adressatenname));
@@ -211,6 +274,7 @@ namespace DatevConnector.Core
 
             var callData = CreateCallData(record, ENUM_DIRECTION.eDirOutgoing);
             var contact = LookupAndFillContact(record, callData, calledNumber);
+            ApplyCallDetails(record, callData, callEvent);
 
             if (_enableCallerPopupOutbound && !_isMuted)
             {
@@ -237,9 +301,18 @@ namespace DatevConnector.Core
 
                 var callData = CreateCallData(record, isIncoming ? ENUM_DIRECTION.eDirIncoming : ENUM_DIRECTION.eDirOutgoing);
                 LookupAndFillContact(record, callData, remoteNumber);
+                ApplyCallDetails(record, callData, callEvent);
                 _notificationManager.NewCall(callData);
             }
 
+            // Resumed from hold: DATEV never saw the hold, the call simply stays connected
+            if (record.TapiState == TapiCallState.OnHold)
+            {
+                if (CallStateMachine.TryTransition(record, TapiCallState.Connected))
+                    LogManager.Log("Connector: Anruf {0} fortgesetzt", callId);
+                return;
+            }
+
             if (!CallStateMachine.TryTransition(record, TapiCallState.Connected))
                 return;
 
@@ -254,6 +327,7 @@ namespace DatevConnector.Core
                 record.CallData.CallState = ENUM_CALLSTATE.eCSConnected;
                 record.CallData.Begin = record.ConnectedTime.Value;
                 record.CallData.End = record.ConnectedTime.Value;
+                ApplyCallDetails(record, record.CallData, callEvent);
 
                 LogManager.Log("Connector: Call {0}", callId);
                 _notificationManager.CallStateChanged(record.CallData);
@@ -266,6 +340,26 @@ namespace DatevConnector.Core
             }
         }
 
+        /// <summary>
+        /// DATEV has no hold state (ENUM_CALLSTATE), so a held call stays eCSConnected
+        /// there; the record tracks the hold so a later resume is not a new connect.
+        /// </summary>
+        private void HandleOnHold(string callId, TapiCallEvent callEvent)
+        {
+            var record = _callTracker.GetCall(callId);
+            if (record == null)
+            {
+                // First seen while held (e.g. after a reconnect): track it as connected first
+                HandleConnected(callId, callEvent);
+                record = _callTracker.GetCall(callId);
+                if (record == null)
+                    return;
+            }
+
+            if (CallStateMachine.TryTransition(record, TapiCallState.OnHold))
+                LogManager.Log("Connector: Anruf {0} gehalten", callId);
+        }
+
         private void ScheduleContactReshow(CallRecord record, int reshowDelaySeconds)
         {
             string remoteNumber = record.RemoteNumber;
@@ -295,7 +389,8 @@ namespace DatevConnector.Core
                 await Task.Delay(delayMs, ct);
 
                 var currentRecord = _callTracker.GetCall(callId);
-                if (currentRecord == null || currentRecord.TapiState != TapiCallState.Connected)
+                if (currentRecord == null ||
+                    (currentRecord.TapiState != TapiCallState.Connected && currentRecord.TapiState != TapiCallState.OnHold))
                     return;
 
                 ContactSelectionForm.SelectContact(
@@ -359,6 +454,10 @@ namespace DatevConnector.Core
             {
                 record.CallData.CallState = record.State;
                 record.CallData.End = record.EndTime.Value;
+                // Talk time as the PBX measured it, when the extension reports one
+                if (record.WasConnected && callEvent.TalkSeconds > 0)
+                    record.CallData.End = record.CallData.Begin.AddSeconds(callEvent.TalkSeconds);
+                ApplyCallDetails(record, record.CallData, callEvent);
 
                 LogManager.Log("Connector: Call {0} (wasConnected={1}, duration={2})",
                     callId, record.WasConnected, durationStr);
@@ -426,6 +525,126 @@ namespace DatevConnector.Core
                 });
         }
 
+        /// <summary>
+        /// Answer / Reject for the caller popup. Only the WebClient extension can act
+        /// on a ringing call; TAPI and pipe mode keep the plain popup.
+        /// </summary>
+        private void GetIncomingCallActions(int callId, out Action onAnswer, out Action onReject)
+        {
+            onAnswer = null;
+            onReject = null;
+            if (!(_getProvider() is WebclientConnectionMethod webclient))
+                return;
+
+            // Popup buttons run on the UI thread; keep the socket write off it.
+            if (webclient.SupportsCommand(Protocol.CmdAnswer))
+                onAnswer = () => Task.Run(() => webclient.AnswerCall(callId));
+            if (webclient.SupportsCommand(Protocol.CmdReject))
+                onReject = () => Task.Run(() => webclient.RejectCall(callId));
+        }
+
+        /// <summary>
+        /// "Open contact" from the browser extension's call notification: assign the
+        /// chosen DATEV contact to the call (CallAdressatChanged, so DATEV shows it)
+        /// and show the caller popup for it. Without an active call only the popup.
+        /// </summary>
+        /// <summary>
+        /// A conference of the WebClient extension started, changed or ended. DATEV has
+        /// no conference call state, so every participant's call gets its other parties
+        /// in the note ("Konferenz mit: ..."), sent as CallStateChanged; calls leaving
+        /// the conference get the note back without them.
+        /// </summary>
+        public void UpdateConference(string conferenceId, string state, List<ExtensionMessage> participants)
+        {
+            if (string.IsNullOrEmpty(conferenceId)) return;
+            bool ended = string.Equals(state, Protocol.ConferenceEnded, StringComparison.OrdinalIgnoreCase)
+                || participants.Count == 0;
+
+            List<string> previous;
+            var current = new List<string>();
+            lock (_conferences)
+            {
+                _conferences.TryGetValue(conferenceId, out previous);
+                if (!ended)
+                {
+                    foreach (var participant in participants)
+                        if (participant.CallId != null) current.Add(participant.CallId);
+                    _conferences[conferenceId] = current;
+                }
+                else
+                {
+                    _conferences.Remove(conferenceId);
+                }
+            }
+
+            var affected = new HashSet<string>(current);
+            if (previous != null) affected.UnionWith(previous);
+
+            foreach (string callId in affected)
+            {
+                var record = _callTracker.GetCall(callId);
+                if (record?.CallData == null ||
+                    (record.TapiState != TapiCallState.Connected && record.TapiState != TapiCallState.OnHold))
+                    continue;
+
+                string note = null;
+                if (current.Contains(callId))
+                {
+                    var others = new List<string>();
+                    foreach (var participant in participants)
+                    {
+                        if (participant.CallId == callId) continue;
+                        string party = NameAndNumber(participant.RemoteName, participant.RemoteNumber);
+                        if (party != null) others.Add(party);
+                    }
+                    note = "Konferenz mit: " + string.Join(", ", others);
+                }
+                if (note == record.ConferenceNote) continue;
+
+                // Keep a note from elsewhere (DATEV-initiated call) as the base
+                if (string.IsNullOrEmpty(record.DetailsNote) && string.IsNullOrEmpty(record.ConferenceNote))
+                    record.DetailsNote = record.CallData.Note;
+                record.ConferenceNote = note;
+                ComposeNote(record, record.CallData, clearIfEmpty: true);
+                LogManager.Log("Connector: Anruf {0} Konferenz {1} {2}", callId, conferenceId, state ?? "-");
+                _notificationManager.CallStateChanged(record.CallData);
+            }
+        }
+
+        public void OpenContact(string callId, string number, string contactId)
+        {
+            var record = callId != null ? _callTracker.GetCall(callId) : null;
+            string remoteNumber = record?.RemoteNumber ?? number;
+            if (string.IsNullOrEmpty(remoteNumber))
+                return;
+
+            var contacts = DatevContactRepository.GetContactByNumber(remoteNumber);
+            var contact = contacts.Find(c => c.DatevContact?.Id == contactId);
+            if (contact == null && contacts.Count > 0)
+                contact = ContactRoutingCache.ApplyRouting(remoteNumber, contacts)[0];
+            if (contact == null)
+            {
+                LogManager.Log("Connector: Kontakt öffnen - kein DATEV-Kontakt für {0}", LogManager.Mask(remoteNumber));
+                return;
+            }
+
+            if (record?.CallData != null && record.CallData.AdressatenId != contact.DatevContact.Id)
+            {
+                string existingSyncId = record.CallData.SyncID;
+                CallDataManager.Fill(record.CallData, remoteNumber, contact);
+                if (!string.IsNullOrEmpty(existingSyncId))
+                    record.CallData.SyncID = existingSyncId;
+
+                LogManager.Log("Kontaktauswahl: Kontakt geändert für Anruf {0} - neu={1} (SyncID={2})",
+                    callId, LogManager.MaskName(record.CallData.Adressatenname), record.CallData.SyncID);
+                _notificationManager.CallAdressatChanged(record.CallData);
+                ContactRoutingCache.RecordUsage(remoteNumber, contact.DatevContact.Id);
+            }
+
+            CallerPopupForm.ShowPopup(remoteNumber, null, contact, record?.IsIncoming ?? true,
+                CallerPopupMode.Form, _extension);
+        }
+
         public void ApplySettings()
         {
             _enableJournaling = AppConfig.GetBool(ConfigKeys.EnableJournaling, true);
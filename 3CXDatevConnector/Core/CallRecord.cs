@@ -28,6 +28,15 @@ namespace DatevConnector.Core
 
         public CallData CallData { get; set; }
 
+        // Parts of CallData.Note: call details from the provider, conference parties
+        public string DetailsNote { get; set; }
+
+        public string ConferenceNote { get; set; }
+
+        // Consultation started from this call (attended transfer from DATEV);
+        // a DATEV Drop on it completes the transfer
+        public bool TransferPending { get; set; }
+
         public CallRecord(string tapiCallId, bool isIncoming)
         {
             TapiCallId = tapiCallId;
@@ -27,8 +27,14 @@ namespace DatevConnector.Core
                         || to == TapiCallState.Disconnected;
 
                 case TapiCallState.Connected:
-                    // Can only go to Disconnected
-                    return to == TapiCallState.Disconnected;
+                    // Can go on hold or to Disconnected
+                    return to == TapiCallState.OnHold
+                        || to == TapiCallState.Disconnected;
+
+                case TapiCallState.OnHold:
+                    // Can be resumed or end while held
+                    return to == TapiCallState.Connected
+                        || to == TapiCallState.Disconnected;
 
                 case TapiCallState.Disconnected:
                     // Terminal state - no transitions allowed
@@ -225,6 +225,14 @@ namespace DatevConnector.Core
 
         public int Count => _calls.Count;
 
+        /// <summary>
+        /// Snapshot of the tracked (non-pending) calls
+        /// </summary>
+        public IReadOnlyList<CallRecord> GetActiveCalls()
+        {
+            return _calls.Values.ToList();
+        }
+
         private void CleanupStaleCalls(object state)
         {
             try
@@ -78,6 +78,9 @@ namespace DatevConnector.Core.Config
             { ConfigKeys.WebclientEnabled, "true" },
             { ConfigKeys.WebclientWebSocketPort, "19800" },
             { ConfigKeys.WebclientWebSocketPortRangeSize, "100" },
+            { ConfigKeys.WebclientColleagueExtensions, "" },
+            { ConfigKeys.WebclientDialDomain, "" },
+            { ConfigKeys.WebclientDialDuringCall, "Call" },
         };
 
         // Section grouping for INI file layout
@@ -136,6 +139,9 @@ namespace DatevConnector.Core.Config
             { ConfigKeys.WebclientEnabled, SectionConnection },
             { ConfigKeys.WebclientWebSocketPort, SectionConnection },
             { ConfigKeys.WebclientWebSocketPortRangeSize, SectionConnection },
+            { ConfigKeys.WebclientColleagueExtensions, SectionConnection },
+            { ConfigKeys.WebclientDialDomain, SectionConnection },
+            { ConfigKeys.WebclientDialDuringCall, SectionConnection },
         };
 
         public static string FilePath => _iniPath;
@@ -356,6 +362,12 @@ namespace DatevConnector.Core.Config
                     writer.WriteLine(DefaultLine(ConfigKeys.WebclientWebSocketPort));
                     writer.WriteLine("// Number of ports to walk starting at WebclientWebSocketPort (1 = fixed single port)");
                     writer.WriteLine(DefaultLine(ConfigKeys.WebclientWebSocketPortRangeSize));
+                    writer.WriteLine("// Colleague extensions shown in the tray menu (WebClient mode), e.g. 102,103");
+                    writer.WriteLine(DefaultLine(ConfigKeys.WebclientColleagueExtensions));
+                    writer.WriteLine("// 3CX system DATEV dials through when the browser is signed into several (WebClient mode), e.g. pbx.example.com; empty = the extension's default");
+                    writer.WriteLine(DefaultLine(ConfigKeys.WebclientDialDomain));
+                    writer.WriteLine("// DATEV Dial during a call (WebClient mode): Call = hold + second call, Transfer = hand the caller to the dialed number, Attended = consultation call, DATEV Drop on the held caller completes it");
+                    writer.WriteLine(DefaultLine(ConfigKeys.WebclientDialDuringCall));
                     writer.WriteLine();
 
                     writer.WriteLine("[Logging]");
@@ -81,5 +81,8 @@ namespace DatevConnector.Core
         public const string WebclientEnabled = "Webclient.Enabled";
         public const string WebclientWebSocketPort = "Webclient.WebSocketPort";
         public const string WebclientWebSocketPortRangeSize = "Webclient.WebSocketPortRangeSize";
+        public const string WebclientColleagueExtensions = "Webclient.ColleagueExtensions";
+        public const string WebclientDialDomain = "Webclient.DialDomain";
+        public const string WebclientDialDuringCall = "Webclient.DialDuringCall";
     }
 }
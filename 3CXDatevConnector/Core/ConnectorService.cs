@@ -52,6 +52,17 @@ namespace DatevConnector.Core
 
         public event Action<ConnectionMode> ModeChanged;
 
+        /// <summary>
+        /// 3CX status reported by the WebClient extension (null when unknown or
+        /// not in WebClient mode). See WebclientConnectionMethod.PresenceChanged.
+        /// </summary>
+        public event Action<ExtensionMessage> PresenceChanged;
+
+        /// <summary>
+        /// Line state of the watched colleagues changed (Webclient.ColleagueExtensions).
+        /// </summary>
+        public event Action ColleagueStatusChanged;
+
         public ConnectorStatus Status
         {
             get
@@ -118,6 +129,22 @@ namespace DatevConnector.Core
 
         public List<DatevContactInfo> GetCachedContacts() => DatevContactRepository.GetAllContacts();
 
+        public ExtensionMessage Presence => (_tapiMonitor as WebclientConnectionMethod)?.Presence;
+
+        public IReadOnlyList<ExtensionStatusEntry> ColleagueStatuses =>
+            (_tapiMonitor as WebclientConnectionMethod)?.ColleagueStatuses ?? new List<ExtensionStatusEntry>();
+
+        public bool CanSetPresence =>
+            _tapiMonitor is WebclientConnectionMethod webclient && webclient.SupportsCommand(Protocol.CmdSetPresence);
+
+        /// <summary>
+        /// Switch the 3CX status (Protocol.Presence*) through the WebClient extension.
+        /// </summary>
+        public bool SetPresence(string status)
+        {
+            return _tapiMonitor is WebclientConnectionMethod webclient && webclient.SetPresence(status) > 0;
+        }
+
         public ConnectorService(string extension)
         {
             _extension = extension;
@@ -128,7 +155,8 @@ namespace DatevConnector.Core
             _notificationManager = new NotificationManager(CommonParameters.ClsIdDatev);
 
             // Create command handler and DatevAdapter for receiving Dial/Drop commands from DATEV
-            _datevCommandHandler = new DatevCommandHandler(_callTracker, () => _tapiMonitor);
+            _datevCommandHandler = new DatevCommandHandler(_callTracker, () => _tapiMonitor,
+                () => AppConfig.GetEnum(ConfigKeys.WebclientDialDuringCall, DialDuringCallMode.Call));
             _datevAdapter = new DatevAdapter(_datevCommandHandler.OnDatevEvent);
 
             // Call history
@@ -140,7 +168,7 @@ namespace DatevConnector.Core
 
             // Call event processing (handles all TAPI state transitions + DATEV notifications + UI popups)
             _callEventProcessor = new CallEventProcessor(
-                _callTracker, _notificationManager, _callHistory, _extension, _minCallerIdLength);
+                _callTracker, _notificationManager, _callHistory, _extension, _minCallerIdLength, () => _tapiMonitor);
 
             // Contact filter (must be set before LoadContactsAsync)
             DatevContactRepository.FilterActiveContactsOnly = AppConfig.GetBool(ConfigKeys.ActiveContactsOnly, false);
@@ -384,6 +412,39 @@ namespace DatevConnector.Core
             _callEventProcessor.OnTapiCallStateChanged(evt);
         }
 
+        private void OnWebclientContactOpenRequested(ExtensionMessage msg)
+        {
+            string callId = (_tapiMonitor as WebclientConnectionMethod)?.ResolveTapiCallId(msg.CallId);
+            _callEventProcessor.OpenContact(callId, msg.Number, msg.ContactId);
+        }
+
+        private void OnWebclientPresenceChanged(ExtensionMessage presence)
+        {
+            PresenceChanged?.Invoke(presence);
+        }
+
+        private void OnWebclientColleagueStatusChanged()
+        {
+            ColleagueStatusChanged?.Invoke();
+        }
+
+        private void OnWebclientConferenceChanged(ExtensionMessage msg)
+        {
+            var webclient = _tapiMonitor as WebclientConnectionMethod;
+            var participants = new List<ExtensionMessage>();
+            foreach (var call in msg.ConferenceCalls ?? new List<ExtensionMessage>())
+            {
+                // Participants without a tracked call still count as parties of the others
+                participants.Add(new ExtensionMessage
+                {
+                    CallId = webclient?.ResolveTapiCallId(call.CallId),
+                    RemoteNumber = call.RemoteNumber,
+                    RemoteName = call.RemoteName
+                });
+            }
+            _callEventProcessor.UpdateConference(msg.ConferenceId, msg.ConferenceState, participants);
+        }
+
         private void OnProviderLineDisconnected(TapiLineInfo line)
         {
             LogManager.Log("TAPI Leitung getrennt: {0}", line.Extension);
@@ -477,6 +538,16 @@ namespace DatevConnector.Core
                         _tapiMonitor.LineDisconnected -= OnProviderLineDisconnected;
                         _tapiMonitor.Connected -= OnProviderConnected;
                         _tapiMonitor.Disconnected -= OnProviderDisconnected;
+                        if (_tapiMonitor is WebclientConnectionMethod oldWebclient)
+                        {
+                            oldWebclient.ContactOpenRequested -= OnWebclientContactOpenRequested;
+                            oldWebclient.PresenceChanged -= OnWebclientPresenceChanged;
+                            oldWebclient.ColleagueStatusChanged -= OnWebclientColleagueStatusChanged;
+                            oldWebclient.ConferenceChanged -= OnWebclientConferenceChanged;
+                            if (oldWebclient.Presence != null)
+                                PresenceChanged?.Invoke(null);
+                            ColleagueStatusChanged?.Invoke();
+                        }
                     }
                     _tapiMonitor?.Dispose();
                     _tapiMonitor = providerToUse;
@@ -484,6 +555,13 @@ namespace DatevConnector.Core
                     _tapiMonitor.LineDisconnected += OnProviderLineDisconnected;
                     _tapiMonitor.Connected += OnProviderConnected;
                     _tapiMonitor.Disconnected += OnProviderDisconnected;
+                    if (_tapiMonitor is WebclientConnectionMethod webclient)
+                    {
+                        webclient.ContactOpenRequested += OnWebclientContactOpenRequested;
+                        webclient.PresenceChanged += OnWebclientPresenceChanged;
+                        webclient.ColleagueStatusChanged += OnWebclientColleagueStatusChanged;
+                        webclient.ConferenceChanged += OnWebclientConferenceChanged;
+                    }
 
                     // Provider from auto-detection may already be connected (TryConnect succeeded)
                     if (_tapiMonitor.IsMonitoring)
@@ -1,12 +1,16 @@
 using System;
+using System.Linq;
 using System.Threading.Tasks;
+using DatevConnector.Core.Config;
 using DatevConnector.Datev;
 using DatevConnector.Datev.COMs;
 using DatevConnector.Datev.Constants;
 using DatevConnector.Datev.Enums;
 using DatevConnector.Datev.Managers;
 using DatevConnector.Datev.PluginData;
+using DatevConnector.Extensions;
 using DatevConnector.Tapi;
+using DatevConnector.Webclient;
 
 namespace DatevConnector.Core
 {
@@ -16,13 +20,20 @@ namespace DatevConnector.Core
     /// </summary>
     internal class DatevCommandHandler
     {
+        // Post-dial separators: "089 123456,,1234#" dials the number and sends the
+        // rest as DTMF once connected (WebClient mode, see dialplan.js).
+        private static readonly char[] PostDialSeparators = { ',', ';' };
+
         private readonly CallTracker _callTracker;
         private readonly Func<IConnectionMethod> _getProvider;
+        private readonly Func<DialDuringCallMode> _getDialDuringCall;
 
-        public DatevCommandHandler(CallTracker callTracker, Func<IConnectionMethod> getProvider)
+        public DatevCommandHandler(CallTracker callTracker, Func<IConnectionMethod> getProvider,
+            Func<DialDuringCallMode> getDialDuringCall)
         {
             _callTracker = callTracker;
             _getProvider = getProvider;
+            _getDialDuringCall = getDialDuringCall;
         }
 
         /// <summary>
@@ -53,7 +64,7 @@ namespace DatevConnector.Core
             });
         }
 
-        private Task HandleDialCommandAsync(IDatevCtiData ctiData)
+        internal Task HandleDialCommandAsync(IDatevCtiData ctiData)
         {
             string destination = ctiData.CalledNumber;
 
@@ -75,6 +86,30 @@ namespace DatevConnector.Core
                 return Task.CompletedTask;
             }
 
+            // A DATEV "number" that starts with a pause (",1234#") is a PIN / IVR
+            // choice for the call in progress, not a new call.
+            string trimmed = destination.Trim();
+            if (trimmed.IndexOfAny(PostDialSeparators) == 0
+                && provider is ICallControl control && control.SupportsCommand(Protocol.CmdSendDtmf))
+            {
+                int sent = control.SendDtmf(trimmed.Replace(';', ','));
+                LogManager.Log("DATEV Dial: DTMF an aktiven Anruf {0}", sent > 0 ? "gesendet" : "fehlgeschlagen");
+                return Task.CompletedTask;
+            }
+
+            // Post-dial digits are not part of the number the call is matched by
+            int separator = destination.IndexOfAny(PostDialSeparators);
+            string matchNumber = separator > 0 ? destination.Substring(0, separator) : destination;
+
+            if (TryDialDuringCall(provider, matchNumber))
+            {
+                // Resume, transfer and divert take the number only
+                if (separator > 0)
+                    LogManager.Log("DATEV Dial: Nachwahlziffern von {0} ignoriert (kein neuer Anruf)",
+                        LogManager.Mask(matchNumber));
+                return Task.CompletedTask;
+            }
+
             // Preserve DATEV-provided data (SyncID, contact, datasource) for when TAPI event fires
             ctiData.CallState = ENUM_CALLSTATE.eCSOffered;
             ctiData.Direction = ENUM_DIRECTION.eDirOutgoing;
@@ -86,9 +121,9 @@ namespace DatevConnector.Core
             // Store as pending call so HandleRingback can find it by number
             string tempId = _callTracker.GenerateTempCallId();
             var pendingRecord = _callTracker.AddPendingCall(tempId, isIncoming: false);
-            pendingRecord.RemoteNumber = destination;
+            pendingRecord.RemoteNumber = matchNumber;
             pendingRecord.CallData = preservedData;
-            _callTracker.UpdatePendingPhoneIndex(tempId, destination);
+            _callTracker.UpdatePendingPhoneIndex(tempId, matchNumber);
 
             LogManager.Log("DATEV Dial: Verbunden={0}", provider.IsMonitoring);
             int result = provider.MakeCall(destination);
@@ -106,7 +141,7 @@ namespace DatevConnector.Core
             return Task.CompletedTask;
         }
 
-        private Task HandleDropCommandAsync(IDatevCtiData ctiData)
+        internal Task HandleDropCommandAsync(IDatevCtiData ctiData)
         {
             string datevCallId = ctiData.CallID;
 
@@ -136,6 +171,26 @@ namespace DatevConnector.Core
             int tapiCallId;
             if (int.TryParse(record.TapiCallId, out tapiCallId))
             {
+                // WebClient: dropping the caller held for a consultation hands
+                // them to the consulted party (attended transfer, see TryDialDuringCall)
+                if (provider is ICallControl transferControl && record.TransferPending
+                    && SendCallCommand(transferControl, Protocol.CmdCompleteTransfer, record,
+                        id => transferControl.CompleteTransfer(id)))
+                {
+                    record.TransferPending = false;
+                    return Task.CompletedTask;
+                }
+
+                // WebClient: a ringing inbound call is rejected (DROP would hang up
+                // the most recent call, which need not be this one)
+                if (provider is ICallControl control && record.IsIncoming && !record.WasConnected
+                    && control.SupportsCommand(Protocol.CmdReject))
+                {
+                    control.RejectCall(tapiCallId);
+                    LogManager.Log("DATEV Drop: Anruf {0} abgelehnt (tapiId={1})", datevCallId, tapiCallId);
+                    return Task.CompletedTask;
+                }
+
                 var callEvent = provider.FindCallById(tapiCallId);
                 if (callEvent != null)
                 {
@@ -154,5 +209,86 @@ namespace DatevConnector.Core
 
             return Task.CompletedTask;
         }
+
+        /// <summary>
+        /// WebClient gestures for a DATEV Dial while calls are up; DATEV itself
+        /// only sends Dial and Drop. Returns true when the Dial was used up:
+        ///   - the number is that of a held call: resume it
+        ///   - connected call, Webclient.DialDuringCall=Transfer: blind transfer
+        ///     to the number; Attended: consultation call (a DATEV Drop on the
+        ///     held caller completes the transfer); Call: hold it, then dial
+        ///   - ringing call, Transfer / Attended: divert the caller
+        /// A command the extension does not support or that cannot be sent
+        /// falls back to a plain Dial.
+        /// </summary>
+        private bool TryDialDuringCall(IConnectionMethod provider, string destination)
+        {
+            if (!(provider is ICallControl control))
+                return false;
+            var mode = _getDialDuringCall();
+
+            var held = LatestCall(r => r.TapiState == TapiCallState.OnHold && SameNumber(r.RemoteNumber, destination));
+            if (held != null)
+                return SendCallCommand(control, Protocol.CmdResume, held, id => control.ResumeCall(id));
+
+            var connected = LatestCall(r => r.TapiState == TapiCallState.Connected);
+            if (connected != null)
+            {
+                switch (mode)
+                {
+                    case DialDuringCallMode.Transfer:
+                        return SendCallCommand(control, Protocol.CmdTransfer, connected,
+                            id => control.TransferCall(id, destination));
+
+                    case DialDuringCallMode.Attended:
+                        if (!SendCallCommand(control, Protocol.CmdAttendedTransfer, connected,
+                                id => control.AttendedTransfer(id, destination)))
+                            return false;
+                        connected.TransferPending = true;
+                        return true;
+
+                    default:
+                        // The caller should not hear the second call
+                        SendCallCommand(control, Protocol.CmdHold, connected, id => control.HoldCall(id));
+                        return false;
+                }
+            }
+
+            if (mode == DialDuringCallMode.Call)
+                return false;
+
+            var ringing = LatestCall(r => r.IsIncoming && r.TapiState == TapiCallState.Ringing);
+            return ringing != null
+                && SendCallCommand(control, Protocol.CmdDivert, ringing, id => control.DivertCall(id, destination));
+        }
+
+        // False when the extension lacks the command, the call has no WebClient
+        // call id or the command could not be sent, so the DATEV command takes
+        // its usual path.
+        private static bool SendCallCommand(ICallControl control, string command, CallRecord record, Func<int, int> send)
+        {
+            if (!control.SupportsCommand(command) || !int.TryParse(record.TapiCallId, out int callId))
+                return false;
+
+            int result = send(callId);
+            LogManager.Log("DATEV: {0} für Anruf {1} {2}", command, callId, result > 0 ? "gesendet" : "fehlgeschlagen");
+            return result > 0;
+        }
+
+        // Compared like contact numbers: last MaxCompareLength digits
+        private static bool SameNumber(string a, string b)
+        {
+            int maxLength = AppConfig.GetIntClamped(ConfigKeys.MaxCompareLength, 10, 4, 20);
+            string left = PhoneNumberNormalizer.NormalizeForComparison(a, maxLength);
+            return !string.IsNullOrEmpty(left) && left == PhoneNumberNormalizer.NormalizeForComparison(b, maxLength);
+        }
+
+        private CallRecord LatestCall(Func<CallRecord, bool> predicate)
+        {
+            return _callTracker.GetActiveCalls()
+                .Where(predicate)
+                .OrderByDescending(r => r.StartTime)
+                .FirstOrDefault();
+        }
     }
 }
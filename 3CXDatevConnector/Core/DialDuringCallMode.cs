@@ -0,0 +1,28 @@
+namespace DatevConnector.Core
+{
+    /// <summary>
+    /// What a DATEV Dial does while another call is up (WebClient mode,
+    /// Webclient.DialDuringCall). DATEV only sends Dial and Drop, so handing a
+    /// caller on is expressed as dialing the new party.
+    /// </summary>
+    public enum DialDuringCallMode
+    {
+        /// <summary>
+        /// Put the connected call on hold and start a second call (default).
+        /// </summary>
+        Call,
+
+        /// <summary>
+        /// Hand the caller to the dialed number: blind transfer of a connected
+        /// call (TRANSFER), divert of a ringing one (DIVERT).
+        /// </summary>
+        Transfer,
+
+        /// <summary>
+        /// Consultation call to the dialed number (ATTENDED_TRANSFER); a DATEV
+        /// Drop on the held caller completes the transfer. Ringing calls are
+        /// diverted as with Transfer.
+        /// </summary>
+        Attended
+    }
+}
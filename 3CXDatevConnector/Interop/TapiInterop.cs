@@ -130,6 +130,7 @@ namespace DatevConnector.Interop
         public const int LINECALLSTATE_BUSY = 0x00000040;
         public const int LINECALLSTATE_CONNECTED = 0x00000100;
         public const int LINECALLSTATE_PROCEEDING = 0x00000200;
+        public const int LINECALLSTATE_ONHOLD = 0x00000400;
         public const int LINECALLSTATE_DISCONNECTED = 0x00004000;
 
         // Line messages
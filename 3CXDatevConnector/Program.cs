@@ -142,11 +142,15 @@ namespace DatevConnector
                             callEvent.IsIncoming ? "eDirIncoming" : "eDirOutgoing", caller);
                         break;
                     case 0x00000100: // LINECALLSTATE_CONNECTED
-                        Console.WriteLine("  -> DATEV: CallStateChanged(eCSConnected)");
+                        Console.WriteLine("  -> DATEV: CallStateChanged(eCSConnected) (nothing after a hold)");
+                        break;
+                    case 0x00000400: // LINECALLSTATE_ONHOLD
+                        Console.WriteLine("  -> DATEV: nothing (stays eCSConnected)");
                         break;
                     case 0x00004000: // LINECALLSTATE_DISCONNECTED
-                        Console.WriteLine("  -> DATEV: CallStateChanged({0})",
-                            callEvent.CallState == 0x00004000 ? "eCSFinished or eCSAbsence" : "?");
+                        Console.WriteLine("  -> DATEV: CallStateChanged({0}, reason={1})",
+                            callEvent.CallState == 0x00004000 ? "eCSFinished or eCSAbsence" : "?",
+                            callEvent.EndReason ?? "-");
                         break;
                 }
                 Console.WriteLine();
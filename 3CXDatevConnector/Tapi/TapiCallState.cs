@@ -6,6 +6,7 @@ namespace DatevConnector.Tapi
         Ringing,
         Ringback,
         Connected,
+        OnHold,
         Disconnected
     }
 }
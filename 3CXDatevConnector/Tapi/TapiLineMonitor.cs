@@ -57,6 +57,17 @@ namespace DatevConnector.Tapi
         public string CalledName { get; set; }
         public string Extension { get; set; }
 
+        // Call details only the WebClient extension reports (empty / 0 for TAPI and pipe mode)
+        public string QueueName { get; set; }
+        public string QueueNumber { get; set; }
+        public string Did { get; set; }
+        public string SourceType { get; set; }
+        public string SourceNumber { get; set; }
+        public string SourceName { get; set; }
+        public int TalkSeconds { get; set; }
+        public string EndReason { get; set; }
+        public string TransferType { get; set; }
+
         public bool IsIncoming => Origin != LINECALLORIGIN_OUTBOUND;
 
         public string CallStateString
@@ -74,6 +85,7 @@ namespace DatevConnector.Tapi
                     case LINECALLSTATE_BUSY: return "BUSY";
                     case LINECALLSTATE_CONNECTED: return "CONNECTED";
                     case LINECALLSTATE_PROCEEDING: return "PROCEEDING";
+                    case LINECALLSTATE_ONHOLD: return "ONHOLD";
                     case LINECALLSTATE_DISCONNECTED: return "DISCONNECTED";
                     default: return "0x" + CallState.ToString("X8");
                 }
@@ -111,7 +123,16 @@ namespace DatevConnector.Tapi
                 CallerName = callerName ?? this.CallerName,
                 CalledNumber = calledNumber ?? this.CalledNumber,
                 CalledName = calledName ?? this.CalledName,
-                Extension = extension ?? this.Extension
+                Extension = extension ?? this.Extension,
+                QueueName = this.QueueName,
+                QueueNumber = this.QueueNumber,
+                Did = this.Did,
+                SourceType = this.SourceType,
+                SourceNumber = this.SourceNumber,
+                SourceName = this.SourceName,
+                TalkSeconds = this.TalkSeconds,
+                EndReason = this.EndReason,
+                TransferType = this.TransferType
             };
         }
     }
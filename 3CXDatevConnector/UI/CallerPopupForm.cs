@@ -22,6 +22,7 @@ namespace DatevConnector.UI
     /// Popup form showing caller information for incoming/outgoing calls.
     /// Uses a proper Windows Form (dark themed, centered) plus a system tray balloon notification.
     /// Auto-closes after configured duration or when the call is answered.
+    /// In WebClient mode incoming calls get Answer / Reject buttons.
     /// </summary>
     public class CallerPopupForm : ThemedForm
     {
@@ -53,7 +54,9 @@ namespace DatevConnector.UI
             string callerNumber,
             string callerName,
             DatevContactInfo contactInfo,
-            bool isIncoming)
+            bool isIncoming,
+            Action onAnswer = null,
+            Action onReject = null)
         {
             bool isDatevContact = contactInfo?.DatevContact != null;
             string displayName = GetDisplayName(callerName, contactInfo);
@@ -114,6 +117,35 @@ namespace DatevConnector.UI
                 accentBar, lblDirection, lblName, lblNumber,
                 lblContact
             });
+
+            if (onAnswer != null || onReject != null)
+            {
+                Size = new Size(380, 220);
+                if (onReject != null)
+                {
+                    var btnReject = UITheme.CreateSecondaryButton(UIStrings.CallerPopup.Reject, 100);
+                    btnReject.Location = new Point(LayoutConstants.SpaceLG, 130);
+                    btnReject.Click += (s, e) =>
+                    {
+                        LogManager.Log("CallerPopup: Anruf abgelehnt");
+                        onReject();
+                        Close();
+                    };
+                    Controls.Add(btnReject);
+                }
+                if (onAnswer != null)
+                {
+                    var btnAnswer = UITheme.CreatePrimaryButton(UIStrings.CallerPopup.Answer, 100);
+                    btnAnswer.Location = new Point(240, 130);
+                    btnAnswer.Click += (s, e) =>
+                    {
+                        LogManager.Log("CallerPopup: Anruf angenommen");
+                        onAnswer();
+                        Close();
+                    };
+                    Controls.Add(btnAnswer);
+                }
+            }
         }
 
         protected override void OnShown(EventArgs e)
@@ -216,6 +248,7 @@ namespace DatevConnector.UI
         /// <summary>
         /// Shows caller notification based on the configured popup mode.
         /// Popup stays open until dismissed or closed via CloseCurrentPopup().
+        /// onAnswer / onReject add buttons to the form (not to the balloon).
         /// </summary>
         public static void ShowPopup(
             string callerNumber,
@@ -223,7 +256,9 @@ namespace DatevConnector.UI
             DatevContactInfo contactInfo,
             bool isIncoming,
             CallerPopupMode mode = CallerPopupMode.Form,
-            string extension = null)
+            string extension = null,
+            Action onAnswer = null,
+            Action onReject = null)
         {
             try
             {
@@ -236,7 +271,7 @@ namespace DatevConnector.UI
                 // Show form if mode allows
                 if (mode == CallerPopupMode.Both || mode == CallerPopupMode.Form)
                 {
-                    ShowFormOnUIThread(callerNumber, callerName, contactInfo, isIncoming);
+                    ShowFormOnUIThread(callerNumber, callerName, contactInfo, isIncoming, onAnswer, onReject);
                 }
             }
             catch (Exception ex)
@@ -249,10 +284,12 @@ namespace DatevConnector.UI
             string callerNumber,
             string callerName,
             DatevContactInfo contactInfo,
-            bool isIncoming)
+            bool isIncoming,
+            Action onAnswer,
+            Action onReject)
         {
             FormDisplayHelper.PostToUIThread(() =>
-                ShowPopupInternal(callerNumber, callerName, contactInfo, isIncoming));
+                ShowPopupInternal(callerNumber, callerName, contactInfo, isIncoming, onAnswer, onReject));
         }
 
         public static void CloseCurrentPopup()
@@ -323,7 +360,9 @@ namespace DatevConnector.UI
             string callerNumber,
             string callerName,
             DatevContactInfo contactInfo,
-            bool isIncoming)
+            bool isIncoming,
+            Action onAnswer,
+            Action onReject)
         {
             // Close and dispose any existing popup first
             CallerPopupForm oldPopup;
@@ -343,7 +382,7 @@ namespace DatevConnector.UI
             LogManager.Debug("CallerPopup: Showing {0} call popup - Number={1}, Name={2}",
                 direction, LogManager.Mask(callerNumber), contactName);
 
-            var popup = new CallerPopupForm(callerNumber, callerName, contactInfo, isIncoming);
+            var popup = new CallerPopupForm(callerNumber, callerName, contactInfo, isIncoming, onAnswer, onReject);
             FormClosedEventHandler handler = null;
             handler = (s, e) =>
             {
@@ -9,6 +9,7 @@ using DatevConnector.Datev;
 using DatevConnector.Datev.Managers;
 using DatevConnector.UI.Strings;
 using DatevConnector.UI.Theme;
+using DatevConnector.Webclient;
 
 namespace DatevConnector.UI
 {
@@ -57,6 +58,7 @@ namespace DatevConnector.UI
         // Advanced - Tray
         private CheckBox _chkTrayDoubleClickCallHistory;
         private TextBox _txtExtensionOverride;
+        private TextBox _txtPairingKey;
 
         // Telephony Mode
         private ComboBox _cboConnectionMode;
@@ -121,7 +123,7 @@ namespace DatevConnector.UI
             // ThemedForm base class handles: BackColor, ForeColor, FormBorderStyle,
             // StartPosition, MaximizeBox, MinimizeBox, Font, Icon
             Text = UIStrings.FormTitles.Overview;
-            Size = new Size(540, 590);
+            Size = new Size(540, 620);
 
             var root = new Panel
             {
@@ -161,7 +163,7 @@ namespace DatevConnector.UI
             // === TELEPHONY MODE ===
             var telephonyCard = BuildConnectionModeCard();
             telephonyCard.Location = new Point(LayoutConstants.SpaceMD, 400);
-            telephonyCard.Size = new Size(492, 88);
+            telephonyCard.Size = new Size(492, 118);
             root.Controls.Add(telephonyCard);
 
             // === BUTTONS ===
@@ -520,9 +522,62 @@ namespace DatevConnector.UI
                 Location = new Point(col2 + 136, row2 + 2)
             });
 
+            // Pairing key for the browser extension (WebClient mode). Entered once
+            // on the extension options page; authenticates the bridge handshake.
+            int row3 = row2 + 30;
+            card.Controls.Add(new Label
+            {
+                Text = "Kopplungsschlüssel:",
+                Font = UITheme.FontLabel,
+                ForeColor = UITheme.TextPrimary,
+                AutoSize = true,
+                Location = new Point(col1, row3)
+            });
+            _txtPairingKey = new TextBox
+            {
+                Location = new Point(col2, row3 - 2),
+                Size = new Size(190, 22),
+                BackColor = UITheme.InputBackground,
+                ForeColor = UITheme.TextPrimary,
+                Font = UITheme.FontSmall,
+                BorderStyle = BorderStyle.FixedSingle,
+                ReadOnly = true,
+                Text = PairingKeyStore.GetOrCreate()
+            };
+            card.Controls.Add(_txtPairingKey);
+
+            var btnCopyKey = UITheme.CreateSecondaryButton("Kopieren", 64);
+            btnCopyKey.Size = new Size(64, 24);
+            btnCopyKey.Location = new Point(col2 + 196, row3 - 3);
+            btnCopyKey.Click += (s, e) =>
+            {
+                try { Clipboard.SetText(_txtPairingKey.Text); }
+                catch (Exception ex) { LogManager.Debug("Settings: Zwischenablage nicht verfügbar - {0}", ex.Message); }
+            };
+            card.Controls.Add(btnCopyKey);
+
+            var btnNewKey = UITheme.CreateSecondaryButton("Neu", 44);
+            btnNewKey.Size = new Size(44, 24);
+            btnNewKey.Location = new Point(col2 + 264, row3 - 3);
+            btnNewKey.Click += BtnNewPairingKey_Click;
+            card.Controls.Add(btnNewKey);
+
             return card;
         }
 
+        private void BtnNewPairingKey_Click(object sender, EventArgs e)
+        {
+            var result = MessageBox.Show(
+                "Neuen Kopplungsschlüssel erzeugen?\n\nDie Browser-Erweiterung verbindet sich danach erst wieder, " +
+                "wenn der neue Schlüssel in ihren Optionen eingetragen wurde.",
+                UIStrings.FormTitles.Settings,
+                MessageBoxButtons.YesNo,
+                MessageBoxIcon.Question);
+            if (result != DialogResult.Yes) return;
+
+            _txtPairingKey.Text = PairingKeyStore.Regenerate();
+        }
+
         // ========== HELPERS ==========
 
         private Label CreateBadge(string text, Color backColor)
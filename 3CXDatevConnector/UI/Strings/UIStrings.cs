@@ -128,6 +128,17 @@ namespace DatevConnector.UI.Strings
             public const string Mute = "Stummschalten";
             public const string Restart = "\U0001F504 Neustart";
             public const string Help = "\U0001F4D8 Hilfe";
+            public const string Presence = "\U0001F464 3CX-Status";
+            public const string PresenceAvailable = "Verfügbar";
+            public const string PresenceAway = "Abwesend";
+            public const string PresenceDnd = "Nicht stören";
+            public const string PresenceOutOfOffice = "Außer Haus";
+            public const string Colleagues = "\U0001F465 Kollegen";
+            public const string ColleagueIdle = "frei";
+            public const string ColleagueRinging = "klingelt";
+            public const string ColleagueBusy = "telefoniert";
+            public const string ColleagueDnd = "nicht stören";
+            public const string ColleagueUnknown = "unbekannt";
         }
 
         // ===== FORM TITLES =====
@@ -157,6 +168,8 @@ namespace DatevConnector.UI.Strings
             public const string Recipient = "Adressaten";
             public const string Institution = "Institution";
             public const string ExtensionFormat = "({0})";
+            public const string Answer = "Annehmen";
+            public const string Reject = "Ablehnen";
         }
 
         // ===== CONTACT SELECTION =====
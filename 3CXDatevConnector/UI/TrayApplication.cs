@@ -10,6 +10,7 @@ using DatevConnector.Core.Config;
 using DatevConnector.Datev.Managers;
 using DatevConnector.UI.Strings;
 using DatevConnector.UI.Theme;
+using DatevConnector.Webclient;
 
 namespace DatevConnector.UI
 {
@@ -63,6 +64,8 @@ namespace DatevConnector.UI
             _bridgeService.StatusChanged += OnStatusChanged;
             _bridgeService.DatevUnavailableNotified += OnDatevUnavailable;
             _bridgeService.DatevBecameAvailable += OnDatevBecameAvailable;
+            _bridgeService.PresenceChanged += OnPresenceChanged;
+            _bridgeService.ColleagueStatusChanged += OnColleagueStatusChanged;
 
             _navigator = new FormNavigator(_bridgeService, this);
 
@@ -98,6 +101,13 @@ namespace DatevConnector.UI
                 helpMenu.DropDownItems["wizardItem"].Click += (s, e) => SetupWizardForm.ShowWizard(_bridgeService);
             }
 
+            var presenceMenu = _contextMenu.Items["presenceMenu"] as ToolStripMenuItem;
+            if (presenceMenu != null)
+            {
+                foreach (ToolStripItem item in presenceMenu.DropDownItems)
+                    item.Click += (s, e) => _bridgeService.SetPresence((string)((ToolStripItem)s).Tag);
+            }
+
             // Toggle items
             var autostartItem = _contextMenu.Items["autostartItem"] as ToolStripMenuItem;
             if (autostartItem != null)
@@ -244,6 +254,69 @@ namespace DatevConnector.UI
             UpdateTrayStatus();
         }
 
+        private void OnPresenceChanged(ExtensionMessage presence)
+        {
+            if (InvokeRequired) { BeginInvoke(new Action<ExtensionMessage>(OnPresenceChanged), presence); return; }
+
+            var presenceMenu = _contextMenu.Items["presenceMenu"] as ToolStripMenuItem;
+            if (presenceMenu == null) return;
+
+            presenceMenu.Visible = presence != null;
+            if (presence == null) return;
+
+            presenceMenu.Text = string.IsNullOrEmpty(presence.Profile)
+                ? UIStrings.MenuItems.Presence
+                : $"{UIStrings.MenuItems.Presence}: {presence.Profile}";
+
+            // Statuses without a matching 3CX profile cannot be selected
+            bool canSet = _bridgeService.CanSetPresence;
+            foreach (ToolStripItem item in presenceMenu.DropDownItems)
+            {
+                if (!(item is ToolStripMenuItem menuItem)) continue;
+                string status = (string)menuItem.Tag;
+                menuItem.Checked = status == presence.Status;
+                menuItem.Enabled = canSet && presence.Profiles != null
+                    && presence.Profiles.Exists(p => p.Status == status);
+            }
+        }
+
+        private void OnColleagueStatusChanged()
+        {
+            if (InvokeRequired) { BeginInvoke(new Action(OnColleagueStatusChanged)); return; }
+
+            var colleaguesMenu = _contextMenu.Items["colleaguesMenu"] as ToolStripMenuItem;
+            if (colleaguesMenu == null) return;
+
+            var colleagues = _bridgeService.ColleagueStatuses;
+            foreach (ToolStripItem old in colleaguesMenu.DropDownItems)
+                old.Image?.Dispose();
+            colleaguesMenu.DropDownItems.Clear();
+            colleaguesMenu.Visible = colleagues.Count > 0;
+
+            foreach (var colleague in colleagues)
+            {
+                Color dot;
+                string state;
+                switch (colleague.Status)
+                {
+                    case Protocol.ExtensionIdle: dot = UITheme.StatusOk; state = UIStrings.MenuItems.ColleagueIdle; break;
+                    case Protocol.ExtensionRinging: dot = UITheme.StatusWarn; state = UIStrings.MenuItems.ColleagueRinging; break;
+                    case Protocol.ExtensionBusy: dot = UITheme.StatusBad; state = UIStrings.MenuItems.ColleagueBusy; break;
+                    case Protocol.ExtensionDnd: dot = UITheme.StatusBad; state = UIStrings.MenuItems.ColleagueDnd; break;
+                    default: dot = UITheme.TextMuted; state = UIStrings.MenuItems.ColleagueUnknown; break;
+                }
+
+                string label = string.IsNullOrEmpty(colleague.Name)
+                    ? colleague.Number
+                    : $"{colleague.Number} {colleague.Name}";
+                colleaguesMenu.DropDownItems.Add(new ToolStripMenuItem($"{label} - {state}")
+                {
+                    Image = TrayContextMenuBuilder.CreateStatusDot(dot),
+                    Enabled = false
+                });
+            }
+        }
+
         private void UpdateTrayStatus()
         {
             bool tapiOk = _bridgeService.TapiConnected;
@@ -4,6 +4,7 @@ using System.Windows.Forms;
 using DatevConnector.Core;
 using DatevConnector.UI.Strings;
 using DatevConnector.UI.Theme;
+using DatevConnector.Webclient;
 
 namespace DatevConnector.UI
 {
@@ -12,7 +13,7 @@ namespace DatevConnector.UI
     /// Extracted from TrayApplication to separate menu construction from business logic.
     ///
     /// Menu layout:
-    /// Title | --- | Status | Anrufliste | Kontakte neu laden | ---
+    /// Title | --- | Status | Anrufliste | Kontakte neu laden | 3CX-Status > | Kollegen > | ---
     /// Einstellungen | Hilfe > | --- | Autostart | Stummschalten | ---
     /// Neustart | Info | Beenden
     /// </summary>
@@ -48,6 +49,20 @@ namespace DatevConnector.UI
 
             // Reload contacts
             menu.Items.Add(new ToolStripMenuItem(UIStrings.MenuItems.ReloadContacts) { Name = "reloadItem" });
+
+            // 3CX status submenu (WebClient mode only, shown once the extension reports it)
+            var presenceMenu = new ToolStripMenuItem(UIStrings.MenuItems.Presence) { Name = "presenceMenu", Visible = false };
+            AddPresenceItem(presenceMenu, UIStrings.MenuItems.PresenceAvailable, Protocol.PresenceAvailable);
+            AddPresenceItem(presenceMenu, UIStrings.MenuItems.PresenceAway, Protocol.PresenceAway);
+            AddPresenceItem(presenceMenu, UIStrings.MenuItems.PresenceDnd, Protocol.PresenceDnd);
+            AddPresenceItem(presenceMenu, UIStrings.MenuItems.PresenceOutOfOffice, Protocol.PresenceOutOfOffice);
+            presenceMenu.DropDown.Renderer = new DarkMenuRenderer();
+            menu.Items.Add(presenceMenu);
+
+            // Colleague line states (filled by TrayApplication from Webclient.ColleagueExtensions)
+            var colleaguesMenu = new ToolStripMenuItem(UIStrings.MenuItems.Colleagues) { Name = "colleaguesMenu", Visible = false };
+            colleaguesMenu.DropDown.Renderer = new DarkMenuRenderer();
+            menu.Items.Add(colleaguesMenu);
             menu.Items.Add(new ToolStripSeparator());
 
             // Settings
@@ -89,6 +104,11 @@ namespace DatevConnector.UI
             return menu;
         }
 
+        private static void AddPresenceItem(ToolStripMenuItem menu, string text, string status)
+        {
+            menu.DropDownItems.Add(new ToolStripMenuItem(text) { Name = "presence_" + status, Tag = status });
+        }
+
         public static Image CreateStatusDot(Color color)
         {
             var bmp = new Bitmap(20, 20);
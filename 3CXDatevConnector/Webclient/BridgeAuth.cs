@@ -0,0 +1,46 @@
+using System;
+using System.Security.Cryptography;
+using System.Text;
+
+namespace DatevConnector.Webclient
+{
+    /// <summary>
+    /// Challenge/response for the HELLO handshake. Both sides prove knowledge of
+    /// the pairing key without sending it:
+    ///
+    ///   HELLO      auth.nonce = clientNonce
+    ///   HELLO_ACK  auth.nonce = serverNonce, auth.proof = HMAC(key, "bridge:" + clientNonce + ":" + serverNonce)
+    ///   AUTH       proof = HMAC(key, "extension:" + serverNonce + ":" + clientNonce)
+    ///   AUTH_RESULT ok = true/false
+    ///
+    /// HMAC is HMAC-SHA256 over UTF-8, key = normalized pairing key, result Base64.
+    /// Must match computeAuthProof() in Extension/scripts/offscreen.js.
+    /// </summary>
+    public static class BridgeAuth
+    {
+        public const string RoleBridge = "bridge";
+        public const string RoleExtension = "extension";
+
+        public static string CreateNonce()
+        {
+            return Convert.ToBase64String(RandomNumberGenerator.GetBytes(16));
+        }
+
+        public static string ComputeProof(string pairingKey, string role, string firstNonce, string secondNonce)
+        {
+            byte[] key = Encoding.UTF8.GetBytes(PairingKeyStore.Normalize(pairingKey));
+            byte[] data = Encoding.UTF8.GetBytes(role + ":" + firstNonce + ":" + secondNonce);
+            return Convert.ToBase64String(HMACSHA256.HashData(key, data));
+        }
+
+        public static bool VerifyProof(string pairingKey, string role, string firstNonce, string secondNonce, string proof)
+        {
+            if (string.IsNullOrEmpty(proof) || string.IsNullOrEmpty(firstNonce) || string.IsNullOrEmpty(secondNonce))
+                return false;
+
+            byte[] expected = Encoding.ASCII.GetBytes(ComputeProof(pairingKey, role, firstNonce, secondNonce));
+            byte[] actual = Encoding.ASCII.GetBytes(proof);
+            return CryptographicOperations.FixedTimeEquals(expected, actual);
+        }
+    }
+}
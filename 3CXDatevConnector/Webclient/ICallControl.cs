@@ -0,0 +1,31 @@
+namespace DatevConnector.Webclient
+{
+    /// <summary>
+    /// Call commands beyond MakeCall / DropCall that only the WebClient
+    /// connection offers. Calls are addressed by the id of the call's
+    /// CALL_EVENT; every command returns 1 when sent, -1 otherwise.
+    /// </summary>
+    public interface ICallControl
+    {
+        /// <summary>
+        /// True when the connected extension handles the command (Protocol.Cmd*).
+        /// </summary>
+        bool SupportsCommand(string command);
+
+        int RejectCall(int callId);
+
+        int DivertCall(int callId, string destination);
+
+        int HoldCall(int callId);
+
+        int ResumeCall(int callId);
+
+        int TransferCall(int callId, string destination);
+
+        int AttendedTransfer(int callId, string destination);
+
+        int CompleteTransfer(int callId);
+
+        int SendDtmf(string digits, int? callId = null);
+    }
+}
@@ -0,0 +1,126 @@
+using System;
+using System.IO;
+using System.Linq;
+using System.Security.Cryptography;
+using System.Text;
+using DatevConnector.Datev.Managers;
+
+namespace DatevConnector.Webclient
+{
+    /// <summary>
+    /// Pairing key shared with the browser extension (entered once on the
+    /// extension options page). Generated on first use and stored
+    /// DPAPI-encrypted, so only the current Windows user can read it.
+    /// </summary>
+    public static class PairingKeyStore
+    {
+        private const string Base32Alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+        private const int KeyBytes = 20; // 160 bit -> 32 Base32 characters
+
+        private static readonly object _lock = new object();
+        private static string _cachedKey;
+
+        private static readonly string StorePath = Path.Combine(
+            Environment.GetFolderPath(Environment.SpecialFolder.ApplicationData),
+            "3CXDATEVConnector", "webclient_pairing.dat");
+
+        /// <summary>
+        /// Current pairing key in display form (XXXX-XXXX-...). Creates one if none exists.
+        /// </summary>
+        public static string GetOrCreate()
+        {
+            lock (_lock)
+            {
+                if (_cachedKey != null) return _cachedKey;
+
+                _cachedKey = Load();
+                if (_cachedKey == null)
+                {
+                    _cachedKey = Generate();
+                    Save(_cachedKey);
+                    LogManager.Log("WebClient: Neuer Kopplungsschlüssel für die Browser-Erweiterung erzeugt");
+                }
+                return _cachedKey;
+            }
+        }
+
+        /// <summary>
+        /// Replace the pairing key. The extension must be paired again; the
+        /// current connection stays authenticated until it reconnects.
+        /// </summary>
+        public static string Regenerate()
+        {
+            lock (_lock)
+            {
+                _cachedKey = Generate();
+                Save(_cachedKey);
+                LogManager.Log("WebClient: Kopplungsschlüssel neu erzeugt, Browser-Erweiterung muss neu gekoppelt werden");
+                return _cachedKey;
+            }
+        }
+
+        /// <summary>
+        /// Canonical form used for HMAC: upper case, Base32 characters only.
+        /// Must match normalizePairingKey() in the extension.
+        /// </summary>
+        public static string Normalize(string key)
+        {
+            if (string.IsNullOrEmpty(key)) return "";
+            return new string(key.ToUpperInvariant().Where(c => Base32Alphabet.IndexOf(c) >= 0).ToArray());
+        }
+
+        private static string Generate()
+        {
+            byte[] bytes = RandomNumberGenerator.GetBytes(KeyBytes);
+
+            var sb = new StringBuilder();
+            int buffer = 0, bits = 0;
+            foreach (byte b in bytes)
+            {
+                buffer = (buffer << 8) | b;
+                bits += 8;
+                while (bits >= 5)
+                {
+                    if (sb.Length > 0 && sb.Length % 5 == 4) sb.Append('-');
+                    sb.Append(Base32Alphabet[(buffer >> (bits - 5)) & 0x1F]);
+                    bits -= 5;
+                }
+            }
+            return sb.ToString();
+        }
+
+        private static string Load()
+        {
+            try
+            {
+                if (!File.Exists(StorePath)) return null;
+                var encrypted = File.ReadAllBytes(StorePath);
+                var key = Encoding.UTF8.GetString(
+                    ProtectedData.Unprotect(encrypted, null, DataProtectionScope.CurrentUser));
+                return Normalize(key).Length > 0 ? key : null;
+            }
+            catch (Exception ex)
+            {
+                LogManager.Warning("WebClient: Kopplungsschlüssel konnte nicht gelesen werden: {0}", ex.Message);
+                return null;
+            }
+        }
+
+        private static void Save(string key)
+        {
+            try
+            {
+                var dir = Path.GetDirectoryName(StorePath);
+                if (!Directory.Exists(dir))
+                    Directory.CreateDirectory(dir);
+
+                var encrypted = ProtectedData.Protect(Encoding.UTF8.GetBytes(key), null, DataProtectionScope.CurrentUser);
+                File.WriteAllBytes(StorePath, encrypted);
+            }
+            catch (Exception ex)
+            {
+                LogManager.Warning("WebClient: Kopplungsschlüssel konnte nicht gespeichert werden: {0}", ex.Message);
+            }
+        }
+    }
+}
@@ -1,31 +1,155 @@
 using System;
 using System.Collections.Generic;
 using System.Text;
+using DatevConnector.Datev.PluginData;
 
 namespace DatevConnector.Webclient
 {
     /// <summary>
     /// Versioned JSON protocol for bridge <-> browser extension communication.
-    /// Protocol version 1 — all messages carry "v":1.
+    /// HELLO lists the extension's protocol versions and capabilities; HELLO_ACK
+    /// picks the highest common version ("protocolVersion", 0 = none) and lists
+    /// the bridge's capabilities. All messages carry the version in "v".
     ///
-    /// Extension -> Bridge: HELLO, CALL_EVENT
-    /// Bridge -> Extension: HELLO_ACK, COMMAND
+    /// Extension -> Bridge: HELLO, AUTH, CALL_EVENT, CALL_SNAPSHOT, CONFERENCE, COMMAND_RESULT,
+    ///                      LOOKUP, OPEN_CONTACT, PRESENCE, EXTENSION_STATUS
+    /// Bridge -> Extension: HELLO_ACK, AUTH_RESULT, COMMAND, LOOKUP_RESULT, SUBSCRIBE_EXTENSIONS
     /// </summary>
     public static class Protocol
     {
         public const int Version = 1;
 
+        // Protocol versions this bridge speaks, oldest first.
+        public static readonly int[] SupportedVersions = { 1 };
+
+        // Capabilities (HELLO / HELLO_ACK "capabilities"). A feature is used
+        // only when both sides list it.
+        public const string CapDial = "DIAL";
+        public const string CapDrop = "DROP";
+        public const string CapCallSnapshot = "CALL_SNAPSHOT";
+        public const string CapConference = "CONFERENCE";
+        public const string CapLookup = "LOOKUP"; // LOOKUP / LOOKUP_RESULT / OPEN_CONTACT
+        public const string CapAnswer = "ANSWER";
+        public const string CapReject = "REJECT";
+        public const string CapDivert = "DIVERT";
+        public const string CapHold = "HOLD";
+        public const string CapResume = "RESUME";
+        public const string CapTransfer = "TRANSFER";
+        public const string CapAttendedTransfer = "ATTENDED_TRANSFER";
+        public const string CapCompleteTransfer = "COMPLETE_TRANSFER";
+        public const string CapSendDtmf = "SEND_DTMF";
+        public const string CapPresence = "PRESENCE";
+        public const string CapSetPresence = "SET_PRESENCE";
+        public const string CapExtensionStatus = "EXTENSION_STATUS"; // SUBSCRIBE_EXTENSIONS / EXTENSION_STATUS
+        public const string CapMultiPbx = "MULTI_PBX"; // context.domain on events, "domain" on DIAL
+
+        public static readonly string[] BridgeCapabilities =
+        {
+            CapDial, CapDrop, CapCallSnapshot, CapConference, CapLookup, CapAnswer, CapReject, CapDivert,
+            CapHold, CapResume, CapTransfer, CapAttendedTransfer, CapCompleteTransfer, CapSendDtmf,
+            CapPresence, CapSetPresence, CapExtensionStatus, CapMultiPbx
+        };
+
+        // Assumed for an extension whose HELLO predates capability exchange.
+        public static readonly string[] LegacyCapabilities = { CapDial, CapDrop };
+
+        /// <summary>
+        /// Highest version in both <paramref name="offered"/> and SupportedVersions, or 0.
+        /// </summary>
+        public static int NegotiateVersion(IEnumerable<int> offered)
+        {
+            int best = 0;
+            foreach (int v in offered)
+            {
+                if (v > best && Array.IndexOf(SupportedVersions, v) >= 0)
+                    best = v;
+            }
+            return best;
+        }
+
         // Message types (Extension -> Bridge)
         public const string TypeHello = "HELLO";
+        public const string TypeAuth = "AUTH";
         public const string TypeCallEvent = "CALL_EVENT";
+        public const string TypeCommandResult = "COMMAND_RESULT";
+        public const string TypeConference = "CONFERENCE";
+        public const string TypeCallSnapshot = "CALL_SNAPSHOT";
+        public const string TypeLookup = "LOOKUP";
+        public const string TypeOpenContact = "OPEN_CONTACT";
+        public const string TypePresence = "PRESENCE";
+        public const string TypeExtensionStatus = "EXTENSION_STATUS";
 
         // Message types (Bridge -> Extension)
         public const string TypeHelloAck = "HELLO_ACK";
+        public const string TypeAuthResult = "AUTH_RESULT";
         public const string TypeCommand = "COMMAND";
+        public const string TypeLookupResult = "LOOKUP_RESULT";
+        public const string TypeSubscribeExtensions = "SUBSCRIBE_EXTENSIONS";
+
+        // Contacts per LOOKUP_RESULT (best match first, see ContactRoutingCache)
+        public const int LookupMaxContacts = 5;
 
         // Command names (Bridge -> Extension)
         public const string CmdDial = "DIAL";
         public const string CmdDrop = "DROP";
+        public const string CmdAnswer = "ANSWER";
+        public const string CmdReject = "REJECT";
+        public const string CmdDivert = "DIVERT";
+        public const string CmdHold = "HOLD";
+        public const string CmdResume = "RESUME";
+        public const string CmdTransfer = "TRANSFER";
+        public const string CmdAttendedTransfer = "ATTENDED_TRANSFER";
+        public const string CmdCompleteTransfer = "COMPLETE_TRANSFER";
+        public const string CmdSendDtmf = "SEND_DTMF";
+        public const string CmdSetPresence = "SET_PRESENCE";
+
+        // Longest DTMF string per SEND_DTMF (0-9, A-D, *, #, "," = 2 s pause)
+        public const int DtmfMaxLength = 64;
+
+        // Command result statuses (from extension). "accepted" is an interim ack;
+        // every other status is final for the command's requestId.
+        public const string ResultAccepted = "accepted";
+        public const string ResultCallStarted = "call-started";
+        public const string ResultDropped = "dropped";
+        public const string ResultNoTab = "no-tab";
+        public const string ResultNoCall = "no-call";
+        public const string ResultDialerNotOpened = "dialer-not-opened";
+        public const string ResultNotConfirmed = "not-confirmed";
+        public const string ResultAnswered = "answered";
+        public const string ResultRejected = "rejected";
+        public const string ResultDiverted = "diverted";
+        public const string ResultNotRinging = "not-ringing";
+        public const string ResultNoAnswerButton = "no-answer-button";
+        public const string ResultCallNotFound = "call-not-found";
+        public const string ResultHeld = "held";
+        public const string ResultResumed = "resumed";
+        public const string ResultTransferred = "transferred";
+        public const string ResultConsultStarted = "consult-started";
+        public const string ResultNotConnected = "not-connected";
+        public const string ResultNotHeld = "not-held";
+        public const string ResultNoConsultation = "no-consultation";
+        public const string ResultNoControlButton = "no-control-button";
+        public const string ResultDtmfSent = "dtmf-sent";
+        public const string ResultNoMediaSession = "no-media-session";
+        public const string ResultInvalidDigits = "invalid-digits";
+        public const string ResultInvalidNumber = "invalid-number";
+        public const string ResultPresenceSet = "presence-set";
+        public const string ResultUnknownPresence = "unknown-presence";
+
+        // Presence statuses (PRESENCE / SET_PRESENCE), derived by the extension
+        // from the 3CX forwarding profile name. "custom" profiles are only
+        // addressable by name.
+        public const string PresenceAvailable = "available";
+        public const string PresenceAway = "away";
+        public const string PresenceDnd = "dnd";
+        public const string PresenceOutOfOffice = "out-of-office";
+        public const string PresenceCustom = "custom";
+
+        // Colleague line states (EXTENSION_STATUS)
+        public const string ExtensionIdle = "idle";
+        public const string ExtensionRinging = "ringing";
+        public const string ExtensionBusy = "busy";
+        public const string ExtensionDnd = "dnd";
 
         // Call states (from extension)
         public const string StateOffered = "offered";
@@ -33,13 +157,39 @@ namespace DatevConnector.Webclient
         public const string StateRinging = "ringing";
         public const string StateConnected = "connected";
         public const string StateEnded = "ended";
+        public const string StateHeld = "held";
+        public const string StateResumed = "resumed";
+        public const string StateTransferred = "transferred";
+        public const string StateForwarded = "forwarded";
+        public const string StateAnsweredElsewhere = "answered-elsewhere";
 
         // Call directions
         public const string DirectionInbound = "inbound";
         public const string DirectionOutbound = "outbound";
 
+        // Call sources (source.type)
+        public const string SourceTransfer = "transfer";
+        public const string SourceForward = "forward";
+
         // End reasons
         public const string ReasonHangup = "hangup";
+        public const string ReasonLocalHangup = "local-hangup";
+        public const string ReasonRemoteHangup = "remote-hangup";
+        public const string ReasonBusy = "busy";
+        public const string ReasonNoAnswer = "no-answer";
+        public const string ReasonRejected = "rejected";
+        public const string ReasonTransferred = "transferred";
+        public const string ReasonForwarded = "forwarded";
+        public const string ReasonAnsweredElsewhere = "answered-elsewhere";
+
+        // Conference states (conference.state)
+        public const string ConferenceStarted = "started";
+        public const string ConferenceUpdated = "updated";
+        public const string ConferenceEnded = "ended";
+
+        // Transfer types (transferType on transferred calls)
+        public const string TransferBlind = "blind";
+        public const string TransferAttended = "attended";
     }
 
     /// <summary>
@@ -58,6 +208,12 @@ namespace DatevConnector.Webclient
         public string WebclientVersion { get; set; }
         public string UserName { get; set; }
         public string Token { get; set; }
+        public string AuthNonce { get; set; }
+        public List<int> Versions { get; set; }
+        public List<string> Capabilities { get; set; }
+
+        // AUTH fields
+        public string AuthProof { get; set; }
 
         // CALL_EVENT fields
         public long Timestamp { get; set; }
@@ -67,8 +223,49 @@ namespace DatevConnector.Webclient
         public string RemoteName { get; set; }
         public string State { get; set; }
         public string Reason { get; set; }
+        public long StartedAt { get; set; }
+        public long AnsweredAt { get; set; }
+        public int TalkSeconds { get; set; }
+        public bool Held { get; set; }
+        public string TransferType { get; set; }
+        public string ConferenceId { get; set; }
+        public string ConferenceState { get; set; }
+        public string QueueName { get; set; }
+        public string QueueNumber { get; set; }
+        public string Did { get; set; }
+        public string SourceType { get; set; }
+        public string SourceNumber { get; set; }
+        public string SourceName { get; set; }
         public string ContextExtension { get; set; }
+        public string ContextDomain { get; set; }
         public string TabId { get; set; }
+        public bool Replay { get; set; }
+
+        // CALL_SNAPSHOT: one entry per active call (CALL_EVENT shape)
+        public List<ExtensionMessage> Calls { get; set; }
+
+        // CONFERENCE: participants (CallId, RemoteNumber, RemoteName), empty when ended
+        public List<ExtensionMessage> ConferenceCalls { get; set; }
+
+        // COMMAND_RESULT fields
+        public string RequestId { get; set; }
+        public string Command { get; set; }
+        public string Status { get; set; }
+        public bool Final { get; set; }
+        public bool Success { get; set; }
+        public string Error { get; set; }
+
+        // LOOKUP / OPEN_CONTACT fields (request id and call id as above)
+        public string Number { get; set; }
+        public string ContactId { get; set; }
+
+        // PRESENCE fields ("status" is read into Status above)
+        public string Profile { get; set; }
+        public List<PresenceProfile> Profiles { get; set; }
+
+        // EXTENSION_STATUS fields; Full = complete state of the subscription
+        public bool Full { get; set; }
+        public List<ExtensionStatusEntry> ExtensionStatuses { get; set; }
 
         /// <summary>
         /// Parse a JSON string into an ExtensionMessage.
@@ -94,23 +291,145 @@ namespace DatevConnector.Webclient
             msg.WebclientVersion = GetString(dict, "webclientVersion");
             msg.UserName = GetString(dict, "userName");
             msg.Token = GetString(dict, "token");
+            msg.AuthNonce = GetString(dict, "auth.nonce");
+            if (string.Equals(msg.Type, Protocol.TypeHello, StringComparison.OrdinalIgnoreCase))
+            {
+                // An extension without negotiation speaks exactly its "v".
+                msg.Versions = new List<int>();
+                int versionCount = GetInt(dict, "versions.length");
+                for (int i = 0; i < versionCount; i++)
+                    msg.Versions.Add(GetInt(dict, "versions." + i));
+                if (versionCount == 0)
+                    msg.Versions.Add(msg.Version);
+
+                int capabilityCount = GetInt(dict, "capabilities.length");
+                msg.Capabilities = new List<string>(capabilityCount);
+                for (int i = 0; i < capabilityCount; i++)
+                {
+                    var cap = GetString(dict, "capabilities." + i);
+                    if (!string.IsNullOrEmpty(cap)) msg.Capabilities.Add(cap);
+                }
+                if (!dict.ContainsKey("capabilities.length"))
+                    msg.Capabilities.AddRange(Protocol.LegacyCapabilities);
+            }
+
+            // AUTH fields
+            msg.AuthProof = GetString(dict, "proof");
 
             // CALL_EVENT nested "call" object
-            msg.CallId = GetString(dict, "call.id");
-            msg.Direction = GetString(dict, "call.direction");
-            msg.RemoteNumber = GetString(dict, "call.remoteNumber");
-            msg.RemoteName = GetString(dict, "call.remoteName");
-            msg.State = GetString(dict, "call.state");
-            msg.Reason = GetString(dict, "call.reason");
+            ReadCall(dict, "call.", msg);
             msg.Timestamp = GetLong(dict, "ts");
+            msg.Replay = GetBool(dict, "replay");
+            msg.ConferenceId = msg.ConferenceId ?? GetString(dict, "conference.id");
+            msg.ConferenceState = GetString(dict, "conference.state");
+
+            // CALL_SNAPSHOT: "calls" array, flattened by SimpleJsonParser to calls.N.*
+            int callCount = GetInt(dict, "calls.length");
+            if (callCount > 0)
+            {
+                msg.Calls = new List<ExtensionMessage>(callCount);
+                for (int i = 0; i < callCount; i++)
+                {
+                    var call = new ExtensionMessage { Version = msg.Version, Type = Protocol.TypeCallEvent };
+                    ReadCall(dict, "calls." + i + ".", call);
+                    call.Timestamp = GetLong(dict, "calls." + i + ".since");
+                    call.ContextDomain = GetString(dict, "calls." + i + ".domain");
+                    msg.Calls.Add(call);
+                }
+            }
+
+            // CONFERENCE: "conference.calls" array
+            int participantCount = GetInt(dict, "conference.calls.length");
+            msg.ConferenceCalls = new List<ExtensionMessage>(participantCount);
+            for (int i = 0; i < participantCount; i++)
+            {
+                string prefix = "conference.calls." + i + ".";
+                msg.ConferenceCalls.Add(new ExtensionMessage
+                {
+                    Version = msg.Version,
+                    CallId = GetString(dict, prefix + "id"),
+                    RemoteNumber = GetString(dict, prefix + "remoteNumber"),
+                    RemoteName = GetString(dict, prefix + "remoteName")
+                });
+            }
 
             // Context
             msg.ContextExtension = GetString(dict, "context.extension");
+            msg.ContextDomain = GetString(dict, "context.domain");
             msg.TabId = GetString(dict, "context.tabId");
 
+            // COMMAND_RESULT (call id is top-level, not nested in "call")
+            msg.RequestId = GetString(dict, "requestId");
+            msg.Command = GetString(dict, "cmd");
+            msg.Status = GetString(dict, "status");
+            msg.Final = GetBool(dict, "final");
+            msg.Success = GetBool(dict, "success");
+            msg.Error = GetString(dict, "error");
+            if (msg.CallId == null)
+                msg.CallId = GetString(dict, "callId");
+
+            // LOOKUP / OPEN_CONTACT
+            msg.Number = GetString(dict, "number");
+            msg.ContactId = GetString(dict, "contactId");
+
+            // PRESENCE: "profiles" array of { name, status }
+            msg.Profile = GetString(dict, "profile");
+            int profileCount = GetInt(dict, "profiles.length");
+            if (profileCount > 0)
+            {
+                msg.Profiles = new List<PresenceProfile>(profileCount);
+                for (int i = 0; i < profileCount; i++)
+                {
+                    msg.Profiles.Add(new PresenceProfile
+                    {
+                        Name = GetString(dict, "profiles." + i + ".name"),
+                        Status = GetString(dict, "profiles." + i + ".status")
+                    });
+                }
+            }
+
+            // EXTENSION_STATUS: "extensions" array of { number, name, status }
+            msg.Full = GetBool(dict, "full");
+            int extensionCount = GetInt(dict, "extensions.length");
+            if (string.Equals(msg.Type, Protocol.TypeExtensionStatus, StringComparison.OrdinalIgnoreCase))
+            {
+                msg.ExtensionStatuses = new List<ExtensionStatusEntry>(extensionCount);
+                for (int i = 0; i < extensionCount; i++)
+                {
+                    msg.ExtensionStatuses.Add(new ExtensionStatusEntry
+                    {
+                        Number = GetString(dict, "extensions." + i + ".number"),
+                        Name = GetString(dict, "extensions." + i + ".name"),
+                        Status = GetString(dict, "extensions." + i + ".status")
+                    });
+                }
+            }
+
             return msg;
         }
 
+        private static void ReadCall(Dictionary<string, string> dict, string prefix, ExtensionMessage msg)
+        {
+            msg.CallId = GetString(dict, prefix + "id");
+            msg.Direction = GetString(dict, prefix + "direction");
+            msg.RemoteNumber = GetString(dict, prefix + "remoteNumber");
+            msg.RemoteName = GetString(dict, prefix + "remoteName");
+            msg.State = GetString(dict, prefix + "state");
+            msg.Reason = GetString(dict, prefix + "reason");
+            msg.StartedAt = GetLong(dict, prefix + "startedAt");
+            msg.AnsweredAt = GetLong(dict, prefix + "answeredAt");
+            msg.TalkSeconds = GetInt(dict, prefix + "talkSeconds");
+            msg.Held = GetBool(dict, prefix + "held");
+            msg.TransferType = GetString(dict, prefix + "transferType");
+            msg.ConferenceId = GetString(dict, prefix + "conferenceId");
+            msg.QueueName = GetString(dict, prefix + "queueName");
+            msg.QueueNumber = GetString(dict, prefix + "queueNumber");
+            msg.Did = GetString(dict, prefix + "did");
+            msg.SourceType = GetString(dict, prefix + "source.type");
+            msg.SourceNumber = GetString(dict, prefix + "source.number");
+            msg.SourceName = GetString(dict, prefix + "source.name");
+        }
+
         private static string GetString(Dictionary<string, string> dict, string key)
         {
             string val;
@@ -125,6 +444,12 @@ namespace DatevConnector.Webclient
             return 0;
         }
 
+        private static bool GetBool(Dictionary<string, string> dict, string key)
+        {
+            string val;
+            return dict.TryGetValue(key, out val) && string.Equals(val, "true", StringComparison.OrdinalIgnoreCase);
+        }
+
         private static long GetLong(Dictionary<string, string> dict, string key)
         {
             string val;
@@ -134,31 +459,83 @@ namespace DatevConnector.Webclient
         }
     }
 
+    /// <summary>
+    /// One 3CX forwarding profile as listed in PRESENCE.
+    /// </summary>
+    public class PresenceProfile
+    {
+        public string Name { get; set; }
+        public string Status { get; set; }
+    }
+
+    /// <summary>
+    /// Line state of one colleague extension as listed in EXTENSION_STATUS.
+    /// </summary>
+    public class ExtensionStatusEntry
+    {
+        public string Number { get; set; }
+        public string Name { get; set; }
+        public string Status { get; set; }
+    }
+
     /// <summary>
     /// Builds JSON command messages to send to the browser extension.
     /// </summary>
     public static class BridgeMessageBuilder
     {
-        public static string BuildHelloAck(string bridgeVersion, string extension, int port)
+        public static string BuildHelloAck(string bridgeVersion, string extension, int port,
+            int protocolVersion, string authNonce, string authProof)
         {
             var sb = new StringBuilder();
-            sb.Append("{\"v\":").Append(Protocol.Version);
+            sb.Append("{\"v\":").Append(protocolVersion > 0 ? protocolVersion : Protocol.Version);
             sb.Append(",\"type\":\"").Append(Protocol.TypeHelloAck).Append("\"");
             sb.Append(",\"bridgeVersion\":\"").Append(EscapeJson(bridgeVersion)).Append("\"");
             sb.Append(",\"extension\":\"").Append(EscapeJson(extension)).Append("\"");
             sb.Append(",\"port\":").Append(port);
             sb.Append(",\"ready\":true");
+            sb.Append(",\"protocolVersion\":").Append(protocolVersion);
+            sb.Append(",\"versions\":[").Append(string.Join(",", Protocol.SupportedVersions)).Append("]");
+            sb.Append(",\"capabilities\":[");
+            for (int i = 0; i < Protocol.BridgeCapabilities.Length; i++)
+            {
+                if (i > 0) sb.Append(",");
+                sb.Append("\"").Append(Protocol.BridgeCapabilities[i]).Append("\"");
+            }
+            sb.Append("]");
+            sb.Append(",\"auth\":{\"nonce\":\"").Append(EscapeJson(authNonce)).Append("\"");
+            sb.Append(",\"proof\":\"").Append(EscapeJson(authProof)).Append("\"}");
             sb.Append("}");
             return sb.ToString();
         }
 
-        public static string BuildDialCommand(string number, string syncId = null)
+        public static string BuildAuthResult(bool ok, string reason)
+        {
+            var sb = new StringBuilder();
+            sb.Append("{\"v\":").Append(Protocol.Version);
+            sb.Append(",\"type\":\"").Append(Protocol.TypeAuthResult).Append("\"");
+            sb.Append(",\"ok\":").Append(ok ? "true" : "false");
+            sb.Append(",\"reason\":\"").Append(EscapeJson(reason ?? "")).Append("\"");
+            sb.Append("}");
+            return sb.ToString();
+        }
+
+        /// <summary>
+        /// DIAL; <paramref name="domain"/> selects the 3CX system when the user is
+        /// signed into several (MULTI_PBX), otherwise the extension's default is used.
+        /// </summary>
+        public static string BuildDialCommand(string number, string syncId = null, string requestId = null,
+            string domain = null)
         {
             var sb = new StringBuilder();
             sb.Append("{\"v\":").Append(Protocol.Version);
             sb.Append(",\"type\":\"").Append(Protocol.TypeCommand).Append("\"");
             sb.Append(",\"cmd\":\"").Append(Protocol.CmdDial).Append("\"");
+            AppendRequestId(sb, requestId);
             sb.Append(",\"number\":\"").Append(EscapeJson(number)).Append("\"");
+            if (!string.IsNullOrEmpty(domain))
+            {
+                sb.Append(",\"domain\":\"").Append(EscapeJson(domain)).Append("\"");
+            }
             if (!string.IsNullOrEmpty(syncId))
             {
                 sb.Append(",\"context\":{\"syncId\":\"").Append(EscapeJson(syncId)).Append("\"}");
@@ -167,20 +544,119 @@ namespace DatevConnector.Webclient
             return sb.ToString();
         }
 
-        public static string BuildDropCommand(string callId = null)
+        public static string BuildDropCommand(string callId = null, string requestId = null)
+        {
+            return BuildCallCommand(Protocol.CmdDrop, callId, requestId, null);
+        }
+
+        /// <summary>
+        /// COMMAND for one call (ANSWER, REJECT, DIVERT, HOLD, RESUME, TRANSFER,
+        /// ATTENDED_TRANSFER, COMPLETE_TRANSFER, SEND_DTMF). Without callId the
+        /// extension uses the most recent call in the state the command needs;
+        /// number is the target of DIVERT / TRANSFER / ATTENDED_TRANSFER, digits
+        /// the tones of SEND_DTMF.
+        /// </summary>
+        public static string BuildCallCommand(string cmd, string callId, string requestId, string number,
+            string digits = null)
         {
             var sb = new StringBuilder();
             sb.Append("{\"v\":").Append(Protocol.Version);
             sb.Append(",\"type\":\"").Append(Protocol.TypeCommand).Append("\"");
-            sb.Append(",\"cmd\":\"").Append(Protocol.CmdDrop).Append("\"");
+            sb.Append(",\"cmd\":\"").Append(cmd).Append("\"");
+            AppendRequestId(sb, requestId);
             if (!string.IsNullOrEmpty(callId))
             {
                 sb.Append(",\"callId\":\"").Append(EscapeJson(callId)).Append("\"");
             }
+            if (!string.IsNullOrEmpty(number))
+            {
+                sb.Append(",\"number\":\"").Append(EscapeJson(number)).Append("\"");
+            }
+            if (!string.IsNullOrEmpty(digits))
+            {
+                sb.Append(",\"digits\":\"").Append(EscapeJson(digits)).Append("\"");
+            }
             sb.Append("}");
             return sb.ToString();
         }
 
+        /// <summary>
+        /// SET_PRESENCE by status (Protocol.Presence*) or, for custom profiles,
+        /// by exact profile name.
+        /// </summary>
+        public static string BuildSetPresenceCommand(string status, string profile, string requestId)
+        {
+            var sb = new StringBuilder();
+            sb.Append("{\"v\":").Append(Protocol.Version);
+            sb.Append(",\"type\":\"").Append(Protocol.TypeCommand).Append("\"");
+            sb.Append(",\"cmd\":\"").Append(Protocol.CmdSetPresence).Append("\"");
+            AppendRequestId(sb, requestId);
+            if (!string.IsNullOrEmpty(status))
+            {
+                sb.Append(",\"status\":\"").Append(EscapeJson(status)).Append("\"");
+            }
+            if (!string.IsNullOrEmpty(profile))
+            {
+                sb.Append(",\"profile\":\"").Append(EscapeJson(profile)).Append("\"");
+            }
+            sb.Append("}");
+            return sb.ToString();
+        }
+
+        /// <summary>
+        /// Replace the set of extensions the extension reports in EXTENSION_STATUS
+        /// (empty = none).
+        /// </summary>
+        public static string BuildSubscribeExtensions(IList<string> extensions)
+        {
+            var sb = new StringBuilder();
+            sb.Append("{\"v\":").Append(Protocol.Version);
+            sb.Append(",\"type\":\"").Append(Protocol.TypeSubscribeExtensions).Append("\"");
+            sb.Append(",\"extensions\":[");
+            for (int i = 0; i < (extensions?.Count ?? 0); i++)
+            {
+                if (i > 0) sb.Append(",");
+                sb.Append("\"").Append(EscapeJson(extensions[i])).Append("\"");
+            }
+            sb.Append("]}");
+            return sb.ToString();
+        }
+
+        /// <summary>
+        /// Answer to LOOKUP: matching DATEV contacts for the number, best match first.
+        /// "kind" is "recipient" (Adressat) or "institution".
+        /// </summary>
+        public static string BuildLookupResult(string requestId, string callId, string number,
+            IList<DatevContactInfo> contacts)
+        {
+            var sb = new StringBuilder();
+            sb.Append("{\"v\":").Append(Protocol.Version);
+            sb.Append(",\"type\":\"").Append(Protocol.TypeLookupResult).Append("\"");
+            AppendRequestId(sb, requestId);
+            sb.Append(",\"callId\":\"").Append(EscapeJson(callId)).Append("\"");
+            sb.Append(",\"number\":\"").Append(EscapeJson(number)).Append("\"");
+            sb.Append(",\"contacts\":[");
+            int count = Math.Min(contacts?.Count ?? 0, Protocol.LookupMaxContacts);
+            for (int i = 0; i < count; i++)
+            {
+                var contact = contacts[i].DatevContact;
+                if (i > 0) sb.Append(",");
+                sb.Append("{\"id\":\"").Append(EscapeJson(contact?.Id)).Append("\"");
+                sb.Append(",\"name\":\"").Append(EscapeJson(contact?.Name)).Append("\"");
+                sb.Append(",\"kind\":\"").Append(contact != null && contact.IsRecipient ? "recipient" : "institution").Append("\"");
+                sb.Append(",\"privatePerson\":").Append(contact != null && contact.IsPrivatePerson ? "true" : "false");
+                sb.Append("}");
+            }
+            sb.Append("]}");
+            return sb.ToString();
+        }
+
+        private static void AppendRequestId(StringBuilder sb, string requestId)
+        {
+            if (!string.IsNullOrEmpty(requestId))
+                sb.Append(",\"requestId\":\"").Append(EscapeJson(requestId)).Append("\"");
+        }
+
         private static string EscapeJson(string s)
         {
             if (string.IsNullOrEmpty(s)) return "";
@@ -196,6 +672,8 @@ namespace DatevConnector.Webclient
     /// Minimal JSON parser that flattens nested objects using dot notation.
     /// Handles the specific protocol schema without external dependencies.
     /// Example: {"call":{"id":"123"}} -> dict["call.id"] = "123"
+    /// Arrays are flattened by index plus a length entry:
+    /// {"calls":[{"id":"1"}]} -> dict["calls.0.id"] = "1", dict["calls.length"] = "1"
     /// </summary>
     internal static class SimpleJsonParser
     {
@@ -248,8 +726,8 @@ namespace DatevConnector.Webclient
                 }
                 else if (pos < json.Length && json[pos] == '[')
                 {
-                    // Array — skip entire array content (not used by protocol)
-                    SkipArray(json, ref pos);
+                    // Array — flattened by index: calls[0].id -> "calls.0.id"
+                    ParseArray(json, ref pos, fullKey, dict);
                 }
                 else if (pos < json.Length && json[pos] == '"')
                 {
@@ -331,18 +809,42 @@ namespace DatevConnector.Webclient
             return json.Substring(start, pos - start).Trim();
         }
 
-        private static void SkipArray(string json, ref int pos)
+        private static void ParseArray(string json, ref int pos, string prefix, Dictionary<string, string> dict)
         {
             if (pos >= json.Length || json[pos] != '[') return;
-            int depth = 1;
-            pos++;
-            while (pos < json.Length && depth > 0)
+            pos++; // skip '['
+
+            int index = 0;
+            while (pos < json.Length)
             {
-                if (json[pos] == '[') depth++;
-                else if (json[pos] == ']') depth--;
-                else if (json[pos] == '"') { ReadString(json, ref pos); continue; }
-                pos++;
+                SkipWhitespace(json, ref pos);
+                if (pos >= json.Length) break;
+                if (json[pos] == ']') { pos++; break; }
+                if (json[pos] == ',') { pos++; continue; }
+
+                string itemKey = prefix + "." + index;
+                if (json[pos] == '{')
+                {
+                    ParseObject(json, ref pos, itemKey, dict);
+                }
+                else if (json[pos] == '[')
+                {
+                    ParseArray(json, ref pos, itemKey, dict);
+                }
+                else if (json[pos] == '"')
+                {
+                    string val = ReadString(json, ref pos);
+                    if (val != null) dict[itemKey] = val;
+                }
+                else
+                {
+                    string val = ReadLiteral(json, ref pos);
+                    if (val != null && val != "null") dict[itemKey] = val;
+                }
+                index++;
             }
+
+            dict[prefix + ".length"] = index.ToString();
         }
 
         private static void SkipWhitespace(string json, ref int pos)
@@ -1,4 +1,5 @@
 using System;
+using System.Collections.Generic;
 using System.IO;
 using System.Net;
 using System.Net.Sockets;
@@ -15,7 +16,9 @@ namespace DatevConnector.Webclient
     /// Minimal RFC 6455 WebSocket server on localhost for browser extension
     /// communication. The extension connects directly via ws://127.0.0.1:PORT.
     ///
-    /// Speaks the bridge JSON protocol (HELLO, HELLO_ACK, CALL_EVENT, COMMAND).
+    /// Speaks the bridge JSON protocol (HELLO, HELLO_ACK, AUTH, AUTH_RESULT, CALL_EVENT, COMMAND, COMMAND_RESULT).
+    /// Messages other than HELLO / AUTH are only accepted, and commands only sent,
+    /// once the extension proved knowledge of the pairing key (see BridgeAuth).
     /// WebSocket handles message boundaries natively — no length-prefix framing needed.
     /// </summary>
     public class WebSocketBridgeServer : IDisposable
@@ -44,17 +47,27 @@ namespace DatevConnector.Webclient
             public NetworkStream Stream;
             public volatile bool Connected;
             public volatile bool HelloReceived;
+            public volatile bool Authenticated;
+            public string ClientNonce;
+            public string ServerNonce;
+            public int ProtocolVersion; // negotiated in HELLO, 0 = no common version
+            public HashSet<string> Capabilities = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
             public string ExtensionNumber;
             public string WebclientIdentity;
             public string Domain;
             public string WebclientVersion;
 
-            public bool IsFullyConnected => Connected && HelloReceived;
+            public bool IsFullyConnected => Connected && Authenticated;
 
             public void Reset()
             {
                 Connected = false;
                 HelloReceived = false;
+                Authenticated = false;
+                ClientNonce = null;
+                ServerNonce = null;
+                ProtocolVersion = 0;
+                Capabilities.Clear();
                 ExtensionNumber = null;
                 WebclientIdentity = null;
                 Domain = null;
@@ -67,10 +80,24 @@ namespace DatevConnector.Webclient
         private readonly ClientConnection _conn = new ClientConnection();
 
         public event Action<ExtensionMessage> CallEventReceived;
+        public event Action<ExtensionMessage> CommandResultReceived;
+        public event Action<ExtensionMessage> CallSnapshotReceived;
+        public event Action<ExtensionMessage> ConferenceReceived;
+        public event Action<ExtensionMessage> LookupReceived;
+        public event Action<ExtensionMessage> OpenContactReceived;
+        public event Action<ExtensionMessage> PresenceReceived;
+        public event Action<ExtensionMessage> ExtensionStatusReceived;
         public event Action<string> HelloReceived;
+        public event Action<string> Authenticated;
         public event Action Disconnected;
 
         public bool IsConnected => _conn.IsFullyConnected && !_disposed;
+
+        /// <summary>
+        /// True when the connected extension announced <paramref name="capability"/>
+        /// (Protocol.Cap*) in its HELLO.
+        /// </summary>
+        public bool ExtensionSupports(string capability) => _conn.Capabilities.Contains(capability);
         public string ExtensionNumber => _conn.ExtensionNumber;
         public string WebclientIdentity => _conn.WebclientIdentity;
         public string Domain => _conn.Domain;
@@ -170,10 +197,10 @@ namespace DatevConnector.Webclient
                             continue;
                         }
 
-                        // Wait for HELLO
+                        // Wait for HELLO + AUTH
                         var helloTcs = new TaskCompletionSource<bool>();
                         Action<string> onHello = _ => helloTcs.TrySetResult(true);
-                        HelloReceived += onHello;
+                        Authenticated += onHello;
 
                         try
                         {
@@ -191,13 +218,13 @@ namespace DatevConnector.Webclient
                                 return true;
                             }
 
-                            LogManager.Log("WebClient Connector: TryAccept fehlgeschlagen (kein HELLO)");
+                            LogManager.Log("WebClient Connector: TryAccept fehlgeschlagen (kein authentifiziertes HELLO)");
                             DisconnectClient(client);
                             return false;
                         }
                         finally
                         {
-                            HelloReceived -= onHello;
+                            Authenticated -= onHello;
                         }
                     }
                     catch (OperationCanceledException)
@@ -220,19 +247,80 @@ namespace DatevConnector.Webclient
 
         // ===== Send methods =====
 
+        /// <summary>
+        /// Answer HELLO with our challenge and our proof for the extension's nonce.
+        /// The server nonce is fixed per connection so repeated HELLOs (extension
+        /// retries) all expect the same AUTH proof.
+        /// </summary>
         public bool SendHelloAck(string bridgeVersion, string extension)
         {
-            return SendJson(BridgeMessageBuilder.BuildHelloAck(bridgeVersion, extension, BoundPort));
+            if (_conn.ServerNonce == null)
+                _conn.ServerNonce = BridgeAuth.CreateNonce();
+
+            string proof = string.IsNullOrEmpty(_conn.ClientNonce)
+                ? ""
+                : BridgeAuth.ComputeProof(PairingKeyStore.GetOrCreate(), BridgeAuth.RoleBridge,
+                    _conn.ClientNonce, _conn.ServerNonce);
+
+            return SendJson(BridgeMessageBuilder.BuildHelloAck(bridgeVersion, extension, BoundPort,
+                _conn.ProtocolVersion, _conn.ServerNonce, proof));
         }
 
-        public bool SendDial(string number, string syncId = null)
+        /// <summary>
+        /// DIAL; <paramref name="domain"/> is only passed on to an extension that
+        /// announces MULTI_PBX (older ones dial on their only 3CX system anyway).
+        /// </summary>
+        public bool SendDial(string number, string syncId = null, string requestId = null, string domain = null)
         {
-            return SendJson(BridgeMessageBuilder.BuildDialCommand(number, syncId));
+            if (!ExtensionSupports(Protocol.CapMultiPbx))
+                domain = null;
+            return SendCommandJson(Protocol.CapDial, BridgeMessageBuilder.BuildDialCommand(number, syncId, requestId, domain));
         }
 
-        public bool SendDrop(string callId = null)
+        public bool SendDrop(string callId = null, string requestId = null)
         {
-            return SendJson(BridgeMessageBuilder.BuildDropCommand(callId));
+            return SendCommandJson(Protocol.CapDrop, BridgeMessageBuilder.BuildDropCommand(callId, requestId));
+        }
+
+        /// <summary>
+        /// Call command (Protocol.CmdAnswer ... CmdCompleteTransfer); each command
+        /// is also the capability the extension announces for it.
+        /// </summary>
+        public bool SendCallCommand(string command, string callId, string number = null, string requestId = null,
+            string digits = null)
+        {
+            return SendCommandJson(command, BridgeMessageBuilder.BuildCallCommand(command, callId, requestId, number, digits));
+        }
+
+        public bool SendSetPresence(string status, string profile = null, string requestId = null)
+        {
+            return SendCommandJson(Protocol.CapSetPresence,
+                BridgeMessageBuilder.BuildSetPresenceCommand(status, profile, requestId));
+        }
+
+        public bool SendSubscribeExtensions(IList<string> extensions)
+        {
+            return SendCommandJson(Protocol.CapExtensionStatus, BridgeMessageBuilder.BuildSubscribeExtensions(extensions));
+        }
+
+        public bool SendLookupResult(string json)
+        {
+            return SendCommandJson(Protocol.CapLookup, json);
+        }
+
+        private bool SendCommandJson(string capability, string json)
+        {
+            if (!_conn.Authenticated)
+            {
+                LogManager.Warning("WebClient Connector: Befehl verworfen, Erweiterung nicht authentifiziert");
+                return false;
+            }
+            if (!ExtensionSupports(capability))
+            {
+                LogManager.Warning("WebClient Connector: Befehl {0} verworfen, von der Erweiterung nicht unterstützt (Erweiterung aktualisieren)", capability);
+                return false;
+            }
+            return SendJson(json);
         }
 
         public bool SendJson(string json)
@@ -463,10 +551,13 @@ namespace DatevConnector.Webclient
                 return;
             }
 
-            if (msg.Version != Protocol.Version)
+            // HELLO carries the extension's highest version; everything after
+            // it must use the version negotiated there.
+            if (_conn.ProtocolVersion > 0 && msg.Version != _conn.ProtocolVersion &&
+                !string.Equals(msg.Type, Protocol.TypeHello, StringComparison.OrdinalIgnoreCase))
             {
-                LogManager.Warning("WebClient Connector: Nicht unterstützte Protokollversion {0} (erwartet {1})",
-                    msg.Version, Protocol.Version);
+                LogManager.Warning("WebClient Connector: {0} mit Protokollversion {1} (vereinbart {2})",
+                    msg.Type, msg.Version, _conn.ProtocolVersion);
             }
 
             if (string.Equals(msg.Type, Protocol.TypeHello, StringComparison.OrdinalIgnoreCase))
@@ -475,23 +566,109 @@ namespace DatevConnector.Webclient
                 _conn.WebclientIdentity = msg.WebclientIdentity;
                 _conn.Domain = msg.Domain;
                 _conn.WebclientVersion = msg.WebclientVersion;
+                _conn.ClientNonce = msg.AuthNonce;
+                _conn.ProtocolVersion = Protocol.NegotiateVersion(msg.Versions);
+                _conn.Capabilities.Clear();
+                _conn.Capabilities.UnionWith(msg.Capabilities);
                 _conn.HelloReceived = true;
                 LogManager.Log("WebClient HELLO von extension={0}, identity={1}, FQDN={2}, Port={3}",
                     _conn.ExtensionNumber ?? "(none)", _conn.WebclientIdentity ?? "(none)",
                     _conn.Domain ?? "(none)", BoundPort);
-                LogManager.Debug("WebClient Connector: version={0}", _conn.WebclientVersion ?? "(none)");
+                LogManager.Debug("WebClient Connector: version={0}, Protokoll={1}, Fähigkeiten={2}",
+                    _conn.WebclientVersion ?? "(none)", _conn.ProtocolVersion, string.Join(",", _conn.Capabilities));
+                if (_conn.ProtocolVersion == 0)
+                {
+                    LogManager.Warning("WebClient Connector: Keine gemeinsame Protokollversion (Erweiterung {0}, Bridge {1})",
+                        string.Join(",", msg.Versions), string.Join(",", Protocol.SupportedVersions));
+                }
+                if (string.IsNullOrEmpty(msg.AuthNonce))
+                    LogManager.Warning("WebClient Connector: HELLO ohne Authentifizierung, Erweiterung veraltet oder nicht gekoppelt");
                 HelloReceived?.Invoke(_conn.ExtensionNumber);
             }
+            else if (string.Equals(msg.Type, Protocol.TypeAuth, StringComparison.OrdinalIgnoreCase))
+            {
+                ProcessAuth(msg);
+            }
+            else if (!_conn.Authenticated)
+            {
+                LogManager.Warning("WebClient Connector: {0} vor Authentifizierung, ignoriert", msg.Type);
+                return;
+            }
             else if (string.Equals(msg.Type, Protocol.TypeCallEvent, StringComparison.OrdinalIgnoreCase))
             {
-                if (!_conn.HelloReceived)
+                LogManager.Debug("WebClient Connector: CALL_EVENT callId={0} state={1} direction={2} remote={3}{4}",
+                    msg.CallId, msg.State, msg.Direction, LogManager.Mask(msg.RemoteNumber),
+                    msg.Replay ? " (nachgesendet)" : "");
+                try { CallEventReceived?.Invoke(msg); }
+                catch (Exception ex)
                 {
-                    LogManager.Warning("WebClient Connector: CALL_EVENT vor HELLO, ignoriert");
-                    return;
+                    LogManager.Log("WebClient Connector: Fehler im Handler - {0}", ex.Message);
                 }
-                LogManager.Debug("WebClient Connector: CALL_EVENT callId={0} state={1} direction={2} remote={3}",
-                    msg.CallId, msg.State, msg.Direction, LogManager.Mask(msg.RemoteNumber));
-                try { CallEventReceived?.Invoke(msg); }
+            }
+            else if (string.Equals(msg.Type, Protocol.TypeCallSnapshot, StringComparison.OrdinalIgnoreCase))
+            {
+                LogManager.Log("WebClient Connector: CALL_SNAPSHOT mit {0} aktiven Anruf(en)", msg.Calls?.Count ?? 0);
+                try { CallSnapshotReceived?.Invoke(msg); }
+                catch (Exception ex)
+                {
+                    LogManager.Log("WebClient Connector: Fehler im Handler - {0}", ex.Message);
+                }
+            }
+            else if (string.Equals(msg.Type, Protocol.TypeConference, StringComparison.OrdinalIgnoreCase))
+            {
+                LogManager.Debug("WebClient Connector: CONFERENCE id={0} state={1} participants={2}",
+                    msg.ConferenceId ?? "-", msg.ConferenceState ?? "-", msg.ConferenceCalls?.Count ?? 0);
+                try { ConferenceReceived?.Invoke(msg); }
+                catch (Exception ex)
+                {
+                    LogManager.Log("WebClient Connector: Fehler im Handler - {0}", ex.Message);
+                }
+            }
+            else if (string.Equals(msg.Type, Protocol.TypeCommandResult, StringComparison.OrdinalIgnoreCase))
+            {
+                LogManager.Debug("WebClient Connector: COMMAND_RESULT cmd={0} requestId={1} status={2} callId={3}",
+                    msg.Command, msg.RequestId ?? "-", msg.Status ?? "-", msg.CallId ?? "-");
+                try { CommandResultReceived?.Invoke(msg); }
+                catch (Exception ex)
+                {
+                    LogManager.Log("WebClient Connector: Fehler im Handler - {0}", ex.Message);
+                }
+            }
+            else if (string.Equals(msg.Type, Protocol.TypeLookup, StringComparison.OrdinalIgnoreCase))
+            {
+                LogManager.Debug("WebClient Connector: LOOKUP requestId={0} callId={1} number={2}",
+                    msg.RequestId ?? "-", msg.CallId ?? "-", LogManager.Mask(msg.Number));
+                try { LookupReceived?.Invoke(msg); }
+                catch (Exception ex)
+                {
+                    LogManager.Log("WebClient Connector: Fehler im Handler - {0}", ex.Message);
+                }
+            }
+            else if (string.Equals(msg.Type, Protocol.TypeOpenContact, StringComparison.OrdinalIgnoreCase))
+            {
+                LogManager.Debug("WebClient Connector: OPEN_CONTACT callId={0} contactId={1}",
+                    msg.CallId ?? "-", msg.ContactId ?? "-");
+                try { OpenContactReceived?.Invoke(msg); }
+                catch (Exception ex)
+                {
+                    LogManager.Log("WebClient Connector: Fehler im Handler - {0}", ex.Message);
+                }
+            }
+            else if (string.Equals(msg.Type, Protocol.TypePresence, StringComparison.OrdinalIgnoreCase))
+            {
+                LogManager.Debug("WebClient Connector: PRESENCE status={0} profile={1}",
+                    msg.Status ?? "-", msg.Profile ?? "-");
+                try { PresenceReceived?.Invoke(msg); }
+                catch (Exception ex)
+                {
+                    LogManager.Log("WebClient Connector: Fehler im Handler - {0}", ex.Message);
+                }
+            }
+            else if (string.Equals(msg.Type, Protocol.TypeExtensionStatus, StringComparison.OrdinalIgnoreCase))
+            {
+                LogManager.Debug("WebClient Connector: EXTENSION_STATUS {0} Nebenstelle(n){1}",
+                    msg.ExtensionStatuses.Count, msg.Full ? " (vollständig)" : "");
+                try { ExtensionStatusReceived?.Invoke(msg); }
                 catch (Exception ex)
                 {
                     LogManager.Log("WebClient Connector: Fehler im Handler - {0}", ex.Message);
@@ -503,6 +680,40 @@ namespace DatevConnector.Webclient
             }
         }
 
+        private void ProcessAuth(ExtensionMessage msg)
+        {
+            if (!_conn.HelloReceived || _conn.ServerNonce == null)
+            {
+                LogManager.Warning("WebClient Connector: AUTH vor HELLO, ignoriert");
+                return;
+            }
+            if (_conn.Authenticated) return;
+            if (_conn.ProtocolVersion == 0)
+            {
+                SendJson(BridgeMessageBuilder.BuildAuthResult(false, "version-mismatch"));
+                try { _conn.Client?.Close(); } catch { }
+                return;
+            }
+
+            bool ok = BridgeAuth.VerifyProof(PairingKeyStore.GetOrCreate(), BridgeAuth.RoleExtension,
+                _conn.ServerNonce, _conn.ClientNonce, msg.AuthProof);
+            SendJson(BridgeMessageBuilder.BuildAuthResult(ok, ok ? "" : "bad-proof"));
+
+            if (!ok)
+            {
+                LogManager.Warning("WebClient Connector: Authentifizierung fehlgeschlagen, Kopplungsschlüssel in der Erweiterung prüfen");
+                // Closing the socket ends the read loop; the accept loop then
+                // waits for the next connection.
+                try { _conn.Client?.Close(); } catch { }
+                return;
+            }
+
+            _conn.Authenticated = true;
+            LogManager.Log("WebClient Connector: Erweiterung authentifiziert (Nebenstelle {0})",
+                _conn.ExtensionNumber ?? "(none)");
+            Authenticated?.Invoke(_conn.ExtensionNumber);
+        }
+
         // ===== Helpers =====
 
         // True when the exception chain is the Windows "I/O operation aborted"
@@ -7,7 +7,9 @@ using System.Threading;
 using System.Threading.Tasks;
 using DatevConnector.Core;
 using DatevConnector.Core.Config;
+using DatevConnector.Datev;
 using DatevConnector.Datev.Managers;
+using DatevConnector.Datev.PluginData;
 using DatevConnector.Tapi;
 using static DatevConnector.Interop.TapiInterop;
 
@@ -19,11 +21,17 @@ namespace DatevConnector.Webclient
     /// commands (DIAL, DROP) are sent back to the extension.
     /// The browser extension connects directly — no relay process needed.
     /// </summary>
-    public class WebclientConnectionMethod : IConnectionMethod
+    public class WebclientConnectionMethod : IConnectionMethod, ICallControl
     {
         // Sentinel handle for the virtual line
         private static readonly IntPtr WebclientConnectedHandle = new IntPtr(-3);
+
+        // Reported as "bridgeVersion" in HELLO_ACK; the extension shows it when
+        // the connector lacks features it supports.
+        private static readonly string BridgeVersion =
+            System.Reflection.Assembly.GetExecutingAssembly().GetName().Version?.ToString(3) ?? "1.0.0";
         private static int _numericCallIdCounter;
+        private static int _requestIdCounter;
 
         private string _extension;
         private readonly int _connectTimeoutSec;
@@ -46,6 +54,33 @@ namespace DatevConnector.Webclient
         private readonly ConcurrentDictionary<string, string> _lastCallState =
             new ConcurrentDictionary<string, string>(StringComparer.OrdinalIgnoreCase);
 
+        // Last PRESENCE from the extension; null until reported or after disconnect
+        private volatile ExtensionMessage _presence;
+
+        // Colleague extensions to watch (Webclient.ColleagueExtensions) and their
+        // last reported line state (EXTENSION_STATUS)
+        private string[] _colleagueExtensions;
+        private readonly ConcurrentDictionary<string, ExtensionStatusEntry> _colleagueStatus =
+            new ConcurrentDictionary<string, ExtensionStatusEntry>(StringComparer.OrdinalIgnoreCase);
+
+        // 3CX system for DIAL when the extension is signed into several (Webclient.DialDomain)
+        private readonly string _dialDomain;
+
+        // Extension per 3CX system as reported in the context of its calls (keyed by domain)
+        private readonly ConcurrentDictionary<string, string> _domainExtensions =
+            new ConcurrentDictionary<string, string>(StringComparer.OrdinalIgnoreCase);
+
+        // Commands sent to the extension that still await a final COMMAND_RESULT (keyed by requestId)
+        private readonly ConcurrentDictionary<string, PendingCommand> _pendingCommands =
+            new ConcurrentDictionary<string, PendingCommand>(StringComparer.Ordinal);
+
+        private class PendingCommand
+        {
+            public string Command;
+            public string Target;
+            public DateTime SentAtUtc;
+        }
+
         // IPC — WebSocket
         private WebSocketBridgeServer _wsServer;
 
@@ -56,12 +91,63 @@ namespace DatevConnector.Webclient
         public event Action Connected;
         public event Action Disconnected;
 
+        /// <summary>
+        /// Raised when the extension reports the final outcome of a command
+        /// (e.g. call-started, dropped, answered, no-tab, dialer-not-opened).
+        /// </summary>
+        public event Action<ExtensionMessage> CommandCompleted;
+
+        /// <summary>
+        /// Raised when the user opens the contact from the extension's call
+        /// notification (OPEN_CONTACT: callId, number, contactId).
+        /// </summary>
+        public event Action<ExtensionMessage> ContactOpenRequested;
+
+        /// <summary>
+        /// Raised when the user's 3CX status changes (PRESENCE: Status, Profile,
+        /// Profiles), and with null when the extension disconnects.
+        /// </summary>
+        public event Action<ExtensionMessage> PresenceChanged;
+
+        /// <summary>
+        /// Raised when the line state of a watched colleague changes, and when
+        /// the extension disconnects (all states unknown).
+        /// </summary>
+        public event Action ColleagueStatusChanged;
+
+        /// <summary>
+        /// Raised when a conference starts, changes participants or ends
+        /// (CONFERENCE: ConferenceId, ConferenceState, ConferenceCalls). Participant
+        /// call ids are the extension's; see ResolveTapiCallId.
+        /// </summary>
+        public event Action<ExtensionMessage> ConferenceChanged;
+
         // ===== Properties =====
         public bool IsMonitoring => _connected;
         public int ConnectedLineCount => _connected ? 1 : 0;
         public string LineName => _virtualLine?.LineName;
         public string Extension => _extension;
         public IReadOnlyList<TapiLineInfo> Lines => _lines.AsReadOnly();
+        public ExtensionMessage Presence => _presence;
+
+        /// <summary>
+        /// Watched colleagues in configured order; Status is null until the
+        /// extension reports the extension.
+        /// </summary>
+        public IReadOnlyList<ExtensionStatusEntry> ColleagueStatuses
+        {
+            get
+            {
+                var list = new List<ExtensionStatusEntry>();
+                foreach (string number in _colleagueExtensions)
+                {
+                    list.Add(_colleagueStatus.TryGetValue(number, out var entry)
+                        ? entry
+                        : new ExtensionStatusEntry { Number = number });
+                }
+                return list;
+            }
+        }
 
         public WebclientConnectionMethod(string extension)
         {
@@ -73,6 +159,16 @@ namespace DatevConnector.Webclient
             _wsPortRangeStart = rangeStart;
             _wsPortRangeEnd = rangeEnd;
             _preferredPort = ComputePreferredPort(extension, rangeStart);
+            _colleagueExtensions = ParseExtensionList(AppConfig.GetString(ConfigKeys.WebclientColleagueExtensions, ""));
+            _dialDomain = (AppConfig.GetString(ConfigKeys.WebclientDialDomain, "") ?? "").Trim();
+        }
+
+        private static string[] ParseExtensionList(string value)
+        {
+            return (value ?? "")
+                .Split(new[] { ',', ';', ' ' }, StringSplitOptions.RemoveEmptyEntries)
+                .Distinct(StringComparer.OrdinalIgnoreCase)
+                .ToArray();
         }
 
         // Deterministic port per extension: rangeStart + extension. Extension 1005
@@ -183,10 +279,21 @@ namespace DatevConnector.Webclient
         private void WireWebSocketEvents(Action<string> progressText)
         {
             _wsServer.CallEventReceived += OnExtensionCallEvent;
+            _wsServer.CommandResultReceived += OnExtensionCommandResult;
+            _wsServer.CallSnapshotReceived += OnExtensionCallSnapshot;
+            _wsServer.ConferenceReceived += OnExtensionConference;
+            _wsServer.LookupReceived += OnExtensionLookup;
+            _wsServer.OpenContactReceived += OnExtensionOpenContact;
+            _wsServer.PresenceReceived += OnExtensionPresence;
+            _wsServer.ExtensionStatusReceived += OnExtensionStatus;
             _wsServer.HelloReceived += (ext) =>
+            {
+                // Line setup waits for AUTH; until then echo the announced extension.
+                _wsServer.SendHelloAck(BridgeVersion, string.IsNullOrEmpty(_extension) ? ext : _extension);
+            };
+            _wsServer.Authenticated += (ext) =>
             {
                 OnHelloReceived(ext, progressText);
-                _wsServer.SendHelloAck("1.0", _extension);
             };
             _wsServer.Disconnected += () =>
             {
@@ -213,6 +320,10 @@ namespace DatevConnector.Webclient
 
             EventHelper.SafeInvoke(LineConnected, _virtualLine, "WebclientConnectionMethod.LineConnected");
             EventHelper.SafeInvoke(Connected, "WebclientConnectionMethod.Connected");
+
+            // The extension forgets the subscription with the connection
+            if (_colleagueExtensions.Length > 0 && _wsServer.ExtensionSupports(Protocol.CapExtensionStatus))
+                _wsServer.SendSubscribeExtensions(_colleagueExtensions);
         }
 
         private void OnTransportDisconnected(Action<string> progressText)
@@ -224,10 +335,20 @@ namespace DatevConnector.Webclient
             _virtualLine.Handle = IntPtr.Zero;
             _activeCalls.Clear();
             _lastCallState.Clear();
+            _pendingCommands.Clear();
+            bool hadPresence = _presence != null;
+            _presence = null;
+            bool hadColleagues = !_colleagueStatus.IsEmpty;
+            _colleagueStatus.Clear();
 
             LogManager.Log("WebClient Connector: Erweiterung getrennt");
             progressText?.Invoke("WebClient: Erweiterung getrennt");
 
+            if (hadPresence)
+                EventHelper.SafeInvoke(PresenceChanged, null, "WebclientConnectionMethod.PresenceChanged");
+            if (hadColleagues)
+                EventHelper.SafeInvoke(ColleagueStatusChanged, "WebclientConnectionMethod.ColleagueStatusChanged");
+
             EventHelper.SafeInvoke(LineDisconnected, _virtualLine, "WebclientConnectionMethod.LineDisconnected");
             EventHelper.SafeInvoke(Disconnected, "WebclientConnectionMethod.Disconnected");
         }
@@ -333,12 +454,21 @@ namespace DatevConnector.Webclient
                 // Outbound: dialing/ringing = RINGBACK. Inbound ringing = OFFERING.
                 tapiState = isInbound ? LINECALLSTATE_OFFERING : LINECALLSTATE_RINGBACK;
             }
-            else if (string.Equals(state, Protocol.StateConnected, StringComparison.OrdinalIgnoreCase))
+            else if (string.Equals(state, Protocol.StateConnected, StringComparison.OrdinalIgnoreCase) ||
+                     string.Equals(state, Protocol.StateResumed, StringComparison.OrdinalIgnoreCase))
             {
                 tapiState = LINECALLSTATE_CONNECTED;
             }
-            else if (string.Equals(state, Protocol.StateEnded, StringComparison.OrdinalIgnoreCase))
+            else if (string.Equals(state, Protocol.StateHeld, StringComparison.OrdinalIgnoreCase))
+            {
+                tapiState = LINECALLSTATE_ONHOLD;
+            }
+            else if (string.Equals(state, Protocol.StateEnded, StringComparison.OrdinalIgnoreCase) ||
+                     string.Equals(state, Protocol.StateTransferred, StringComparison.OrdinalIgnoreCase) ||
+                     string.Equals(state, Protocol.StateForwarded, StringComparison.OrdinalIgnoreCase) ||
+                     string.Equals(state, Protocol.StateAnsweredElsewhere, StringComparison.OrdinalIgnoreCase))
             {
+                // Transferred / forwarded / answered elsewhere are terminal for this extension.
                 tapiState = LINECALLSTATE_DISCONNECTED;
             }
             else
@@ -355,13 +485,14 @@ namespace DatevConnector.Webclient
             }
 
             // Get or create TapiCallEvent for this call
+            string extension = CallExtension(msg);
             int numericCallId = Interlocked.Increment(ref _numericCallIdCounter);
             var callEvent = _activeCalls.GetOrAdd(callId, _ => new TapiCallEvent
             {
                 CallHandle = IntPtr.Zero,
                 LineHandle = IntPtr.Zero,
                 CallId = numericCallId,
-                Extension = _extension,
+                Extension = extension,
                 Origin = isInbound ? LINECALLORIGIN_INBOUND : LINECALLORIGIN_OUTBOUND
             });
 
@@ -373,19 +504,43 @@ namespace DatevConnector.Webclient
                 {
                     callEvent.CallerNumber = msg.RemoteNumber;
                     callEvent.CallerName = msg.RemoteName;
-                    callEvent.CalledNumber = _extension;
+                    callEvent.CalledNumber = callEvent.Extension;
                 }
                 else
                 {
                     callEvent.CalledNumber = msg.RemoteNumber;
                     callEvent.CalledName = msg.RemoteName;
-                    callEvent.CallerNumber = _extension;
+                    callEvent.CallerNumber = callEvent.Extension;
                 }
             }
 
+            // Updates often repeat only what changed; keep what earlier events reported.
+            if (!string.IsNullOrEmpty(msg.QueueName)) callEvent.QueueName = msg.QueueName;
+            if (!string.IsNullOrEmpty(msg.QueueNumber)) callEvent.QueueNumber = msg.QueueNumber;
+            if (!string.IsNullOrEmpty(msg.Did)) callEvent.Did = msg.Did;
+            if (!string.IsNullOrEmpty(msg.SourceType))
+            {
+                callEvent.SourceType = msg.SourceType;
+                callEvent.SourceNumber = msg.SourceNumber;
+                callEvent.SourceName = msg.SourceName;
+            }
+            if (msg.TalkSeconds > 0) callEvent.TalkSeconds = msg.TalkSeconds;
+            if (tapiState == LINECALLSTATE_DISCONNECTED)
+            {
+                // Transferred / forwarded / answered elsewhere carry the reason in the state itself
+                callEvent.EndReason = string.IsNullOrEmpty(msg.Reason) ? state : msg.Reason;
+                callEvent.TransferType = msg.TransferType;
+            }
+
             LogManager.Log("WebClient Connector: {0} callId={1} caller={2} called={3} (mapped from '{4}')",
                 callEvent.CallStateString, callId,
                 LogManager.Mask(callEvent.CallerNumber) ?? "-", LogManager.Mask(callEvent.CalledNumber) ?? "-", state);
+            LogManager.Debug("WebClient Connector: callId={0} did={1} queue={2} source={3}:{4} held={5} talk={6}s reason={7}{8} 3CX={9}",
+                callId, LogManager.Mask(msg.Did) ?? "-", msg.QueueName ?? "-",
+                msg.SourceType ?? "-", LogManager.Mask(msg.SourceNumber) ?? "-", msg.Held, msg.TalkSeconds,
+                string.IsNullOrEmpty(msg.Reason) ? "-" : msg.Reason,
+                string.IsNullOrEmpty(msg.TransferType) ? "" : " (" + msg.TransferType + ")",
+                string.IsNullOrEmpty(msg.ContextDomain) ? "-" : msg.ContextDomain);
 
             EventHelper.SafeInvoke(CallStateChanged, callEvent, "WebclientConnectionMethod.CallStateChanged");
 
@@ -397,6 +552,189 @@ namespace DatevConnector.Webclient
             }
         }
 
+        /// <summary>
+        /// Extension a call is reported for. Calls of the 3CX system announced in
+        /// HELLO belong to the connected line; calls of another system the browser
+        /// is signed into carry that system's extension (context, or the last one
+        /// its domain reported — snapshot entries only name the domain).
+        /// </summary>
+        private string CallExtension(ExtensionMessage msg)
+        {
+            string domain = msg.ContextDomain;
+            if (string.IsNullOrEmpty(domain) || string.Equals(domain, _wsServer?.Domain, StringComparison.OrdinalIgnoreCase))
+                return _extension;
+
+            if (!string.IsNullOrEmpty(msg.ContextExtension))
+                _domainExtensions[domain] = msg.ContextExtension;
+
+            string extension;
+            return _domainExtensions.TryGetValue(domain, out extension) ? extension : _extension;
+        }
+
+        private void OnExtensionConference(ExtensionMessage msg)
+        {
+            if (msg == null || string.IsNullOrEmpty(msg.ConferenceId))
+                return;
+
+            LogManager.Log("WebClient Connector: Konferenz {0} {1} ({2} Teilnehmer)",
+                msg.ConferenceId, msg.ConferenceState ?? "-", msg.ConferenceCalls?.Count ?? 0);
+            EventHelper.SafeInvoke(ConferenceChanged, msg, "WebclientConnectionMethod.ConferenceChanged");
+        }
+
+        /// <summary>
+        /// Correlate a COMMAND_RESULT with the command that caused it and log the outcome.
+        /// Failures are logged at info level so they show up without debug logging.
+        /// </summary>
+        private void OnExtensionCommandResult(ExtensionMessage msg)
+        {
+            if (msg == null) return;
+
+            if (!msg.Final)
+            {
+                LogManager.Debug("WebClient Connector: {0} von Erweiterung angenommen (requestId={1})",
+                    msg.Command ?? "-", msg.RequestId ?? "-");
+                return;
+            }
+
+            PendingCommand pending = null;
+            if (!string.IsNullOrEmpty(msg.RequestId))
+                _pendingCommands.TryRemove(msg.RequestId, out pending);
+
+            string elapsed = pending != null
+                ? ((int)(DateTime.UtcNow - pending.SentAtUtc).TotalMilliseconds).ToString()
+                : "-";
+
+            if (msg.Success)
+            {
+                LogManager.Log("WebClient Connector: {0} erfolgreich ({1}, callId={2}, {3} ms)",
+                    msg.Command ?? "-", msg.Status, msg.CallId ?? "-", elapsed);
+            }
+            else
+            {
+                LogManager.Log("WebClient Connector: {0} fehlgeschlagen ({1}, Ziel={2}, requestId={3}{4})",
+                    msg.Command ?? "-", msg.Status ?? "-",
+                    pending != null ? LogManager.Mask(pending.Target) : "-",
+                    msg.RequestId ?? "-",
+                    string.IsNullOrEmpty(msg.Error) ? "" : ", Fehler=" + msg.Error);
+            }
+
+            EventHelper.SafeInvoke(CommandCompleted, msg, "WebclientConnectionMethod.CommandCompleted");
+        }
+
+        /// <summary>
+        /// Reconcile with the extension's list of in-progress calls after a (re)connect.
+        /// Snapshot entries go through the normal CALL_EVENT path (the debounce drops
+        /// states we already know); tracked calls missing from the snapshot ended
+        /// while we were unreachable.
+        /// </summary>
+        private void OnExtensionCallSnapshot(ExtensionMessage snapshot)
+        {
+            var snapshotIds = new HashSet<string>(StringComparer.OrdinalIgnoreCase);
+            if (snapshot.Calls != null)
+            {
+                foreach (var call in snapshot.Calls)
+                {
+                    if (string.IsNullOrEmpty(call.CallId)) continue;
+                    snapshotIds.Add(call.CallId);
+                    OnExtensionCallEvent(call);
+                }
+            }
+
+            foreach (var stale in _activeCalls.Keys.Where(id => !snapshotIds.Contains(id)).ToList())
+            {
+                LogManager.Log("WebClient Connector: Anruf {0} nicht mehr im Snapshot, wird beendet", stale);
+                OnExtensionCallEvent(new ExtensionMessage
+                {
+                    Version = snapshot.Version,
+                    Type = Protocol.TypeCallEvent,
+                    CallId = stale,
+                    State = Protocol.StateEnded,
+                    Reason = Protocol.ReasonHangup
+                });
+            }
+        }
+
+        // ===== Contact Lookup =====
+
+        /// <summary>
+        /// Answer LOOKUP from the extension's call notification with the matching
+        /// DATEV contacts. Runs off the socket reader: the first lookup may load
+        /// the contact cache.
+        /// </summary>
+        private void OnExtensionLookup(ExtensionMessage msg)
+        {
+            var server = _wsServer;
+            Task.Run(() =>
+            {
+                try
+                {
+                    var contacts = string.IsNullOrEmpty(msg.Number)
+                        ? new List<DatevContactInfo>()
+                        : DatevContactRepository.GetContactByNumber(msg.Number);
+                    if (contacts.Count > 1)
+                        contacts = ContactRoutingCache.ApplyRouting(msg.Number, contacts);
+
+                    server?.SendLookupResult(BridgeMessageBuilder.BuildLookupResult(
+                        msg.RequestId, msg.CallId, msg.Number, contacts));
+                    LogManager.Debug("WebClient Connector: LOOKUP {0} -> {1} Kontakt(e)",
+                        LogManager.Mask(msg.Number), contacts.Count);
+                }
+                catch (Exception ex)
+                {
+                    LogManager.Log("WebClient Connector: LOOKUP fehlgeschlagen - {0}", ex.Message);
+                }
+            });
+        }
+
+        private void OnExtensionOpenContact(ExtensionMessage msg)
+        {
+            LogManager.Log("WebClient Connector: Kontakt öffnen angefordert (callId={0})", msg.CallId ?? "-");
+            EventHelper.SafeInvoke(ContactOpenRequested, msg, "WebclientConnectionMethod.ContactOpenRequested");
+        }
+
+        private void OnExtensionPresence(ExtensionMessage msg)
+        {
+            var previous = _presence;
+            _presence = msg;
+            if (previous == null || previous.Status != msg.Status || previous.Profile != msg.Profile)
+                LogManager.Log("WebClient Connector: 3CX-Status {0} ({1})", msg.Profile ?? "-", msg.Status ?? "-");
+            EventHelper.SafeInvoke(PresenceChanged, msg, "WebclientConnectionMethod.PresenceChanged");
+        }
+
+        private void OnExtensionStatus(ExtensionMessage msg)
+        {
+            if (msg.Full)
+                _colleagueStatus.Clear();
+            foreach (var entry in msg.ExtensionStatuses)
+            {
+                if (!string.IsNullOrEmpty(entry.Number))
+                    _colleagueStatus[entry.Number] = entry;
+            }
+            EventHelper.SafeInvoke(ColleagueStatusChanged, "WebclientConnectionMethod.ColleagueStatusChanged");
+        }
+
+        /// <summary>
+        /// Replace the watched colleague extensions and subscribe to them.
+        /// </summary>
+        public void SubscribeExtensions(IEnumerable<string> extensions)
+        {
+            _colleagueExtensions = ParseExtensionList(string.Join(",", extensions ?? new string[0]));
+            _colleagueStatus.Clear();
+            if (_connected && _wsServer != null && _wsServer.ExtensionSupports(Protocol.CapExtensionStatus))
+                _wsServer.SendSubscribeExtensions(_colleagueExtensions);
+            EventHelper.SafeInvoke(ColleagueStatusChanged, "WebclientConnectionMethod.ColleagueStatusChanged");
+        }
+
+        /// <summary>
+        /// Call id used by CallEventProcessor / CallTracker for an extension call id,
+        /// or null if the call is not active.
+        /// </summary>
+        public string ResolveTapiCallId(string extensionCallId)
+        {
+            if (string.IsNullOrEmpty(extensionCallId)) return null;
+            return _activeCalls.TryGetValue(extensionCallId, out var callEvent) ? callEvent.CallId.ToString() : null;
+        }
+
         public void SimulateCallEvent(ExtensionMessage msg)
         {
             OnExtensionCallEvent(msg);
@@ -416,14 +754,18 @@ namespace DatevConnector.Webclient
                 return -1;
             }
 
-            bool sent = _wsServer != null && _wsServer.SendDial(destination);
+            string requestId = TrackCommand(Protocol.CmdDial, destination);
+            bool sent = _wsServer != null && _wsServer.SendDial(destination, null, requestId, _dialDomain);
 
             if (sent)
             {
-                LogManager.Log("DIAL gesendet für {0}", LogManager.Mask(destination));
+                LogManager.Log("DIAL gesendet für {0} (requestId={1}, 3CX={2})", LogManager.Mask(destination), requestId,
+                    string.IsNullOrEmpty(_dialDomain) ? "Standard" : _dialDomain);
                 return 1;
             }
 
+            _pendingCommands.TryRemove(requestId, out _);
+
             LogManager.Log("WebClient Connector: MakeCall fehlgeschlagen - Sendefehler");
             return -1;
         }
@@ -444,13 +786,15 @@ namespace DatevConnector.Webclient
                 .Select(kvp => kvp.Key)
                 .LastOrDefault();
 
-            bool sent = _wsServer != null && _wsServer.SendDrop(lastCall);
+            string requestId = TrackCommand(Protocol.CmdDrop, lastCall);
+            bool sent = _wsServer != null && _wsServer.SendDrop(lastCall, requestId);
             if (sent)
             {
-                LogManager.Log("WebClient Connector: DROP gesendet (callId={0})", lastCall ?? "(alle)");
+                LogManager.Log("WebClient Connector: DROP gesendet (callId={0}, requestId={1})", lastCall ?? "(alle)", requestId);
                 return 1;
             }
 
+            _pendingCommands.TryRemove(requestId, out _);
             return -1;
         }
 
@@ -459,6 +803,159 @@ namespace DatevConnector.Webclient
             return _activeCalls.Values.FirstOrDefault(c => c.CallId == callId);
         }
 
+        /// <summary>
+        /// True when the connected extension handles the command (Protocol.Cmd*;
+        /// older extensions only know DIAL and DROP).
+        /// </summary>
+        public bool SupportsCommand(string command) => _connected && _wsServer != null && _wsServer.ExtensionSupports(command);
+
+        /// <summary>
+        /// Answer a ringing inbound call in the 3CX WebClient.
+        /// Returns 1 on success, -1 on failure.
+        /// </summary>
+        public int AnswerCall(int callId)
+        {
+            return SendCallCommand(Protocol.CmdAnswer, callId, null);
+        }
+
+        /// <summary>
+        /// Reject a ringing inbound call (the PBX treats it as busy).
+        /// Returns 1 on success, -1 on failure.
+        /// </summary>
+        public int RejectCall(int callId)
+        {
+            return SendCallCommand(Protocol.CmdReject, callId, null);
+        }
+
+        /// <summary>
+        /// Divert a ringing inbound call to another number.
+        /// Returns 1 on success, -1 on failure.
+        /// </summary>
+        public int DivertCall(int callId, string destination)
+        {
+            if (string.IsNullOrWhiteSpace(destination))
+                return -1;
+            return SendCallCommand(Protocol.CmdDivert, callId, destination);
+        }
+
+        /// <summary>
+        /// Put a connected call on hold / take it off hold.
+        /// Returns 1 on success, -1 on failure.
+        /// </summary>
+        public int HoldCall(int callId)
+        {
+            return SendCallCommand(Protocol.CmdHold, callId, null);
+        }
+
+        public int ResumeCall(int callId)
+        {
+            return SendCallCommand(Protocol.CmdResume, callId, null);
+        }
+
+        /// <summary>
+        /// Blind transfer of a connected call to another number.
+        /// Returns 1 on success, -1 on failure.
+        /// </summary>
+        public int TransferCall(int callId, string destination)
+        {
+            if (string.IsNullOrWhiteSpace(destination))
+                return -1;
+            return SendCallCommand(Protocol.CmdTransfer, callId, destination);
+        }
+
+        /// <summary>
+        /// Attended transfer: hold the call and start a consultation call to
+        /// destination; CompleteTransfer then connects the caller with it.
+        /// Returns 1 on success, -1 on failure.
+        /// </summary>
+        public int AttendedTransfer(int callId, string destination)
+        {
+            if (string.IsNullOrWhiteSpace(destination))
+                return -1;
+            return SendCallCommand(Protocol.CmdAttendedTransfer, callId, destination);
+        }
+
+        public int CompleteTransfer(int callId)
+        {
+            return SendCallCommand(Protocol.CmdCompleteTransfer, callId, null);
+        }
+
+        /// <summary>
+        /// Play DTMF tones (0-9, A-D, *, #, "," = pause) into a connected call;
+        /// without callId into the active call in the WebClient.
+        /// Returns 1 on success, -1 on failure.
+        /// </summary>
+        public int SendDtmf(string digits, int? callId = null)
+        {
+            if (string.IsNullOrWhiteSpace(digits) || digits.Length > Protocol.DtmfMaxLength)
+                return -1;
+            return SendCallCommand(Protocol.CmdSendDtmf, callId, null, digits);
+        }
+
+        /// <summary>
+        /// Switch the user's 3CX status by Protocol.Presence* status, or by
+        /// profile name for custom profiles.
+        /// Returns 1 on success, -1 on failure.
+        /// </summary>
+        public int SetPresence(string status, string profile = null)
+        {
+            if (string.IsNullOrEmpty(status) && string.IsNullOrEmpty(profile))
+                return -1;
+            if (!_connected || _wsServer == null)
+            {
+                LogManager.Log("WebClient Connector: {0} fehlgeschlagen - nicht verbunden", Protocol.CmdSetPresence);
+                return -1;
+            }
+
+            string requestId = TrackCommand(Protocol.CmdSetPresence, profile ?? status);
+            if (_wsServer.SendSetPresence(status, profile, requestId))
+            {
+                LogManager.Log("WebClient Connector: {0} gesendet ({1}, requestId={2})",
+                    Protocol.CmdSetPresence, profile ?? status, requestId);
+                return 1;
+            }
+
+            _pendingCommands.TryRemove(requestId, out _);
+            return -1;
+        }
+
+        // Call commands address the call by the id the extension used in
+        // CALL_EVENT (the key of _activeCalls), not by the connector's TAPI call id.
+        // callId null lets the extension pick the call.
+        private int SendCallCommand(string command, int? callId, string destination, string digits = null)
+        {
+            if (!_connected || _wsServer == null)
+            {
+                LogManager.Log("WebClient Connector: {0} fehlgeschlagen - nicht verbunden", command);
+                return -1;
+            }
+
+            string extensionCallId = null;
+            if (callId.HasValue)
+            {
+                extensionCallId = _activeCalls
+                    .Where(kvp => kvp.Value.CallId == callId.Value)
+                    .Select(kvp => kvp.Key)
+                    .FirstOrDefault();
+                if (extensionCallId == null)
+                {
+                    LogManager.Log("WebClient Connector: {0} fehlgeschlagen - Anruf {1} nicht aktiv", command, callId);
+                    return -1;
+                }
+            }
+
+            string requestId = TrackCommand(command, destination ?? digits ?? extensionCallId);
+            if (_wsServer.SendCallCommand(command, extensionCallId, destination, requestId, digits))
+            {
+                LogManager.Log("WebClient Connector: {0} gesendet (callId={1}, requestId={2})",
+                    command, extensionCallId ?? "(aktiv)", requestId);
+                return 1;
+            }
+
+            _pendingCommands.TryRemove(requestId, out _);
+            return -1;
+        }
+
         // ===== Diagnostics =====
 
         public bool ReconnectLine(string extension, Action<string> progressText = null)
@@ -483,6 +980,18 @@ namespace DatevConnector.Webclient
 
         // ===== Helpers =====
 
+        private string TrackCommand(string command, string target)
+        {
+            string requestId = command.ToLowerInvariant() + "-" + Interlocked.Increment(ref _requestIdCounter);
+            _pendingCommands[requestId] = new PendingCommand
+            {
+                Command = command,
+                Target = target,
+                SentAtUtc = DateTime.UtcNow
+            };
+            return requestId;
+        }
+
         private void InitVirtualLine()
         {
             _virtualLine = new TapiLineInfo
@@ -501,6 +1010,7 @@ namespace DatevConnector.Webclient
             _connected = false;
             _activeCalls.Clear();
             _lastCallState.Clear();
+            _pendingCommands.Clear();
 
             if (_wsServer != null)
             {
@@ -3,9 +3,17 @@
 // This script loads config, routes content-script signals through the SW,
 // forwards bridge payloads to offscreen via SEND_TO_BRIDGE, and handles
 // BRIDGE_STATE / BRIDGE_COMMAND / PORT_LEARNED messages from offscreen.
+// Bridge payloads carry no "v": offscreen stamps the protocol version it
+// negotiated with the bridge when sending.
+
+import {
+  DIAL_PLAN_KEYS, dialPlanFromSettings, toDialString, toE164, normalizeRemoteNumber, splitPostDial, cleanDtmf,
+  extractPhoneNumber
+} from "./dialplan.js";
 
-const PROTOCOL_VERSION = 1;
 const DEFAULT_BRIDGE_PORT = 19800;
+const DEFAULT_BRIDGE_PORT_RANGE_START = 19800;
+const DEFAULT_BRIDGE_PORT_RANGE_SIZE = 100;
 
 let configuredExtension = "";
 let detectedExtension = "";
@@ -14,22 +22,61 @@ let detectedVersion = "";
 let detectedUserName = "";
 let debugLogging = false;
 let bridgePort = DEFAULT_BRIDGE_PORT;
-
-let webclientTabId = null; // Tab ID of the active 3CX webclient
+let bridgePortRangeStart = DEFAULT_BRIDGE_PORT_RANGE_START;
+let bridgePortRangeSize = DEFAULT_BRIDGE_PORT_RANGE_SIZE;
+let allowedHosts = []; // 3CX WebClient hosts; the extension stays inactive while empty
+let enforcedSettings = []; // keys set by enterprise policy (chrome.storage.managed)
+let pairingKey = ""; // shared with the connector; per user, never set by policy
+let dialPlan = dialPlanFromSettings(); // see dialplan.js
+let callNotificationsEnabled = true; // browser notification for offered calls
+// Click-to-dial on other sites (page-dial.js).
+let detectPhoneNumbers = false; // mark numbers in the page text
+let interceptDialLinks = false; // tel: / callto: / sip: links dial in the WebClient
+let confirmDialLinks = true;    // ask before an intercepted link dials
+let dialLinkAllowSites = [];    // link interception only there (empty = everywhere)
+let dialLinkDenySites = [];     // never there; wins over the allow list
 
 // Last-known state pushed from offscreen; popup GET_STATUS reads from this.
 let bridgeState = {
   wsState: 3, // WebSocket.CLOSED
   helloAcked: false,
+  authState: "unpaired",
+  compatibility: "unknown",
+  bridgeVersion: "",
+  capabilities: [],
+  missingCapabilities: [],
   extension: "",
   port: DEFAULT_BRIDGE_PORT
 };
 
-// Deduplication: field 3 (callId) groups all legs of one logical call
-const logicalCallConns = new Map(); // callId(f3) -> Set of active conn.id(f2)
-const connIdToCallId = new Map();   // conn.id(f2) -> callId(f3)
+// Call model. Field 3 (f3) groups the legs the PBX considers one call;
+// within a group, legs are split by remote party:
+//   - legs to the same party (forked devices, re-inserts) are ONE call towards
+//     DATEV; only the first leg's events are emitted, ended fires on the last;
+//   - a leg to a different party (consult call, conference participant) is a
+//     call of its own with id "<f3>.<f2>"; the first party keeps id f3.
+// Calls without f3 use f2 as their id.
+const logicalCallConns = new Map(); // call id -> Set of active conn.id(f2)
+const connIdToCallId = new Map();   // conn.id(f2) -> call id
+const callGroups = new Map();       // f3 -> Set of call ids (one per remote party)
+const callParties = new Map();      // call id -> { group, key, number, name }
+const activeConferences = new Map(); // f3 -> participant signature last sent as CONFERENCE
+const callDetails = new Map();      // call id -> merged extra LocalConnection fields
+const callLifecycles = new Map();   // call id -> lifecycle flags for state/end-reason mapping
+const pendingLocalActions = new Map(); // conn.id(f2) -> local drop/transfer seen before the conn
+const callTabIds = new Map();       // call id -> tab id whose PWA reported it (sourceTabId)
+
+// LocalConnection fields carried into CALL_EVENT. Updates and deletes often
+// only repeat the changed fields, so values are merged per logical call.
+const CALL_DETAIL_FIELDS = [
+  "startedAt", "answeredAt", "held", "queueName", "queueDn", "didNumber",
+  "sourceType", "sourceDn", "sourceDisplayName"
+];
 
 const KEEPALIVE_ALARM = "offscreen-keepalive";
+const CONTENT_SCRIPT_ID = "3cx-webclient";
+const PAGE_DIAL_SCRIPT_ID = "3cx-page-dial";
+const ALL_HTTPS_PATTERN = "https://*/*";
 const OFFSCREEN_URL = "offscreen.html";
 
 function logDebug(...args) {
@@ -41,20 +88,79 @@ function logInfo(...args) {
   console.log("[3CX-DATEV-C][bg]", ...args);
 }
 
+// Settings an administrator can enforce via managed_schema.json.
+const MANAGED_SETTING_KEYS = [
+  "extensionNumber", "debugLogging", "bridgePort", "bridgePortRangeStart",
+  "bridgePortRangeSize", "allowedHosts", "dialDelay", "dialMethod", "callNotifications",
+  "detectPhoneNumbers", "interceptDialLinks", "confirmDialLinks", "dialLinkAllowSites",
+  "dialLinkDenySites", "defaultPbxDomain", ...DIAL_PLAN_KEYS
+];
+
+async function readManagedSettings() {
+  try {
+    const managed = await chrome.storage.managed.get(MANAGED_SETTING_KEYS);
+    // Chrome validates policy values against the schema; a null value means
+    // "not enforced" and must not shadow the local setting.
+    for (const key of Object.keys(managed)) {
+      if (managed[key] == null) delete managed[key];
+    }
+    return managed;
+  } catch {
+    // No policy for this extension (or managed storage unavailable).
+    return {};
+  }
+}
+
+// Precedence: managed policy > chrome.storage.local > built-in defaults.
 async function loadConfig() {
-  const cfg = await chrome.storage.local.get(["extensionNumber", "debugLogging", "bridgePort", "lastProvision"]);
+  const [local, managed] = await Promise.all([
+    chrome.storage.local.get([...MANAGED_SETTING_KEYS, "pbxIdentities", "lastProvision", "pairingKey"]),
+    readManagedSettings()
+  ]);
+  const cfg = { ...local, ...managed };
+  enforcedSettings = Object.keys(managed);
   configuredExtension = (cfg.extensionNumber || "").trim();
   debugLogging = !!cfg.debugLogging;
   bridgePort = parseInt(cfg.bridgePort, 10) || DEFAULT_BRIDGE_PORT;
-
-  // Restore last known provision (survives service worker restart)
-  if (!configuredExtension && cfg.lastProvision) {
-    detectedExtension = cfg.lastProvision.extension || "";
-    detectedDomain = cfg.lastProvision.domain || "";
-    detectedVersion = cfg.lastProvision.version || "";
-    detectedUserName = cfg.lastProvision.userName || "";
+  bridgePortRangeStart = parseInt(cfg.bridgePortRangeStart, 10) || DEFAULT_BRIDGE_PORT_RANGE_START;
+  bridgePortRangeSize = parseInt(cfg.bridgePortRangeSize, 10) || DEFAULT_BRIDGE_PORT_RANGE_SIZE;
+  allowedHosts = Array.isArray(cfg.allowedHosts) ? cfg.allowedHosts : [];
+  pairingKey = typeof local.pairingKey === "string" ? local.pairingKey : "";
+  dialMethod = cfg.dialMethod === "ui" ? "ui" : "auto";
+  dialPlan = dialPlanFromSettings(cfg);
+  callNotificationsEnabled = cfg.callNotifications !== false;
+  detectPhoneNumbers = cfg.detectPhoneNumbers === true;
+  interceptDialLinks = cfg.interceptDialLinks === true;
+  confirmDialLinks = cfg.confirmDialLinks !== false;
+  dialLinkAllowSites = Array.isArray(cfg.dialLinkAllowSites) ? cfg.dialLinkAllowSites : [];
+  dialLinkDenySites = Array.isArray(cfg.dialLinkDenySites) ? cfg.dialLinkDenySites : [];
+
+  preferredPbxDomain = typeof cfg.defaultPbxDomain === "string" ? cfg.defaultPbxDomain.trim() : "";
+
+  // Restore the known identities (survive service worker restarts); before
+  // there was a list, only the last provision was stored.
+  const identities = Array.isArray(local.pbxIdentities)
+    ? local.pbxIdentities
+    : (local.lastProvision ? [local.lastProvision] : []);
+  pbxIdentities.clear();
+  for (const identity of identities) {
+    const domain = identity.domain || "";
+    pbxIdentities.set(domain, {
+      domain,
+      extension: identity.extension || "",
+      version: identity.version || "",
+      userName: identity.userName || ""
+    });
   }
-  logDebug("Config loaded", { configuredExtension, detectedExtension, debugLogging, bridgePort });
+  applyDefaultIdentity();
+  refreshPrimaryTabs("settings changed");
+  logDebug("Config loaded", {
+    configuredExtension, detectedExtension, debugLogging, bridgePort,
+    bridgePortRangeStart, bridgePortRangeSize, allowedHosts, enforcedSettings, dialPlan,
+    pbxDomains: Array.from(pbxIdentities.keys()), defaultPbxDomain: defaultPbxDomain()
+  });
+
+  await syncContentScripts();
 
   // Push latest config into the offscreen document.
   await sendInitToOffscreen();
@@ -64,6 +170,454 @@ function resolveExtensionNumber() {
   return configuredExtension || detectedExtension || "";
 }
 
+// Host list entries are "host", "host:port" or "*.domain" (see options.js).
+function hostListMatches(entries, url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  const host = parsed.hostname.toLowerCase();
+  return entries.some((entry) => {
+    const [pattern, port] = entry.split(":");
+    if (port && port !== (parsed.port || "443")) return false;
+    if (pattern.startsWith("*.")) return host.endsWith(pattern.slice(1));
+    return host === pattern;
+  });
+}
+
+function isAllowedHost(url) {
+  return hostListMatches(allowedHosts, url);
+}
+
+// ----- Content script registration -----
+// content.js only runs on allow-listed hosts the user granted access to
+// (optional_host_permissions). Match patterns cannot carry the port, so
+// "host:port" entries match any port here and isAllowedHost filters the rest.
+
+function hostMatchPatterns() {
+  const patterns = allowedHosts.map((entry) => `https://${entry.split(":")[0]}/*`);
+  return Array.from(new Set(patterns));
+}
+
+async function grantedMatchPatterns() {
+  const granted = [];
+  for (const pattern of hostMatchPatterns()) {
+    try {
+      if (await chrome.permissions.contains({ origins: [pattern] })) granted.push(pattern);
+    } catch (err) {
+      logDebug("Invalid host pattern", pattern, err);
+    }
+  }
+  return granted;
+}
+
+// Allow-listed hosts without granted access. Hosts set by policy arrive
+// without it too: optional host permissions need a user gesture, which the
+// popup's "Grant access" button (or Save on the options page) provides.
+let hostsMissingAccess = [];
+
+function showHostAccessBadge() {
+  const missing = hostsMissingAccess.length > 0;
+  chrome.action.setBadgeText({ text: missing ? "!" : "" }).catch(() => {});
+  if (missing) chrome.action.setBadgeBackgroundColor({ color: "#FFC107" }).catch(() => {});
+  chrome.action.setTitle({
+    title: missing
+      ? `3CX - DATEV Connector: access to ${hostsMissingAccess.join(", ")} required`
+      : "3CX - DATEV Connector"
+  }).catch(() => {});
+}
+
+// Serialized: unregister + register from overlapping calls would collide on the id.
+let contentScriptSync = Promise.resolve();
+
+async function replaceContentScript(script) {
+  const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [script.id] });
+  if (registered.length > 0) {
+    await chrome.scripting.unregisterContentScripts({ ids: [script.id] });
+  }
+  if (script.matches.length > 0) {
+    await chrome.scripting.registerContentScripts([script]);
+  }
+}
+
+// page-dial.js (with phone-numbers.js and number-detect.js, which it uses)
+// runs on every other https site, which needs the broad host permission the
+// options page asks for when either option is switched on.
+async function pageDialMatchPatterns() {
+  if (!detectPhoneNumbers && !interceptDialLinks) return [];
+  return await chrome.permissions.contains({ origins: [ALL_HTTPS_PATTERN] }) ? [ALL_HTTPS_PATTERN] : [];
+}
+
+function syncContentScripts() {
+  contentScriptSync = contentScriptSync.then(async () => {
+    const matches = await grantedMatchPatterns();
+    hostsMissingAccess = allowedHosts.filter((entry) => !matches.includes(`https://${entry.split(":")[0]}/*`));
+    showHostAccessBadge();
+    try {
+      await replaceContentScript({
+        id: CONTENT_SCRIPT_ID,
+        matches,
+        js: ["scripts/content.js"],
+        runAt: "document_start",
+        persistAcrossSessions: true
+      });
+      const missing = hostMatchPatterns().filter((p) => !matches.includes(p));
+      logDebug("Content script registered", { matches, missingPermission: missing });
+    } catch (err) {
+      console.warn("[3CX-DATEV-C][bg] Registering content script failed", err);
+    }
+
+    try {
+      const pageDialMatches = await pageDialMatchPatterns();
+      const excluded = hostMatchPatterns();
+      await replaceContentScript({
+        id: PAGE_DIAL_SCRIPT_ID,
+        matches: pageDialMatches,
+        ...(excluded.length > 0 ? { excludeMatches: excluded } : {}),
+        js: ["scripts/phone-numbers.js", "scripts/number-detect.js", "scripts/page-dial.js"],
+        runAt: "document_idle",
+        persistAcrossSessions: true
+      });
+      logDebug("Page click-to-dial", { detectPhoneNumbers, interceptDialLinks, matches: pageDialMatches });
+    } catch (err) {
+      console.warn("[3CX-DATEV-C][bg] Registering page click-to-dial failed", err);
+    }
+  });
+  return contentScriptSync;
+}
+
+// Open tabs on allow-listed hosts (needs the host permission to see tab.url).
+async function queryWebclientTabs() {
+  const patterns = await grantedMatchPatterns();
+  if (patterns.length === 0) return [];
+  const tabs = await chrome.tabs.query({ url: patterns });
+  return tabs.filter((tab) => isAllowedHost(tab.url));
+}
+
+// ----- 3CX identities -----
+// One identity per 3CX system the user is signed into, keyed by the
+// provision domain. The default identity (chosen in the options, else the
+// first one learned) is the one announced in HELLO; presence, colleague
+// status and DIALs without "domain" belong to it. Calls of every identity
+// reach the bridge, tagged with their domain in "context". Each PBX numbers
+// its calls and connections on its own, so the ids of the other identities
+// carry "<domain>/" in front.
+
+const pbxIdentities = new Map(); // domain -> { domain, extension, version, userName }
+let preferredPbxDomain = "";     // setting "defaultPbxDomain"; "" = first identity learned
+
+function defaultPbxDomain() {
+  if (preferredPbxDomain && pbxIdentities.has(preferredPbxDomain)) return preferredPbxDomain;
+  const first = pbxIdentities.keys().next();
+  return first.done ? "" : first.value;
+}
+
+// The detected* values (HELLO, popup, options) follow the default identity.
+function applyDefaultIdentity() {
+  const identity = pbxIdentities.get(defaultPbxDomain());
+  detectedExtension = identity?.extension || "";
+  detectedDomain = identity?.domain || "";
+  detectedVersion = identity?.version || "";
+  detectedUserName = identity?.userName || "";
+}
+
+// Merge provision data (content.js) or a live extension number into the
+// identity of its domain. Returns true when the identity changed.
+function learnPbxIdentity(domain, { extension = "", version = "", userName = "" }) {
+  const identity = pbxIdentities.get(domain) || { domain, extension: "", version: "", userName: "" };
+  const before = JSON.stringify(identity);
+  if (extension) identity.extension = String(extension).trim();
+  if (version) identity.version = version;
+  if (userName) identity.userName = userName;
+  const isNew = !pbxIdentities.has(domain);
+  pbxIdentities.set(domain, identity);
+  if (!isNew && JSON.stringify(identity) === before) return false;
+
+  applyDefaultIdentity();
+  // lastProvision mirrors the default identity for options.js.
+  chrome.storage.local.set({
+    pbxIdentities: Array.from(pbxIdentities.values()),
+    lastProvision: {
+      extension: detectedExtension,
+      domain: detectedDomain,
+      version: detectedVersion,
+      userName: detectedUserName
+    }
+  }).catch(() => {});
+  if (isNew) refreshPrimaryTabs("new 3CX system");
+  return true;
+}
+
+function pbxContext(domain) {
+  const identity = pbxIdentities.get(domain);
+  return {
+    extension: domain === defaultPbxDomain() ? resolveExtensionNumber() : identity?.extension || "",
+    domain
+  };
+}
+
+// Whether the ids of a call carry "<domain>/" is settled when the call is
+// first seen, so a change of the default identity does not rename a running
+// call. An id without prefix belongs to one PBX only.
+const pbxCallScopes = new Map(); // "<domain>/<PBX call id>" -> { domain, callId, prefixed }
+
+function pinPbxCall(domain, pbxCallId) {
+  const key = `${domain}/${pbxCallId}`;
+  let scope = pbxCallScopes.get(key);
+  if (!scope) {
+    const taken = unscopedCallDomain(pbxCallId) != null;
+    scope = { domain, callId: String(pbxCallId), prefixed: taken || domain !== defaultPbxDomain() };
+    pbxCallScopes.set(key, scope);
+  }
+  return scope;
+}
+
+function unscopedCallDomain(pbxCallId) {
+  for (const scope of pbxCallScopes.values()) {
+    if (!scope.prefixed && scope.callId === String(pbxCallId)) return scope.domain;
+  }
+  return null;
+}
+
+// Called once the last call of a PBX call group has ended.
+function releasePbxCall(group) {
+  pbxCallScopes.delete(`${callPbxDomain(group)}/${pbxLocalId(group)}`);
+}
+
+// Id of a connection or call as reported; connections take the scope of
+// their call.
+function scopedPbxId(domain, id, pbxCallId = id) {
+  if (id == null) return id;
+  return pinPbxCall(domain, pbxCallId ?? id).prefixed ? `${domain}/${id}` : id;
+}
+
+// Connection id of a call-control request the page sent to its PBX.
+function scopedConnectionId(domain, id) {
+  if (id == null) return id;
+  const prefixed = `${domain}/${id}`;
+  if (connIdToCallId.has(prefixed)) return prefixed;
+  if (connIdToCallId.has(id)) return callPbxDomain(connIdToCallId.get(id)) === domain ? id : prefixed;
+  return domain === defaultPbxDomain() ? id : prefixed;
+}
+
+// Id as the PBX knows it (RequestDropCall, ...).
+function pbxLocalId(id) {
+  const text = String(id);
+  const slash = text.lastIndexOf("/");
+  return slash === -1 ? id : Number(text.slice(slash + 1));
+}
+
+function callPbxDomain(callId) {
+  const text = String(callId ?? "");
+  const slash = text.indexOf("/");
+  if (slash !== -1) return text.slice(0, slash);
+  // Calls split from a group are "<group>.<connection id>".
+  return unscopedCallDomain(text.split(".")[0]) ?? defaultPbxDomain();
+}
+
+// ----- WebClient tab registry -----
+// Every tab whose PWA delivers 3CX frames is registered here, with the
+// domain of its provision (unknown until content.js reports it: counted as
+// the default identity). With several WebClient tabs (or windows) of one PBX
+// open, each PWA keeps its own webclient socket and reports the same calls;
+// only the primary tab's frames are turned into events, the others' are
+// dropped. Each PBX has its own primary tab, which also gets that PBX's
+// commands without an owning call. Election: the tab chosen in the popup,
+// else the tab that was focused last, else the oldest. Focusing another tab
+// of the PBX makes it the primary, unless one is pinned; while that PBX has
+// calls the switch waits until the last one ends, since a frame could
+// otherwise arrive twice (once from each tab) or not at all.
+
+const webclientTabs = new Map(); // tab id -> { firstSeen, lastFocused, domain }
+const primaryTabIds = new Map(); // domain -> primary tab id
+const pinnedTabIds = new Map();  // domain -> primary chosen in the popup
+
+function tabPbxDomain(tabId) {
+  return webclientTabs.get(tabId)?.domain || defaultPbxDomain();
+}
+
+function primaryTabId(domain = defaultPbxDomain()) {
+  return primaryTabIds.get(domain) ?? null;
+}
+
+// domain null: not known yet (frame before provision).
+function registerWebclientTab(tabId, domain = null) {
+  const info = webclientTabs.get(tabId);
+  if (info && (domain == null || info.domain === domain)) return;
+  if (info) {
+    info.domain = domain;
+  } else {
+    webclientTabs.set(tabId, { firstSeen: Date.now(), lastFocused: 0, domain: domain || "" });
+    logDebug("WebClient tab registered", { tabId, domain });
+  }
+  refreshPrimaryTabs("registered");
+  scheduleCallStatePersist();
+}
+
+function unregisterWebclientTab(tabId, reason) {
+  if (!webclientTabs.has(tabId)) return;
+  const domain = tabPbxDomain(tabId);
+  webclientTabs.delete(tabId);
+  logDebug("WebClient tab unregistered", { tabId, domain, reason });
+  if (pinnedTabIds.get(domain) === tabId) pinnedTabIds.delete(domain);
+  refreshPrimaryTabs(reason);
+  // The remaining tabs of that PBX see the same calls and can control them.
+  const successor = primaryTabId(domain);
+  for (const [callId, ownerTabId] of callTabIds) {
+    if (ownerTabId !== tabId) continue;
+    if (successor == null) callTabIds.delete(callId);
+    else callTabIds.set(callId, successor);
+  }
+  scheduleCallStatePersist();
+}
+
+function electPrimaryTab(domain, reason) {
+  let next = null;
+  const pinned = pinnedTabIds.get(domain);
+  if (pinned != null && webclientTabs.has(pinned) && tabPbxDomain(pinned) === domain) {
+    next = pinned;
+  } else {
+    let best = null;
+    for (const [tabId, info] of webclientTabs) {
+      if (tabPbxDomain(tabId) !== domain) continue;
+      if (!best || info.lastFocused > best.lastFocused
+          || (info.lastFocused === best.lastFocused && info.firstSeen < best.firstSeen)) {
+        best = info;
+        next = tabId;
+      }
+    }
+  }
+  const previous = primaryTabId(domain);
+  if (next === previous) return;
+  logInfo(`Primary WebClient tab for ${domain || "3CX"}: ${next ?? "none"} (${reason}, was ${previous ?? "none"})`);
+  if (next == null) primaryTabIds.delete(domain);
+  else primaryTabIds.set(domain, next);
+  scheduleCallStatePersist();
+}
+
+// Keep one primary per PBX that has tabs; a primary that left its PBX's
+// group (closed, other domain reported, default identity changed) is
+// replaced.
+function refreshPrimaryTabs(reason) {
+  const domains = new Set(Array.from(webclientTabs.keys(), tabPbxDomain));
+  for (const [domain, tabId] of primaryTabIds) {
+    if (!domains.has(domain) || !webclientTabs.has(tabId) || tabPbxDomain(tabId) !== domain) {
+      electPrimaryTab(domain, reason);
+    }
+  }
+  for (const domain of domains) {
+    if (!primaryTabIds.has(domain)) electPrimaryTab(domain, reason);
+  }
+}
+
+function noteTabFocused(tabId) {
+  const info = webclientTabs.get(tabId);
+  if (!info) return;
+  info.lastFocused = Date.now();
+  scheduleCallStatePersist();
+
+  const domain = tabPbxDomain(tabId);
+  if (pinnedTabIds.has(domain) || primaryTabId(domain) === tabId) return;
+  if (hasCallsOnPbx(domain)) {
+    logDebug("Primary WebClient tab switch waits for the calls to end", { tabId, domain });
+    return;
+  }
+  electPrimaryTab(domain, "focused");
+}
+
+function hasCallsOnPbx(domain) {
+  return Array.from(logicalCallConns.keys()).some((callId) => callPbxDomain(callId) === domain);
+}
+
+// The last call of a PBX ended: a tab focused during the calls takes over.
+function electDeferredPrimaryTab(domain) {
+  if (pinnedTabIds.has(domain) || hasCallsOnPbx(domain)) return;
+  electPrimaryTab(domain, "focused during call");
+}
+
+// Explicit choice from the popup. tabId null goes back to automatic election
+// for that PBX and keeps its current primary.
+function pinPrimaryTab(tabId, domain) {
+  if (tabId == null) {
+    pinnedTabIds.delete(domain ?? defaultPbxDomain());
+    scheduleCallStatePersist();
+    return true;
+  }
+  if (!webclientTabs.has(tabId)) return false;
+  const tabDomain = tabPbxDomain(tabId);
+  pinnedTabIds.set(tabDomain, tabId);
+  electPrimaryTab(tabDomain, "chosen in popup");
+  scheduleCallStatePersist();
+  return true;
+}
+
+// Registered tabs for the popup, oldest first. Tabs that no longer exist
+// are dropped on the way.
+async function listWebclientTabs() {
+  const list = [];
+  const entries = Array.from(webclientTabs).sort(([, a], [, b]) => a.firstSeen - b.firstSeen);
+  for (const [tabId, info] of entries) {
+    try {
+      const tab = await chrome.tabs.get(tabId);
+      const domain = tabPbxDomain(tabId);
+      list.push({
+        tabId,
+        windowId: tab.windowId,
+        title: tab.title || "",
+        url: tab.url || "",
+        domain,
+        firstSeen: info.firstSeen,
+        primary: tabId === primaryTabId(domain),
+        pinned: tabId === pinnedTabIds.get(domain)
+      });
+    } catch {
+      unregisterWebclientTab(tabId, "gone");
+    }
+  }
+  return list;
+}
+
+// Tabs closed while the service worker was suspended.
+async function pruneWebclientTabs() {
+  for (const tabId of Array.from(webclientTabs.keys())) {
+    try {
+      await chrome.tabs.get(tabId);
+    } catch {
+      unregisterWebclientTab(tabId, "gone");
+    }
+  }
+}
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  callStateReady.then(() => unregisterWebclientTab(tabId, "closed"));
+});
+
+chrome.tabs.onReplaced.addListener((addedTabId, removedTabId) => {
+  // The new tab registers with its first frame.
+  callStateReady.then(() => unregisterWebclientTab(removedTabId, "replaced"));
+});
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (!changeInfo.discarded && !changeInfo.url) return;
+  callStateReady.then(() => {
+    if (changeInfo.discarded) unregisterWebclientTab(tabId, "discarded");
+    else if (!isAllowedHost(changeInfo.url)) unregisterWebclientTab(tabId, "navigated away");
+  });
+});
+
+chrome.tabs.onActivated.addListener(({ tabId }) => {
+  callStateReady.then(() => noteTabFocused(tabId));
+});
+
+chrome.windows.onFocusChanged.addListener((windowId) => {
+  if (windowId === chrome.windows.WINDOW_ID_NONE) return;
+  chrome.tabs.query({ active: true, windowId })
+    .then(([tab]) => { if (tab) callStateReady.then(() => noteTabFocused(tab.id)); })
+    .catch(() => {});
+});
+
 // ----- Offscreen document management -----
 
 async function ensureOffscreen() {
@@ -104,32 +658,56 @@ async function sendInitToOffscreen() {
   await sendToOffscreen({
     type: "INIT",
     bridgePort,
+    bridgePortRangeStart,
+    bridgePortRangeSize,
     extensionNumber: configuredExtension,
     detectedExtension,
     detectedDomain,
     detectedVersion,
     detectedUserName,
-    debugLogging
+    debugLogging,
+    pairingKey
   });
 }
 
 // ----- Call-event mapping (unchanged from previous background.js) -----
 
-function toCallEvent({ callId, direction, remoteNumber, remoteName, state, reason = "", tabId = "" }) {
+function toCallEvent({ callId, direction, remoteNumber, remoteName, state, reason = "", tabId = "", details = null }) {
+  const d = details || {};
+  const call = {
+    id: String(callId),
+    direction,
+    remoteNumber: normalizeRemoteNumber(remoteNumber, dialPlan, direction === "outbound"),
+    remoteName: remoteName || "",
+    state,
+    reason,
+    startedAt: d.startedAt || 0,
+    answeredAt: d.answeredAt || 0,
+    held: !!d.held,
+    transferType: d.transferType || "",
+    conferenceId: d.conferenceId || "",
+    queueName: d.queueName || "",
+    queueNumber: d.queueDn || "",
+    did: d.didNumber || "",
+    source: {
+      type: d.sourceType || "",
+      number: d.sourceDn || "",
+      name: d.sourceDisplayName || ""
+    }
+  };
+  // Talk time on the PBX clock: AnsweredAt up to the end, which the PBX does
+  // not stamp and is taken from the clock offset pinned at answer time.
+  if (state === "ended" && d.answeredAt && d.pbxClockOffset != null) {
+    const pbxEndedAt = Date.now() + d.pbxClockOffset;
+    call.talkSeconds = Math.max(0, Math.round((pbxEndedAt - d.answeredAt) / 1000));
+  }
+
   return {
-    v: PROTOCOL_VERSION,
     type: "CALL_EVENT",
     ts: Date.now(),
-    call: {
-      id: String(callId),
-      direction,
-      remoteNumber: remoteNumber || "",
-      remoteName: remoteName || "",
-      state,
-      reason
-    },
+    call,
     context: {
-      extension: resolveExtensionNumber(),
+      ...pbxContext(callPbxDomain(callId)),
       tabId: tabId === "" ? "" : String(tabId)
     }
   };
@@ -138,51 +716,947 @@ function toCallEvent({ callId, direction, remoteNumber, remoteName, state, reaso
 function emitCallEvent(event) {
   // Fire-and-forget: offscreen will ensureHello itself before sending.
   sendToOffscreen({ type: "SEND_TO_BRIDGE", payload: event });
+  if (event.type === "CALL_EVENT") updateCallNotification(event.call);
 }
 
 function handleBridgeCommand(msg) {
+  const requestId = msg.requestId || "";
   if (msg.cmd === "DIAL" && msg.number) {
-    logDebug("DIAL command from bridge", { number: msg.number });
-    forwardDialToTab(msg.number);
+    logDebug("DIAL command from bridge", { number: msg.number, domain: msg.domain || "(default)", requestId });
+    forwardDialToTab(msg.number, requestId, msg.domain || "");
   } else if (msg.cmd === "DROP") {
-    logDebug("DROP command from bridge (not yet implemented)");
+    logDebug("DROP command from bridge", { callId: msg.callId || "(latest)", requestId });
+    forwardCallControlToTab("DROP", msg.callId, requestId);
+  } else if (msg.cmd === "ANSWER") {
+    logDebug("ANSWER command from bridge", { callId: msg.callId || "(ringing)", requestId });
+    forwardAnswerToTab(msg.callId, requestId);
+  } else if (msg.cmd === "REJECT") {
+    logDebug("REJECT command from bridge", { callId: msg.callId || "(ringing)", requestId });
+    forwardCallControlToTab("REJECT", msg.callId, requestId);
+  } else if (msg.cmd === "DIVERT" || msg.cmd === "TRANSFER" || msg.cmd === "ATTENDED_TRANSFER") {
+    const number = msg.number ? toDialString(msg.number, dialPlan) : "";
+    logDebug(`${msg.cmd} command from bridge`, { callId: msg.callId || "(default)", number, requestId });
+    if (!number) {
+      emitCommandResult({ requestId, cmd: msg.cmd, callId: msg.callId, status: "invalid-number" });
+    } else {
+      forwardCallControlToTab(msg.cmd, msg.callId, requestId, { number });
+    }
+  } else if (msg.cmd === "SEND_DTMF") {
+    const digits = cleanDtmf(msg.digits);
+    logDebug("SEND_DTMF command from bridge", { callId: msg.callId || "(active)", length: digits.length, requestId });
+    if (!digits || digits.length > DTMF_MAX_LENGTH) {
+      emitCommandResult({ requestId, cmd: msg.cmd, callId: msg.callId, status: "invalid-digits" });
+    } else {
+      forwardCallControlToTab("SEND_DTMF", msg.callId, requestId, { digits });
+    }
+  } else if (msg.cmd === "SET_PRESENCE" && (msg.status || msg.profile)) {
+    logDebug("SET_PRESENCE command from bridge", { status: msg.status, profile: msg.profile, requestId });
+    forwardPresenceToTab(msg.status, msg.profile, requestId);
+  } else if (msg.cmd === "HOLD" || msg.cmd === "RESUME" || msg.cmd === "COMPLETE_TRANSFER") {
+    logDebug(`${msg.cmd} command from bridge`, { callId: msg.callId || "(default)", requestId });
+    forwardCallControlToTab(msg.cmd, msg.callId, requestId);
   } else {
     logDebug("Unknown bridge command", msg);
+    emitCommandResult({ requestId, cmd: msg.cmd || "", status: "unsupported" });
   }
 }
 
-async function forwardDialToTab(number) {
-  // Try known webclient tab first
-  if (webclientTabId != null) {
+// COMMAND_RESULT statuses. "accepted" is the interim ack once a webclient tab
+// took the command; every other status is final for that requestId.
+const COMMAND_SUCCESS_STATUSES = new Set([
+  "call-started", "dropped", "answered", "rejected", "diverted",
+  "held", "resumed", "transferred", "consult-started", "dtmf-sent", "presence-set"
+]);
+
+// domain: the PBX a DIAL went to; for call commands it follows from callId.
+function toCommandResult({ requestId = "", cmd, status, callId = "", error = "", domain = "" }) {
+  return {
+    type: "COMMAND_RESULT",
+    ts: Date.now(),
+    requestId: String(requestId || ""),
+    cmd,
+    status,
+    final: status !== "accepted",
+    success: COMMAND_SUCCESS_STATUSES.has(status),
+    callId: callId == null ? "" : String(callId),
+    error: error || "",
+    context: pbxContext(domain || callPbxDomain(callId))
+  };
+}
+
+function emitCommandResult(result) {
+  if (isLocalRequest(result.requestId)) {
+    handleLocalActionResult(result);
+    return;
+  }
+  const payload = toCommandResult(result);
+  logDebug("COMMAND_RESULT -> bridge", payload);
+  sendToOffscreen({ type: "SEND_TO_BRIDGE", payload });
+}
+
+// Deliver a message to the 3CX webclient tab of a PBX (default identity
+// unless domain is given): its primary tab first, then any matching tab.
+// Returns the tab id that accepted it, or null.
+// With ownerTabId (the tab whose PWA reported the call) only that tab is
+// tried; another tab's PWA cannot control the call.
+async function forwardToWebclientTab(message, ownerTabId = null, domain = defaultPbxDomain()) {
+  if (ownerTabId != null) {
     try {
-      await chrome.tabs.sendMessage(webclientTabId, { type: "DIAL", number });
-      logDebug("DIAL forwarded to known tab", webclientTabId);
-      return;
+      await chrome.tabs.sendMessage(ownerTabId, message);
+      logDebug(`${message.type} forwarded to call owner tab`, ownerTabId);
+      return ownerTabId;
     } catch {
-      webclientTabId = null;
+      return null;
     }
   }
 
-  // Fallback: find any 3CX webclient tab
+  // Try the primary tab first
+  const primary = primaryTabId(domain);
+  if (primary != null) {
+    try {
+      await chrome.tabs.sendMessage(primary, message);
+      logDebug(`${message.type} forwarded to primary tab`, primary);
+      return primary;
+    } catch {
+      unregisterWebclientTab(primary, "unreachable");
+    }
+  }
+
+  // Fallback: find any 3CX webclient tab of that PBX. A tab that has not
+  // reported its domain yet only counts for the default identity.
   try {
-    const tabs = await chrome.tabs.query({ url: ["https://*/", "https://*/webclient/*"] });
+    const tabs = await queryWebclientTabs();
     for (const tab of tabs) {
+      const tabDomain = webclientTabs.has(tab.id) ? tabPbxDomain(tab.id) : defaultPbxDomain();
+      if (tabDomain !== domain) continue;
       try {
-        await chrome.tabs.sendMessage(tab.id, { type: "DIAL", number });
-        webclientTabId = tab.id;
-        logDebug("DIAL forwarded to discovered tab", tab.id);
-        return;
+        await chrome.tabs.sendMessage(tab.id, message);
+        registerWebclientTab(tab.id);
+        logDebug(`${message.type} forwarded to discovered tab`, tab.id);
+        return tab.id;
       } catch {
         continue;
       }
     }
   } catch (err) {
-    logDebug("DIAL failed - no 3CX tab found", err);
+    logDebug(`${message.type} failed - no 3CX tab found`, err);
+  }
+
+  return null;
+}
+
+// DIALs waiting for the PBX to report the new outbound LocalConnection.
+// Each DIAL runs through DIAL_STRATEGIES in page-hook.js, one at a time:
+//   "api" - RequestMakeCall on the PWA's own webclient socket
+//   "ui"  - PWA dialer via tel: link, call button clicked once it renders
+// Only an explicit failure (page-hook reports the strategy unavailable) moves
+// on to the next strategy. Once a strategy has been sent it may still start
+// the call late, so a missing confirmation resolves the DIAL instead of
+// dialing again: "not-confirmed" for "api", "dialer-not-opened" for "ui".
+// Confirmed DIALs resolve as "call-started" in emitFromLocalConnection.
+const DIAL_CONFIRM_TIMEOUT_MS = 10_000;
+const DIAL_STRATEGIES = ["api", "ui"];
+const DIAL_TIMEOUT_STATUS = { api: "not-confirmed", ui: "dialer-not-opened" };
+const pendingDials = []; // { dialId, requestId, domain, number, digits, postDial, strategy, remaining, expiresAt, timer }
+// Post-dial DTMF of confirmed DIALs, sent once the call is connected.
+const postDialDtmf = new Map(); // call id -> DTMF string
+const DTMF_MAX_LENGTH = 64;
+let dialMethod = "auto"; // "auto" (api, then ui) | "ui" (dialer only)
+// Consecutive unconfirmed "api" dials. After API_DIAL_MAX_FAILURES of them,
+// dials go straight to the dialer until apiDialDisabledUntil; a confirmed
+// "api" dial resets the count. Both are persisted with the call state.
+const API_DIAL_MAX_FAILURES = 3;
+const API_DIAL_DISABLE_MS = 30 * 60_000;
+let apiDialFailures = 0;
+let apiDialDisabledUntil = 0;
+let dialIdCounter = 0;
+
+function dialDigits(number) {
+  return String(number || "").replace(/\D/g, "");
+}
+
+function apiDialDisabled() {
+  if (!apiDialDisabledUntil) return false;
+  if (Date.now() < apiDialDisabledUntil) return true;
+  apiDialDisabledUntil = 0;
+  apiDialFailures = 0;
+  logInfo("Trying RequestMakeCall again for click-to-dial");
+  return false;
+}
+
+function dialStrategies() {
+  if (dialMethod === "ui" || apiDialDisabled()) return DIAL_STRATEGIES.filter((s) => s !== "api");
+  return DIAL_STRATEGIES.slice();
+}
+
+// domain selects the 3CX system; "" is the default identity.
+async function forwardDialToTab(rawNumber, requestId = "", domain = "") {
+  const { number, postDial } = splitPostDial(rawNumber);
+  const dialString = toDialString(number, dialPlan);
+  if (dialString !== rawNumber) logDebug("DIAL number normalized", { requestId, number: rawNumber, dialString, postDial });
+  const pending = {
+    dialId: `${Date.now().toString(36)}-${++dialIdCounter}`,
+    requestId,
+    domain: domain || defaultPbxDomain(),
+    number: dialString,
+    // Compared against the normalized remote number in confirmPendingDial.
+    digits: dialDigits(toE164(number, dialPlan) || dialString),
+    postDial: postDial.slice(0, DTMF_MAX_LENGTH),
+    strategy: "",
+    remaining: dialStrategies(),
+    expiresAt: 0,
+    timer: null
+  };
+  pendingDials.push(pending);
+
+  if (await runNextDialStrategy(pending)) {
+    emitCommandResult({ requestId, cmd: "DIAL", status: "accepted", domain: pending.domain });
+  }
+}
+
+// Start the next strategy for a pending DIAL. Returns false (and resolves the
+// DIAL) when no strategy is left or no webclient tab takes it.
+async function runNextDialStrategy(pending) {
+  clearTimeout(pending.timer);
+  const strategy = pending.remaining.shift();
+  const status = !strategy ? "dialer-not-opened" : null;
+
+  let tabId = null;
+  if (strategy) {
+    pending.strategy = strategy;
+    pending.expiresAt = Date.now() + DIAL_CONFIRM_TIMEOUT_MS;
+    armDialTimeout(pending);
+    logDebug("DIAL strategy", { requestId: pending.requestId, dialId: pending.dialId, strategy });
+    tabId = await forwardToWebclientTab({
+      type: "DIAL",
+      number: pending.number,
+      requestId: pending.requestId,
+      dialId: pending.dialId,
+      strategy
+    }, null, pending.domain);
+    if (tabId == null) console.warn("[3CX-DATEV-C][bg] DIAL failed: no webclient tab available");
+  }
+  scheduleCallStatePersist();
+  if (tabId != null) return true;
+
+  const idx = pendingDials.indexOf(pending);
+  if (idx === -1) return false; // confirmed meanwhile
+  pendingDials.splice(idx, 1);
+  clearTimeout(pending.timer);
+  emitCommandResult({ requestId: pending.requestId, cmd: "DIAL", status: status || "no-tab", domain: pending.domain });
+  return false;
+}
+
+function armDialTimeout(pending) {
+  clearTimeout(pending.timer);
+  pending.timer = setTimeout(() => {
+    const idx = pendingDials.indexOf(pending);
+    if (idx === -1) return;
+    pendingDials.splice(idx, 1);
+    logDebug("DIAL not confirmed by webclient", { requestId: pending.requestId, strategy: pending.strategy });
+    if (pending.strategy === "api" && ++apiDialFailures >= API_DIAL_MAX_FAILURES && !apiDialDisabledUntil) {
+      apiDialDisabledUntil = Date.now() + API_DIAL_DISABLE_MS;
+      logInfo(`RequestMakeCall not confirmed ${apiDialFailures} times in a row; dialing via the WebClient dialer for the next 30 minutes`);
+    }
+    scheduleCallStatePersist();
+    emitCommandResult({
+      requestId: pending.requestId,
+      cmd: "DIAL",
+      status: DIAL_TIMEOUT_STATUS[pending.strategy] || "dialer-not-opened",
+      domain: pending.domain
+    });
+  }, Math.max(0, pending.expiresAt - Date.now()));
+}
+
+// page-hook could not run the strategy at all (no webclient socket, ...).
+function skipDialStrategy(dialId, strategy, reason) {
+  const pending = pendingDials.find((p) => p.dialId === dialId && p.strategy === strategy);
+  if (!pending) return;
+  logDebug("DIAL strategy unavailable", { requestId: pending.requestId, strategy, reason });
+  runNextDialStrategy(pending);
+}
+
+// Match a new outbound call against the pending DIALs of its PBX by the
+// trailing digits (3CX may add or strip prefixes). A call to another number
+// is one the user started by hand; the DIAL stays pending and times out.
+function confirmPendingDial(callId, remoteNumber) {
+  const domain = callPbxDomain(callId);
+  const candidates = pendingDials.filter((p) => (p.domain ?? defaultPbxDomain()) === domain);
+  if (candidates.length === 0) return;
+
+  const remote = dialDigits(normalizeRemoteNumber(remoteNumber, dialPlan, true));
+  const pending = candidates.find((p) =>
+    p.digits && remote && (p.digits.endsWith(remote) || remote.endsWith(p.digits)));
+  if (!pending) {
+    logDebug("Outbound call matches no pending DIAL", { callId });
+    return;
+  }
+  pendingDials.splice(pendingDials.indexOf(pending), 1);
+  clearTimeout(pending.timer);
+  if (pending.strategy === "api") apiDialFailures = 0;
+  if (pending.postDial) postDialDtmf.set(callId, pending.postDial);
+  scheduleCallStatePersist();
+  logDebug("DIAL confirmed", { requestId: pending.requestId, strategy: pending.strategy, callId });
+  emitCommandResult({ requestId: pending.requestId, cmd: "DIAL", status: "call-started", callId });
+}
+
+// Resolve the bridge call id (logical f3 id, or f2 for single-leg calls) to
+// the LocalConnection ids the PBX needs in RequestDropCall. Without a call id
+// the most recently started call is dropped, matching the TAPI DROP-CALL path.
+function resolveCallConnections(callId) {
+  if (callId == null || callId === "") {
+    const latest = Array.from(logicalCallConns.keys()).pop();
+    if (latest == null) return null;
+    return { callId: latest, connectionIds: Array.from(logicalCallConns.get(latest)) };
+  }
+
+  for (const [logicalId, conns] of logicalCallConns) {
+    if (String(logicalId) === String(callId)) {
+      return { callId: logicalId, connectionIds: Array.from(conns) };
+    }
+  }
+  for (const [connId, logicalId] of connIdToCallId) {
+    if (String(connId) === String(callId)) {
+      return { callId: logicalId, connectionIds: [connId] };
+    }
+  }
+  return null;
+}
+
+// Call commands and the call state they need. Without a call id the most
+// recent call in that state is used.
+function isRingingInbound(callId) {
+  const lifecycle = callLifecycles.get(callId);
+  return !!lifecycle && lifecycle.incoming && !lifecycle.everConnected;
+}
+
+function isConnectedCall(callId) {
+  return !!callLifecycles.get(callId)?.everConnected;
+}
+
+function isHeldCall(callId) {
+  return isConnectedCall(callId) && !!callDetails.get(callId)?.held;
+}
+
+// Original call of a consultation (the PBX reports it as WaitingForNewParty).
+function isConsultingCall(callId) {
+  return !!callLifecycles.get(callId)?.sawConsult;
+}
+
+const CALL_COMMAND_STATES = {
+  ANSWER: { matches: isRingingInbound, error: "not-ringing" },
+  REJECT: { matches: isRingingInbound, error: "not-ringing" },
+  DIVERT: { matches: isRingingInbound, error: "not-ringing" },
+  HOLD: { matches: (id) => isConnectedCall(id) && !isHeldCall(id), error: "not-connected" },
+  SEND_DTMF: { matches: (id) => isConnectedCall(id) && !isHeldCall(id), error: "not-connected" },
+  RESUME: { matches: isHeldCall, error: "not-held" },
+  TRANSFER: { matches: isConnectedCall, error: "not-connected" },
+  ATTENDED_TRANSFER: { matches: (id) => isConnectedCall(id) && !isConsultingCall(id), error: "not-connected" },
+  COMPLETE_TRANSFER: { matches: isConsultingCall, error: "no-consultation" }
+};
+
+function resolveCommandTarget(cmd, callId) {
+  const required = CALL_COMMAND_STATES[cmd];
+  if (required && (callId == null || callId === "")) {
+    const latest = Array.from(logicalCallConns.keys()).filter(required.matches).pop();
+    return latest == null ? null : resolveCallConnections(latest);
+  }
+  return resolveCallConnections(callId);
+}
+
+// Result for a call command that cannot run: "no-call" when the call is
+// unknown, else the command's state error (e.g. "not-ringing" for an ANSWER
+// on a connected call).
+function callCommandTargetError(cmd, target) {
+  if (!target || target.connectionIds.length === 0) return "no-call";
+  const required = CALL_COMMAND_STATES[cmd];
+  if (required && !required.matches(target.callId)) return required.error;
+  return null;
+}
+
+// Call-control command for one call, sent to the tab whose PWA owns it.
+// DROP / REJECT / DIVERT / TRANSFER are requests per LocalConnection leg;
+// HOLD / RESUME / ATTENDED_TRANSFER / COMPLETE_TRANSFER use the PWA's call
+// view; SEND_DTMF plays tones into its WebRTC session. extra carries the
+// command's parameters (number, digits).
+async function forwardCallControlToTab(cmd, callId, requestId = "", extra = {}) {
+  const target = resolveCommandTarget(cmd, callId);
+  const error = callCommandTargetError(cmd, target);
+  if (error) {
+    logDebug(`${cmd} failed - ${error}`, { callId });
+    emitCommandResult({ requestId, cmd, callId: target?.callId ?? callId, status: error });
+    return;
+  }
+
+  // Registered before the tab gets the command, so neither the PBX's state
+  // change nor page-hook's failure can arrive ahead of it.
+  const pending = CALL_COMMAND_CONFIRMATIONS[cmd] ? addPendingCallCommand(cmd, target.callId, requestId) : null;
+
+  const tabId = await forwardToWebclientTab({
+    type: cmd,
+    requestId,
+    callId: String(target.callId),
+    connectionIds: target.connectionIds.map(pbxLocalId),
+    ...callPartyHint(target.callId),
+    ...extra
+  }, callTabIds.get(target.callId) ?? null, callPbxDomain(target.callId));
+  if (tabId == null) {
+    console.warn(`[3CX-DATEV-C][bg] ${cmd} failed: no webclient tab available`);
+    if (pending) removePendingCallCommand(pending);
+    emitCommandResult({ requestId, cmd, callId: target.callId, status: "no-tab" });
+    return;
+  }
+
+  if (pending && !pendingCallCommands.includes(pending)) return; // confirmed meanwhile
+  emitCommandResult({ requestId, cmd, callId: target.callId, status: "accepted" });
+  // page-hook reports only failures as COMMAND_RESULT; success follows from
+  // the PBX state (CALL_COMMAND_CONFIRMATIONS).
+}
+
+// Neither a request frame on the PWA's socket nor a click in its call view
+// proves the PBX acted; that shows in the call's next LocalConnection state
+// (reached) or in how the call ends (ended, given resolveEndState's result).
+// Each pending command resolves with its status once confirmed, or
+// "not-confirmed" after CALL_COMMAND_CONFIRM_TIMEOUT_MS. SET_PRESENCE waits
+// the same way for its profile (confirmPresenceSet). Persisted with the call
+// state.
+const CALL_COMMAND_CONFIRM_TIMEOUT_MS = 10_000;
+const notReached = () => false;
+const CALL_COMMAND_CONFIRMATIONS = {
+  DROP: { status: "dropped", reached: notReached, ended: (end) => end.state === "ended" },
+  REJECT: { status: "rejected", reached: notReached, ended: (end) => end.reason === "rejected" },
+  DIVERT: { status: "diverted", reached: notReached, ended: (end) => end.state === "forwarded" },
+  TRANSFER: { status: "transferred", reached: notReached, ended: (end) => end.state === "transferred" },
+  HOLD: { status: "held", reached: isHeldCall },
+  RESUME: { status: "resumed", reached: (id) => isConnectedCall(id) && !isHeldCall(id) },
+  ATTENDED_TRANSFER: { status: "consult-started", reached: isConsultingCall },
+  COMPLETE_TRANSFER: { status: "transferred", reached: notReached, ended: (end) => end.state === "transferred" }
+};
+const pendingCallCommands = []; // { cmd, callId, requestId, profile?, expiresAt, timer }
+
+function addPendingCallCommand(cmd, callId, requestId, extra = {}) {
+  const pending = {
+    cmd, callId, requestId, ...extra, expiresAt: Date.now() + CALL_COMMAND_CONFIRM_TIMEOUT_MS, timer: null
+  };
+  pendingCallCommands.push(pending);
+  armCallCommandTimeout(pending);
+  scheduleCallStatePersist();
+  return pending;
+}
+
+function removePendingCallCommand(pending) {
+  const idx = pendingCallCommands.indexOf(pending);
+  if (idx === -1) return false;
+  pendingCallCommands.splice(idx, 1);
+  clearTimeout(pending.timer);
+  scheduleCallStatePersist();
+  return true;
+}
+
+function resolvePendingCallCommand(pending, status, callId = pending.callId) {
+  if (!removePendingCallCommand(pending)) return;
+  logDebug(`${pending.cmd} resolved`, { requestId: pending.requestId, callId, status });
+  emitCommandResult({ requestId: pending.requestId, cmd: pending.cmd, callId, status });
+}
+
+function armCallCommandTimeout(pending) {
+  clearTimeout(pending.timer);
+  pending.timer = setTimeout(() => {
+    resolvePendingCallCommand(pending, "not-confirmed");
+  }, Math.max(0, pending.expiresAt - Date.now()));
+}
+
+// After a LocalConnection update of callId.
+function confirmCallCommands(callId) {
+  for (const pending of pendingCallCommands.slice()) {
+    const confirmation = CALL_COMMAND_CONFIRMATIONS[pending.cmd];
+    if (pending.callId !== callId || !confirmation) continue;
+    if (confirmation.reached(callId)) resolvePendingCallCommand(pending, confirmation.status);
+  }
+}
+
+// The call ended (end: resolveEndState). A command the end confirms succeeds
+// (a drop as "ended", a transfer as "transferred", ...); anything else left
+// pending for the call has nothing to act on any more.
+function settleEndedCallCommands(callId, end) {
+  for (const pending of pendingCallCommands.slice()) {
+    const confirmation = CALL_COMMAND_CONFIRMATIONS[pending.cmd];
+    if (pending.callId !== callId || !confirmation) continue;
+    resolvePendingCallCommand(pending, confirmation.ended?.(end) ? confirmation.status : "no-call");
+  }
+}
+
+// page-hook could not run a call command or SET_PRESENCE
+// (no-webclient-socket, call-not-found, no-control-button, ...).
+function failPendingCallCommand(result) {
+  const pending = pendingCallCommands.find((p) =>
+    p.cmd === result.cmd && p.requestId === (result.requestId || "") &&
+    String(p.callId) === String(result.callId ?? ""));
+  if (pending) removePendingCallCommand(pending);
+}
+
+// The remote party as the PBX reported it; page-hook finds the call's element
+// in the PWA by it, since the PWA's DOM carries no call ids.
+function callPartyHint(callId) {
+  const party = callParties.get(callId);
+  return { remoteNumber: party?.number || "", remoteName: party?.name || "" };
+}
+
+// page-hook clicks the answer button of the call's element in the PWA
+// ("answered"), or reports "call-not-found" / "no-answer-button".
+async function forwardAnswerToTab(callId, requestId = "") {
+  const target = resolveCommandTarget("ANSWER", callId);
+  const error = callCommandTargetError("ANSWER", target);
+  if (error) {
+    logDebug(`ANSWER failed - ${error}`, { callId });
+    emitCommandResult({ requestId, cmd: "ANSWER", callId: target?.callId ?? callId, status: error });
+    return;
+  }
+
+  const tabId = await forwardToWebclientTab({
+    type: "ANSWER",
+    requestId,
+    callId: String(target.callId),
+    ...callPartyHint(target.callId)
+  }, callTabIds.get(target.callId) ?? null, callPbxDomain(target.callId));
+  if (tabId == null) {
+    console.warn("[3CX-DATEV-C][bg] ANSWER failed: no webclient tab available");
+    emitCommandResult({ requestId, cmd: "ANSWER", callId: target.callId, status: "no-tab" });
+    return;
+  }
+
+  emitCommandResult({ requestId, cmd: "ANSWER", callId: target.callId, status: "accepted" });
+}
+
+// The tab that owns the call, else the primary tab of the call's PBX.
+async function focusWebclientTab(callId = "") {
+  const target = callId !== "" ? resolveCallConnections(callId) : null;
+  const tabId = callTabIds.get(target?.callId) ?? primaryTabId(callPbxDomain(callId));
+  if (tabId == null) return;
+  try {
+    const tab = await chrome.tabs.update(tabId, { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+  } catch (err) {
+    logDebug("Focusing webclient tab failed", err);
+  }
+}
+
+// ----- Presence -----
+// The user's status is the active forwarding profile of MyExtensionInfo
+// (Available, Away, Out of office, ...). The profile names are free text in
+// the PBX, so the status the bridge sees is derived from the default names;
+// anything else is "custom" and only addressable by name. Deltas may carry
+// just the current profile id, so the last known list is kept.
+
+const PRESENCE_STATUS_NAMES = {
+  available: ["available", "verfügbar"],
+  away: ["away", "abwesend", "lunch", "mittagspause"],
+  dnd: ["do not disturb", "dnd", "nicht stören"],
+  "out-of-office": ["out of office", "außer haus", "nicht im büro", "business trip", "geschäftsreise"]
+};
+const presenceProfiles = new Map(); // profile id -> name, in PBX order
+let currentProfileId = null;
+let lastPresenceKey = ""; // what the bridge was last told
+
+function presenceStatusOf(profileName) {
+  const name = String(profileName || "").trim().toLowerCase();
+  for (const [status, names] of Object.entries(PRESENCE_STATUS_NAMES)) {
+    if (names.includes(name)) return status;
+  }
+  return "custom";
+}
+
+function updatePresence(presence) {
+  const { currentProfileId: id, profiles } = presence;
+  if (profiles) {
+    // ActionType as for LocalConnections: 1 = FullUpdate, 4 = Deleted
+    if (profiles.action === 1) presenceProfiles.clear();
+    for (const profile of profiles.items) {
+      if (profile.action === 4) presenceProfiles.delete(profile.id);
+      else if (profile.name) presenceProfiles.set(profile.id, profile.name);
+    }
+  }
+  if (id != null) currentProfileId = id;
+
+  const name = presenceProfiles.get(currentProfileId);
+  if (!name) return;
+  confirmPresenceSet(name);
+  const key = [currentProfileId, ...presenceProfiles.values()].join("|");
+  if (key === lastPresenceKey) return;
+  lastPresenceKey = key;
+  emitPresence();
+}
+
+function emitPresence() {
+  const name = presenceProfiles.get(currentProfileId) || "";
+  const payload = {
+    type: "PRESENCE",
+    ts: Date.now(),
+    status: presenceStatusOf(name),
+    profile: name,
+    profiles: Array.from(presenceProfiles.values(), (n) => ({ name: n, status: presenceStatusOf(n) })),
+    context: pbxContext(defaultPbxDomain())
+  };
+  logDebug("PRESENCE -> bridge", { status: payload.status, profile: name });
+  sendToOffscreen({ type: "SEND_TO_BRIDGE", payload });
+}
+
+// SET_PRESENCE by status ("away") or exact profile name; the status picks the
+// first profile that maps to it. page-hook switches it in the PWA's status
+// menu; "presence-set" follows once MyExtensionInfo reports that profile as
+// the current one (the change itself also goes out as PRESENCE).
+async function forwardPresenceToTab(status, profile, requestId = "") {
+  const cmd = "SET_PRESENCE";
+  const names = Array.from(presenceProfiles.values());
+  const wanted = String(profile || "").trim().toLowerCase();
+  const name = wanted
+    ? names.find((n) => n.toLowerCase() === wanted)
+    : names.find((n) => presenceStatusOf(n) === status);
+  if (!name) {
+    emitCommandResult({ requestId, cmd, status: "unknown-presence", error: profile || status || "" });
+    return;
+  }
+  if (name === presenceProfiles.get(currentProfileId)) {
+    emitCommandResult({ requestId, cmd, status: "presence-set" });
+    return;
+  }
+
+  const pending = addPendingCallCommand(cmd, "", requestId, { profile: name });
+  const tabId = await forwardToWebclientTab({ type: cmd, requestId, profile: name });
+  if (tabId == null) {
+    console.warn(`[3CX-DATEV-C][bg] ${cmd} failed: no webclient tab available`);
+    removePendingCallCommand(pending);
+    emitCommandResult({ requestId, cmd, status: "no-tab" });
+    return;
+  }
+  if (!pendingCallCommands.includes(pending)) return; // confirmed meanwhile
+  emitCommandResult({ requestId, cmd, status: "accepted" });
+}
+
+function confirmPresenceSet(currentName) {
+  for (const pending of pendingCallCommands.slice()) {
+    if (pending.cmd === "SET_PRESENCE" && pending.profile === currentName) {
+      resolvePendingCallCommand(pending, "presence-set");
+    }
+  }
+}
+
+// ----- Colleague status (BLF) -----
+// ExtensionsInfo frames list the other extensions of the PBX with their line
+// state. The bridge subscribes to the extensions it shows
+// (SUBSCRIBE_EXTENSIONS); changes of those are collected and sent at most
+// once per EXTENSION_STATUS_THROTTLE_MS, so a busy queue does not flood it.
+// The message id and field map are not published by 3CX (see
+// MSG_EXTENSIONS_INFO): the first frame that does not match them switches
+// the feature off until the service worker restarts, and subscriptions are
+// answered with an empty list from then on.
+
+const EXTENSION_STATUS_THROTTLE_MS = 1_000;
+const colleagueStatus = new Map(); // extension number -> { number, name, status }
+const subscribedExtensions = new Set(); // numbers the bridge asked for
+const pendingExtensionStatus = new Map(); // number -> entry, not yet sent
+let extensionStatusTimer = null;
+let colleagueStatusDisabled = false;
+
+function disableColleagueStatus(reason) {
+  if (colleagueStatusDisabled) return;
+  colleagueStatusDisabled = true;
+  colleagueStatus.clear();
+  pendingExtensionStatus.clear();
+  console.warn(`[3CX-DATEV-C][bg] Colleague status disabled: ExtensionsInfo frame not as expected (${reason})`);
+  if (subscribedExtensions.size > 0) emitExtensionStatus([], true);
+}
+
+// Line state first: a colleague on the phone is "busy" whatever the profile.
+function colleagueStatusOf(info) {
+  if (info.isBusy) return "busy";
+  if (info.isRinging) return "ringing";
+  const presence = presenceStatusOf(info.profileName);
+  if (presence === "dnd" || presence === "out-of-office") return "dnd";
+  return "idle";
+}
+
+function updateColleagueStatus(update) {
+  if (colleagueStatusDisabled) return;
+  if (update.mismatch) {
+    disableColleagueStatus(update.mismatch);
+    return;
+  }
+  // ActionType as for LocalConnections: 1 = FullUpdate, 4 = Deleted
+  const known = update.action === 1 ? new Map(colleagueStatus) : colleagueStatus;
+  if (update.action === 1) colleagueStatus.clear();
+  for (const info of update.items) {
+    if (!info.number) continue;
+    if (info.action === 4) {
+      colleagueStatus.delete(info.number);
+      continue;
+    }
+    const previous = known.get(info.number);
+    const entry = {
+      number: info.number,
+      name: info.name || previous?.name || "",
+      status: colleagueStatusOf(info)
+    };
+    colleagueStatus.set(info.number, entry);
+    if (subscribedExtensions.has(info.number)
+        && (previous?.status !== entry.status || previous?.name !== entry.name)) {
+      pendingExtensionStatus.set(info.number, entry);
+    }
+  }
+  scheduleExtensionStatus();
+}
+
+function scheduleExtensionStatus() {
+  if (extensionStatusTimer || pendingExtensionStatus.size === 0) return;
+  extensionStatusTimer = setTimeout(() => {
+    extensionStatusTimer = null;
+    const entries = Array.from(pendingExtensionStatus.values());
+    pendingExtensionStatus.clear();
+    emitExtensionStatus(entries, false);
+  }, EXTENSION_STATUS_THROTTLE_MS);
+}
+
+// full: the list is the complete state of the subscription (after
+// SUBSCRIBE_EXTENSIONS); otherwise only changed extensions are listed.
+function emitExtensionStatus(extensions, full) {
+  const payload = {
+    type: "EXTENSION_STATUS",
+    ts: Date.now(),
+    full,
+    extensions,
+    context: pbxContext(defaultPbxDomain())
+  };
+  logDebug("EXTENSION_STATUS -> bridge", { full, count: extensions.length });
+  sendToOffscreen({ type: "SEND_TO_BRIDGE", payload });
+}
+
+// Replaces the subscription; an empty list ends it. Extensions the PBX has not
+// reported yet are sent once they appear.
+function subscribeExtensions(numbers) {
+  subscribedExtensions.clear();
+  for (const number of Array.isArray(numbers) ? numbers : []) {
+    if (number) subscribedExtensions.add(String(number).trim());
+  }
+  pendingExtensionStatus.clear();
+  logDebug("Extension status subscription", Array.from(subscribedExtensions));
+  if (subscribedExtensions.size === 0) return;
+  if (colleagueStatusDisabled) {
+    emitExtensionStatus([], true);
+    return;
+  }
+  const known = Array.from(subscribedExtensions, (n) => colleagueStatus.get(n)).filter(Boolean);
+  emitExtensionStatus(known, true);
+}
+
+// ----- Click-to-dial from web pages -----
+// "Call with 3CX" in the context menu of selected text and links, and
+// page-dial.js on other sites (marked numbers, intercepted tel: links). All
+// take the DATEV DIAL path (forwardDialToTab, dial plan included) with a
+// local requestId, so failures show a notification instead of going to the
+// bridge.
+
+const CALL_MENU_ID = "call-with-3cx";
+const DIAL_NOTICE_ID = "dial-notice";
+
+function createCallMenu() {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: CALL_MENU_ID,
+      title: "Call with 3CX",
+      contexts: ["selection", "link"]
+    });
+  });
+}
+
+function showDialNotice(message) {
+  chrome.notifications.create(DIAL_NOTICE_ID, {
+    type: "basic",
+    iconUrl: chrome.runtime.getURL("icons/icon128.png"),
+    title: "Call with 3CX",
+    message
+  }).catch((err) => logDebug("Dial notice failed", err));
+}
+
+function dialFromPage(text, source) {
+  const number = extractPhoneNumber(text);
+  if (!number) {
+    showDialNotice("No phone number found.");
+    return;
+  }
+  logDebug("Click-to-dial", { source, number });
+  forwardDialToTab(number, nextLocalRequestId("dial"));
+}
+
+// What page-dial.js does on this site.
+function pageDialConfig(url) {
+  const linkSite = !hostListMatches(dialLinkDenySites, url) &&
+    (dialLinkAllowSites.length === 0 || hostListMatches(dialLinkAllowSites, url));
+  return {
+    detectPhoneNumbers,
+    interceptDialLinks: interceptDialLinks && linkSite,
+    confirmDialLinks
+  };
+}
+
+// An intercepted link without an open WebClient goes back to the page, which
+// hands it to the system handler; nothing is lost by intercepting.
+async function dialFromPageLink(href, url) {
+  if (!pageDialConfig(url).interceptDialLinks) return false;
+  if (primaryTabId() == null && (await queryWebclientTabs()).length === 0) return false;
+  dialFromPage(href, "link");
+  return true;
+}
+
+chrome.contextMenus.onClicked.addListener((info) => {
+  if (info.menuItemId !== CALL_MENU_ID) return;
+  // A phone link wins over a selection inside it; other links only count
+  // through their selected text.
+  const link = /^(tel|callto|sip):/i.test(info.linkUrl || "") ? info.linkUrl : "";
+  callStateReady.then(() => dialFromPage(link || info.selectionText || "", link ? "link" : "selection"));
+});
+
+// ----- Incoming call notification -----
+// An "offered" call shows a browser notification and asks the bridge for the
+// DATEV contact (LOOKUP -> LOOKUP_RESULT), which is filled in when it arrives.
+// The buttons answer / reject the call in the WebClient tab; clicking the
+// notification opens the contact in the connector (OPEN_CONTACT). The
+// notification is cleared once the call leaves "offered".
+
+const CALL_NOTIFICATION_PREFIX = "call-";
+const CALL_NOTIFICATION_ACTIONS = ["ANSWER", "REJECT"]; // button order
+// requestIds of actions started from a notification; their results stay in
+// the extension instead of going to the bridge as COMMAND_RESULT.
+const LOCAL_REQUEST_PREFIX = "local-";
+const shownCallNotifications = new Map(); // call id -> { number, name, lookupId, contacts }
+let localRequestCounter = 0;
+
+function nextLocalRequestId(kind) {
+  return `${LOCAL_REQUEST_PREFIX}${kind}-${Date.now().toString(36)}-${++localRequestCounter}`;
+}
+
+function isLocalRequest(requestId) {
+  return String(requestId || "").startsWith(LOCAL_REQUEST_PREFIX);
+}
+
+function callIdFromNotification(notificationId) {
+  return notificationId.startsWith(CALL_NOTIFICATION_PREFIX)
+    ? notificationId.slice(CALL_NOTIFICATION_PREFIX.length)
+    : null;
+}
+
+function updateCallNotification(call) {
+  const shown = shownCallNotifications.get(call.id);
+  if (call.state !== "offered") {
+    if (!shown) return;
+    shownCallNotifications.delete(call.id);
+    chrome.notifications.clear(CALL_NOTIFICATION_PREFIX + call.id).catch(() => {});
+    scheduleCallStatePersist();
+    return;
+  }
+  if (shown || !callNotificationsEnabled) return;
+
+  const lookupId = nextLocalRequestId("lookup");
+  shownCallNotifications.set(call.id, { number: call.remoteNumber, name: call.remoteName, lookupId, contacts: [] });
+  renderCallNotification(call.id, true);
+  if (call.remoteNumber) {
+    sendToOffscreen({
+      type: "SEND_TO_BRIDGE",
+      payload: { type: "LOOKUP", ts: Date.now(), requestId: lookupId, callId: call.id, number: call.remoteNumber }
+    });
+  }
+  scheduleCallStatePersist();
+}
+
+function renderCallNotification(callId, create) {
+  const shown = shownCallNotifications.get(callId);
+  if (!shown) return;
+
+  const [contact] = shown.contacts;
+  const caller = contact?.name || shown.name || shown.number || "Unknown caller";
+  let source = "";
+  if (contact) {
+    source = contact.kind === "institution" ? "DATEV institution" : "DATEV recipient";
+    if (shown.contacts.length > 1) source += ` (${shown.contacts.length - 1} more)`;
+  }
+  const options = {
+    type: "basic",
+    iconUrl: chrome.runtime.getURL("icons/icon128.png"),
+    title: `Incoming call: ${caller}`,
+    message: caller === shown.number ? "" : shown.number || "",
+    contextMessage: source,
+    buttons: [{ title: "Answer" }, { title: "Reject" }],
+    requireInteraction: true,
+    priority: 2
+  };
+  const id = CALL_NOTIFICATION_PREFIX + callId;
+  (create ? chrome.notifications.create(id, options) : chrome.notifications.update(id, options))
+    .catch((err) => logDebug("Call notification failed", err));
+}
+
+function applyLookupResult(result) {
+  for (const [callId, shown] of shownCallNotifications) {
+    if (shown.lookupId !== result.requestId) continue;
+    shown.contacts = Array.isArray(result.contacts) ? result.contacts : [];
+    logDebug("LOOKUP result", { callId, contacts: shown.contacts.length });
+    if (shown.contacts.length > 0) renderCallNotification(callId, false);
+    scheduleCallStatePersist();
+    return;
+  }
+}
+
+// Without LOOKUP support in the bridge there is no contact to open; bring
+// the WebClient to the front instead.
+function openCallContact(callId) {
+  const shown = shownCallNotifications.get(callId);
+  if (!bridgeState.capabilities.includes("LOOKUP")) {
+    focusWebclientTab(callId);
+    return;
   }
+  logDebug("OPEN_CONTACT -> bridge", { callId, contactId: shown?.contacts[0]?.id || "" });
+  sendToOffscreen({
+    type: "SEND_TO_BRIDGE",
+    payload: {
+      type: "OPEN_CONTACT",
+      ts: Date.now(),
+      callId,
+      number: shown?.number || "",
+      contactId: shown?.contacts[0]?.id || ""
+    }
+  });
+}
 
-  console.warn("[3CX-DATEV-C][bg] DIAL failed: no webclient tab available");
+// Results of actions the extension started itself (notification buttons,
+// post-dial DTMF, click-to-dial).
+function handleLocalActionResult(result) {
+  logDebug("Local action result", result);
+  if (result.cmd === "DIAL" && result.status !== "accepted" && !COMMAND_SUCCESS_STATUSES.has(result.status)) {
+    showDialNotice(result.status === "no-tab"
+      ? "The 3CX WebClient is not open."
+      : "The 3CX WebClient did not start the call.");
+  }
+  if (result.cmd === "SEND_DTMF" && result.status !== "accepted" && result.status !== "dtmf-sent") {
+    console.warn(`[3CX-DATEV-C][bg] Post-dial DTMF not sent: ${result.status}`);
+  }
+  if (result.cmd === "ANSWER" && result.status !== "accepted" && result.status !== "answered") {
+    focusWebclientTab(result.callId ?? "");
+  }
 }
 
+chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+  const callId = callIdFromNotification(notificationId);
+  if (callId == null) return;
+  const action = CALL_NOTIFICATION_ACTIONS[buttonIndex];
+  callStateReady.then(() => {
+    if (action === "ANSWER") forwardAnswerToTab(callId, nextLocalRequestId("answer"));
+    else if (action === "REJECT") forwardCallControlToTab("REJECT", callId, nextLocalRequestId("reject"));
+  });
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  const callId = callIdFromNotification(notificationId);
+  if (callId == null) return;
+  callStateReady.then(() => openCallContact(callId));
+});
 
 function emitFromLocalConnection(conn, actionType, sourceTabId = "") {
   logDebug("RAW LocalConnection:", JSON.stringify({
@@ -191,95 +1665,367 @@ function emitFromLocalConnection(conn, actionType, sourceTabId = "") {
     callerId: conn.otherPartyCallerId, dn: conn.otherPartyDn
   }));
 
-  // Resolve logical call ID: field 3 groups all legs of one call
-  let logicalId;
-  if (conn.callId != null && conn.id != null) {
-    logicalId = conn.callId;
-    connIdToCallId.set(conn.id, logicalId);
-  } else if (conn.id != null) {
-    logicalId = connIdToCallId.get(conn.id);
+  const callId = resolveCallId(conn, actionType);
+  if (callId == null) return;
+  if (sourceTabId !== "" && actionType !== 4) callTabIds.set(callId, sourceTabId);
+
+  const lifecycle = trackCallLifecycle(callId, conn);
+  const direction = lifecycle.incoming ? "inbound" : "outbound";
+  const remoteNumber = conn.otherPartyCallerId || conn.otherPartyDn || "";
+  const remoteName = conn.otherPartyDisplayName || "";
+  const wasHeld = !!callDetails.get(callId)?.held;
+  const wasAnswered = !!callDetails.get(callId)?.answeredAt;
+  const details = mergeCallDetails(callId, conn);
+  // The PBX stamps AnsweredAt as it connects the call, so the update that first
+  // carries it tells how far the PBX clock is from ours. Snapshots (inserts)
+  // may carry an old AnsweredAt and pin nothing.
+  if (actionType === 3 && !wasAnswered && details.answeredAt) {
+    details.pbxClockOffset = details.answeredAt - Date.now();
+  }
+  updateCallParty(callId, remoteNumber, remoteName);
+
+  // ActionType: 1=Inserted, 3=Updated, 4=Deleted
+  if (actionType === 4) {
+    // Remove this connection from tracking
+    if (conn.id != null) {
+      connIdToCallId.delete(conn.id);
+      const conns = logicalCallConns.get(callId);
+      if (conns) {
+        conns.delete(conn.id);
+        if (conns.size > 0) {
+          logDebug("Suppressed ended for conn", conn.id, "- other legs active for logical call", callId);
+          return; // other legs still active
+        }
+        logicalCallConns.delete(callId);
+      }
+    }
+    callDetails.delete(callId);
+    callLifecycles.delete(callId);
+    callTabIds.delete(callId);
+    postDialDtmf.delete(callId);
+    const party = removeCallFromGroup(callId);
+
+    const end = resolveEndState(lifecycle, details);
+    const evt = toCallEvent({
+      callId, direction,
+      remoteNumber: remoteNumber || party?.number,
+      remoteName: remoteName || party?.name,
+      state: end.state, reason: end.reason, tabId: sourceTabId,
+      details: { ...details, transferType: end.transferType, conferenceId: conferenceIdFor(party?.group) }
+    });
+    logDebug(`Mapped last connection deleted -> ${end.state}`, evt);
+    emitCallEvent(evt);
+    settleEndedCallCommands(callId, end);
+    electDeferredPrimaryTab(callPbxDomain(callId));
+    if (party) updateConference(party.group, sourceTabId);
+    if (!callGroups.has(party?.group ?? callId)) releasePbxCall(party?.group ?? callId);
+    return;
+  }
+
+  // Register the connection; inserts (action=1) of further legs to the same
+  // party are duplicates and stay silent.
+  if (conn.id != null) {
+    let conns = logicalCallConns.get(callId);
+    if (!conns) {
+      conns = new Set();
+      logicalCallConns.set(callId, conns);
+    }
+    const isFirst = conns.size === 0 || (conns.size === 1 && conns.has(conn.id));
+    conns.add(conn.id);
+    if (actionType === 1 && !isFirst) {
+      logDebug("Suppressed duplicate leg conn", conn.id, "for logical call", callId);
+      return;
+    }
+  }
+
+  // LocalConnectionState: 0=Unknown/Idle, 1=Ringing, 2=Dialing, 3=Connected,
+  // 4=WaitingForNewParty, 5=TryingToTransfer (4/5 only feed the end reason)
+  let state = "";
+  if (conn.state === 1 && lifecycle.incoming) {
+    state = "offered";
+  } else if (conn.state === 1 && !lifecycle.incoming) {
+    state = "ringing";
+  } else if (conn.state === 2) {
+    state = "dialing";
+  } else if (conn.state === 3) {
+    if (lifecycle.connectedEmitted && details.held !== wasHeld) {
+      state = details.held ? "held" : "resumed";
+    } else if (!lifecycle.connectedEmitted) {
+      state = "connected";
+      lifecycle.connectedEmitted = true;
+    }
+  }
+  confirmCallCommands(callId);
+
+  if (!state) {
+    return;
+  }
+
+  const group = callParties.get(callId)?.group;
+  const evt = toCallEvent({
+    callId, direction, remoteNumber, remoteName, state,
+    tabId: sourceTabId, details: { ...details, conferenceId: conferenceIdFor(group) }
+  });
+
+  logDebug("Mapped LocalConnection -> CALL_EVENT", evt);
+  emitCallEvent(evt);
+
+  if (state === "connected" && sourceTabId !== "") {
+    // page-hook binds the call's WebRTC session to its id for SEND_DTMF.
+    chrome.tabs.sendMessage(sourceTabId, { type: "CALL_CONNECTED", callId: String(callId) }).catch(() => {});
+  }
+
+  if (state === "connected" && postDialDtmf.has(callId)) {
+    const digits = postDialDtmf.get(callId);
+    postDialDtmf.delete(callId);
+    scheduleCallStatePersist();
+    logDebug("Sending post-dial DTMF", { callId, length: digits.length });
+    forwardCallControlToTab("SEND_DTMF", callId, nextLocalRequestId("dtmf"), { digits });
+  }
+
+  if (actionType === 1 && !lifecycle.incoming) {
+    confirmPendingDial(callId, remoteNumber);
+  }
+  if (group != null) updateConference(group, sourceTabId);
+}
+
+function partyKey(number, name) {
+  const digits = dialDigits(number);
+  if (digits) return `#${digits}`;
+  return name ? `@${name.trim().toLowerCase()}` : "";
+}
+
+// Map a LocalConnection to the call id used towards the bridge (see the call
+// model comment at the top). Known conns keep their call; new conns either
+// join the call to the same party in their f3 group or open a new one.
+function resolveCallId(conn, actionType) {
+  if (conn.id != null && connIdToCallId.has(conn.id)) {
+    return connIdToCallId.get(conn.id);
+  }
+  if (conn.id == null) return conn.callId ?? null;
+  if (actionType === 4) return conn.callId ?? conn.id; // delete for a conn we never saw
+
+  const group = conn.callId ?? conn.id;
+  const key = partyKey(conn.otherPartyCallerId || conn.otherPartyDn, conn.otherPartyDisplayName);
+  let members = callGroups.get(group);
+  if (!members) {
+    members = new Set();
+    callGroups.set(group, members);
+  }
+
+  let callId = null;
+  for (const memberId of members) {
+    const memberKey = callParties.get(memberId)?.key || "";
+    // Unknown party on either side: treat as the same call (pre-model behavior).
+    if (!key || !memberKey || memberKey === key) {
+      callId = memberId;
+      break;
+    }
+  }
+  if (callId == null) {
+    callId = members.size === 0 ? group : `${group}.${pbxLocalId(conn.id)}`;
+    members.add(callId);
+    callParties.set(callId, { group, key, number: "", name: "" });
+    if (members.size > 1) {
+      logDebug("New party in call group", group, "-> separate call", callId);
+    }
+  }
+
+  connIdToCallId.set(conn.id, callId);
+  return callId;
+}
+
+function updateCallParty(callId, number, name) {
+  const party = callParties.get(callId);
+  if (!party) return;
+  if (number) party.number = number;
+  if (name) party.name = name;
+  if (!party.key) party.key = partyKey(number, name);
+}
+
+function removeCallFromGroup(callId) {
+  const party = callParties.get(callId);
+  callParties.delete(callId);
+  if (!party) return null;
+  const members = callGroups.get(party.group);
+  if (members) {
+    members.delete(callId);
+    if (members.size === 0) callGroups.delete(party.group);
+  }
+  return party;
+}
+
+// A group is a conference while at least two of its calls are connected and
+// not on hold (one held + one active is a consultation, not a conference).
+function conferenceMembers(group) {
+  const members = callGroups.get(group);
+  if (!members) return [];
+  return Array.from(members).filter((id) =>
+    callLifecycles.get(id)?.everConnected && !callDetails.get(id)?.held);
+}
+
+function conferenceIdFor(group) {
+  return group != null && activeConferences.has(group) ? String(group) : "";
+}
+
+function updateConference(group, sourceTabId = "") {
+  const members = conferenceMembers(group);
+  const wasActive = activeConferences.has(group);
+
+  if (members.length < 2) {
+    if (!wasActive) return;
+    activeConferences.delete(group);
+    emitConference(group, "ended", [], sourceTabId);
+    return;
+  }
+
+  const signature = members.slice().sort().join(",");
+  if (activeConferences.get(group) === signature) return;
+  activeConferences.set(group, signature);
+  emitConference(group, wasActive ? "updated" : "started", members, sourceTabId);
+}
+
+function emitConference(group, state, members, sourceTabId) {
+  const evt = {
+    type: "CONFERENCE",
+    ts: Date.now(),
+    conference: {
+      id: String(group),
+      state,
+      calls: members.map((id) => {
+        const party = callParties.get(id) || {};
+        const outbound = callLifecycles.get(id)?.incoming === false;
+        return {
+          id: String(id),
+          remoteNumber: normalizeRemoteNumber(party.number, dialPlan, outbound),
+          remoteName: party.name || ""
+        };
+      })
+    },
+    context: {
+      ...pbxContext(callPbxDomain(group)),
+      tabId: sourceTabId === "" ? "" : String(sourceTabId)
+    }
+  };
+  logDebug("CONFERENCE", evt);
+  emitCallEvent(evt);
+}
+
+// Per logical call: what happened over its lifetime, so the final event can
+// say why it ended. Frames after the first often omit unchanged fields
+// (including IsIncoming), so direction is pinned on first sight.
+function trackCallLifecycle(callId, conn) {
+  let lifecycle = callLifecycles.get(callId);
+  if (!lifecycle) {
+    lifecycle = {
+      incoming: !!conn.isIncoming,
+      everConnected: false,
+      everAlerting: false,
+      sawConsult: false,
+      sawTransfer: false,
+      connectedEmitted: false,
+      localAction: null
+    };
+    callLifecycles.set(callId, lifecycle);
+  } else if (conn.isIncoming === true) {
+    lifecycle.incoming = true;
+  }
+
+  if (conn.state === 3) lifecycle.everConnected = true;
+  if (conn.state === 1 && !lifecycle.incoming) lifecycle.everAlerting = true;
+  if (conn.state === 4) lifecycle.sawConsult = true;
+  if (conn.state === 5) lifecycle.sawTransfer = true;
+
+  const pending = conn.id != null ? pendingLocalActions.get(conn.id) : null;
+  if (pending) {
+    lifecycle.localAction = pending;
+    pendingLocalActions.delete(conn.id);
   }
-  const callId = logicalId ?? conn.id ?? conn.callId;
-  if (callId == null) return;
+  return lifecycle;
+}
 
-  const direction = conn.isIncoming ? "inbound" : "outbound";
-  const remoteNumber = conn.otherPartyCallerId || conn.otherPartyDn || "";
-  const remoteName = conn.otherPartyDisplayName || "";
+// Call-control requests the PWA (or our own DROP) sent to the PBX, keyed by
+// LocalConnection id, so the Deleted frame that follows can be attributed.
+function recordLocalAction(request) {
+  if (!request || request.localConnectionId == null) return;
 
-  // ActionType: 1=Inserted, 3=Updated, 4=Deleted
-  if (actionType === 4) {
-    // Remove this connection from tracking
-    if (conn.id != null) {
-      connIdToCallId.delete(conn.id);
-      const conns = logicalCallConns.get(callId);
-      if (conns) {
-        conns.delete(conn.id);
-        if (conns.size > 0) {
-          logDebug("Suppressed ended for conn", conn.id, "- other legs active for logical call", callId);
-          return; // other legs still active
-        }
-        logicalCallConns.delete(callId);
-      }
-    }
+  // A diverted ringing call ends like one transferred before answering.
+  const action = request.messageId === MSG_REQUEST_TRANSFER_CALL || request.messageId === MSG_REQUEST_DIVERT_CALL
+    ? { type: "transfer", destination: request.destination || "" }
+    : { type: "drop", actionIfRinging: request.actionIfRinging || 0 };
 
-    const evt = toCallEvent({
-      callId, direction, remoteNumber, remoteName,
-      state: "ended", reason: "unknown", tabId: sourceTabId
-    });
-    logDebug("Mapped last connection deleted -> ended", evt);
-    emitCallEvent(evt);
-    return;
+  const callId = connIdToCallId.get(request.localConnectionId);
+  const lifecycle = callId != null ? callLifecycles.get(callId) : null;
+  if (lifecycle) {
+    lifecycle.localAction = action;
+  } else {
+    pendingLocalActions.set(request.localConnectionId, action);
   }
+  logDebug("Local call-control request", { ...request, callId });
+}
 
-  // For inserts (action=1): register connection, suppress duplicates
-  if (actionType === 1 && conn.id != null) {
-    let conns = logicalCallConns.get(callId);
-    if (!conns) {
-      conns = new Set();
-      logicalCallConns.set(callId, conns);
+// Final state + reason for a call whose last leg was deleted.
+function resolveEndState(lifecycle, details) {
+  const action = lifecycle.localAction;
+
+  if (action?.type === "transfer" || (lifecycle.sawTransfer && lifecycle.everConnected)) {
+    if (!lifecycle.everConnected) {
+      return { state: "forwarded", reason: "forwarded" };
     }
-    const isFirst = conns.size === 0;
-    conns.add(conn.id);
-    if (!isFirst) {
-      logDebug("Suppressed duplicate leg conn", conn.id, "for logical call", callId);
-      return;
+    return {
+      state: "transferred",
+      reason: "transferred",
+      transferType: lifecycle.sawConsult ? "attended" : "blind"
+    };
+  }
+
+  if (action?.type === "drop") {
+    if (lifecycle.everConnected || !lifecycle.incoming) {
+      return { state: "ended", reason: "local-hangup" };
     }
+    return { state: "ended", reason: "rejected" };
   }
 
-  // LocalConnectionState: 0=Unknown/Idle, 1=Ringing, 2=Dialing, 3=Connected
-  let state = "";
-  if (conn.state === 1 && conn.isIncoming) {
-    state = "offered";
-  } else if (conn.state === 1 && !conn.isIncoming) {
-    state = "ringing";
-  } else if (conn.state === 2) {
-    state = "dialing";
-  } else if (conn.state === 3) {
-    state = "connected";
+  if (lifecycle.everConnected) {
+    return { state: "ended", reason: "remote-hangup" };
   }
 
-  if (!state) {
-    return;
+  if (lifecycle.incoming) {
+    // The PBX stamps AnsweredAt when anyone picks up; we never saw Connected,
+    // so a colleague (ring group / queue) took it.
+    if (details.answeredAt) {
+      return { state: "answered-elsewhere", reason: "answered-elsewhere" };
+    }
+    return { state: "ended", reason: "no-answer" };
   }
 
-  const evt = toCallEvent({
-    callId, direction, remoteNumber, remoteName, state,
-    tabId: sourceTabId
-  });
+  // Outbound, never connected: remote never alerted -> busy / declined.
+  return { state: "ended", reason: lifecycle.everAlerting ? "no-answer" : "busy" };
+}
 
-  logDebug("Mapped LocalConnection -> CALL_EVENT", evt);
-  emitCallEvent(evt);
+function mergeCallDetails(callId, conn) {
+  const merged = { ...(callDetails.get(callId) || {}) };
+  for (const key of CALL_DETAIL_FIELDS) {
+    if (conn[key] !== undefined && conn[key] !== "" && conn[key] !== 0) {
+      merged[key] = conn[key];
+    }
+  }
+  // held=false must clear a previous hold, so take it whenever present.
+  if (typeof conn.held === "boolean") merged.held = conn.held;
+  callDetails.set(callId, merged);
+  return merged;
 }
 
-function tryHandleDecodedMyExtensionInfo(message, sourceTabId = "") {
+function tryHandleDecodedMyExtensionInfo(message, sourceTabId = "", domain = defaultPbxDomain()) {
   if (!message || message.messageId !== 201 || !Array.isArray(message.localConnections)) {
     return false;
   }
 
-  if (!configuredExtension && message.extensionNumber) {
-    const prev = detectedExtension;
-    detectedExtension = String(message.extensionNumber).trim();
-    if (detectedExtension !== prev) {
+  const isDefaultPbx = domain === defaultPbxDomain();
+  if (message.extensionNumber) {
+    const prev = resolveExtensionNumber();
+    learnPbxIdentity(domain, { extension: message.extensionNumber });
+    if (resolveExtensionNumber() !== prev) {
       // Extension learned from a live frame — push to offscreen so HELLO uses it.
       sendInitToOffscreen();
     }
@@ -287,13 +2033,23 @@ function tryHandleDecodedMyExtensionInfo(message, sourceTabId = "") {
 
   logDebug("Decoded MessageId 201", {
     sourceTabId,
-    extension: resolveExtensionNumber(),
+    domain,
+    extension: pbxContext(domain).extension,
     connections: message.localConnections.length
   });
 
+  // The user's status is that of the default PBX.
+  if (message.presence && isDefaultPbx) updatePresence(message.presence);
+
   for (const conn of message.localConnections) {
     const actionType = Number(conn.actionType ?? conn.action ?? conn.containerAction ?? 0);
-    emitFromLocalConnection(conn, actionType, sourceTabId);
+    const pbxCallId = conn.callId ?? conn.id;
+    const scoped = {
+      ...conn,
+      id: scopedPbxId(domain, conn.id, pbxCallId),
+      callId: scopedPbxId(domain, conn.callId, pbxCallId)
+    };
+    emitFromLocalConnection(scoped, actionType, sourceTabId);
   }
 
   return true;
@@ -337,6 +2093,27 @@ class ProtoReader {
     return result >>> 0;
   }
 
+  // 64-bit varint as a JS number (exact up to 2^53), for epoch timestamps.
+  readVarint64() {
+    let result = 0;
+    let factor = 1;
+    while (true) {
+      const b = this.readByte();
+      result += (b & 0x7f) * factor;
+      if ((b & 0x80) === 0) break;
+      factor *= 128;
+      if (factor > 2 ** 63) throw new Error("Varint too long");
+    }
+    return result;
+  }
+
+  readFixed64() {
+    if (this.pos + 8 > this.len) throw new Error("Fixed64 exceeds buffer");
+    const view = new DataView(this.bytes.buffer, this.bytes.byteOffset + this.pos, 8);
+    this.pos += 8;
+    return view.getUint32(0, true) + view.getUint32(4, true) * 2 ** 32;
+  }
+
   readLengthDelimited() {
     const len = this.readVarint();
     const end = this.pos + len;
@@ -376,6 +2153,37 @@ class ProtoReader {
   }
 }
 
+// DateTime fields arrive either as a varint / fixed64 epoch value or as a
+// nested Timestamp { 1: seconds, 2: nanos }. Returns epoch milliseconds, 0 if unset.
+function readTimestamp(reader, wire) {
+  let value = 0;
+  if (wire === 0) {
+    value = reader.readVarint64();
+  } else if (wire === 1) {
+    value = reader.readFixed64();
+  } else if (wire === 2) {
+    const inner = new ProtoReader(reader.readLengthDelimited());
+    let seconds = 0;
+    let nanos = 0;
+    while (!inner.eof()) {
+      const tag = inner.readVarint();
+      if ((tag >>> 3) === 1 && (tag & 0x7) === 0) seconds = inner.readVarint64();
+      else if ((tag >>> 3) === 2 && (tag & 0x7) === 0) nanos = inner.readVarint();
+      else inner.skipType(tag & 0x7);
+    }
+    return seconds ? seconds * 1000 + Math.floor(nanos / 1e6) : 0;
+  } else {
+    reader.skipType(wire);
+    return 0;
+  }
+  // Seconds vs. milliseconds: anything below 1e11 cannot be a ms epoch after 1973.
+  return value > 0 && value < 1e11 ? value * 1000 : value;
+}
+
+// WebRTCHoldState: 0=None, 1=Local, 2=Remote, 3=Both
+const HOLD_STATE_LOCAL = 1;
+const HOLD_STATE_BOTH = 3;
+
 function parseLocalConnection(bytes) {
   const reader = new ProtoReader(bytes);
   const out = {};
@@ -385,35 +2193,40 @@ function parseLocalConnection(bytes) {
     const field = tag >>> 3;
     const wire = tag & 0x7;
 
-    switch (field) {
-      case 1:
-        out.action = reader.readVarint();
-        break;
-      case 2:
-        out.id = reader.readVarint();
-        break;
-      case 3:
-        out.callId = reader.readVarint();
-        break;
-      case 5:
-        out.state = reader.readVarint();
-        break;
-      case 10:
-        out.otherPartyDisplayName = reader.readString();
-        break;
-      case 11:
-        out.otherPartyCallerId = reader.readString();
-        break;
-      case 12:
-        out.isIncoming = !!reader.readVarint();
-        break;
-      case 22:
-        out.otherPartyDn = reader.readString();
-        break;
-      default:
-        reader.skipType(wire);
-        break;
-    }
+    // Unknown fields and known ones with an unexpected wire type are skipped.
+    if (field === 1 && wire === 0) out.action = reader.readVarint();
+    else if (field === 2 && wire === 0) out.id = reader.readVarint();
+    else if (field === 3 && wire === 0) out.callId = reader.readVarint();
+    else if (field === 4 && wire === 2) out.originatorDn = reader.readString();
+    else if (field === 5 && wire === 0) out.state = reader.readVarint();
+    else if (field === 6) out.startedAt = readTimestamp(reader, wire);
+    else if (field === 7) out.answeredAt = readTimestamp(reader, wire);
+    else if (field === 10 && wire === 2) out.otherPartyDisplayName = reader.readString();
+    else if (field === 11 && wire === 2) out.otherPartyCallerId = reader.readString();
+    else if (field === 12 && wire === 0) out.isIncoming = !!reader.readVarint();
+    else if (field === 14 && wire === 0) {
+      out.holdState = reader.readVarint();
+      out.held = out.holdState === HOLD_STATE_LOCAL || out.holdState === HOLD_STATE_BOTH;
+    } else if (field === 15 && wire === 2) out.queueName = reader.readString();
+    else if (field === 16 && wire === 2) out.queueDn = reader.readString();
+    else if (field === 17 && wire === 2) out.didNumber = reader.readString();
+    else if (field === 18 && wire === 2) out.transferredByDn = reader.readString();
+    else if (field === 19 && wire === 2) out.transferredByDisplayName = reader.readString();
+    else if (field === 20 && wire === 2) out.forwardedFromDn = reader.readString();
+    else if (field === 21 && wire === 2) out.forwardedFromDisplayName = reader.readString();
+    else if (field === 22 && wire === 2) out.otherPartyDn = reader.readString();
+    else reader.skipType(wire);
+  }
+
+  // One "source" for CALL_EVENT: a transfer wins over a forward.
+  if (out.transferredByDn) {
+    out.sourceType = "transfer";
+    out.sourceDn = out.transferredByDn;
+    out.sourceDisplayName = out.transferredByDisplayName || "";
+  } else if (out.forwardedFromDn) {
+    out.sourceType = "forward";
+    out.sourceDn = out.forwardedFromDn;
+    out.sourceDisplayName = out.forwardedFromDisplayName || "";
   }
 
   return out;
@@ -428,26 +2241,71 @@ function parseLocalConnections(bytes) {
     const field = tag >>> 3;
     const wire = tag & 0x7;
 
-    switch (field) {
-      case 1:
-        out.action = reader.readVarint();
-        break;
-      case 2:
-        out.items.push(parseLocalConnection(reader.readLengthDelimited()));
-        break;
-      default:
-        reader.skipType(wire);
-        break;
-    }
+    if (field === 1 && wire === 0) out.action = reader.readVarint();
+    else if (field === 2 && wire === 2) out.items.push(parseLocalConnection(reader.readLengthDelimited()));
+    else reader.skipType(wire);
+  }
+
+  return out;
+}
+
+// FwdProfile: 1=Action, 2=Id, 3=Name
+function parseForwardingProfile(bytes) {
+  const reader = new ProtoReader(bytes);
+  const out = { action: 0, id: null, name: "" };
+
+  while (!reader.eof()) {
+    const tag = reader.readVarint();
+    const field = tag >>> 3;
+    const wire = tag & 0x7;
+
+    if (field === 1 && wire === 0) out.action = reader.readVarint();
+    else if (field === 2 && wire === 0) out.id = reader.readVarint();
+    else if (field === 3 && wire === 2) out.name = reader.readString();
+    else reader.skipType(wire);
+  }
+
+  return out;
+}
+
+// ArrayOfForwardingProfiles: 1=Action, 2=FwdProfile (repeated)
+function parseForwardingProfiles(bytes) {
+  const reader = new ProtoReader(bytes);
+  const out = { action: 0, items: [] };
+
+  while (!reader.eof()) {
+    const tag = reader.readVarint();
+    const field = tag >>> 3;
+    const wire = tag & 0x7;
+
+    if (field === 1 && wire === 0) out.action = reader.readVarint();
+    else if (field === 2 && wire === 2) out.items.push(parseForwardingProfile(reader.readLengthDelimited()));
+    else reader.skipType(wire);
   }
 
   return out;
 }
 
+// ForwardingProfiles, or null unless every entry has an id and (when not
+// deleted) a name.
+function readForwardingProfiles(bytes) {
+  try {
+    const profiles = parseForwardingProfiles(bytes);
+    const valid = profiles.items.every((p) => p.id != null && (p.action === 4 || p.name));
+    if (valid) return profiles;
+    logDebug("ForwardingProfiles field does not match FwdProfile; presence not updated", profiles);
+  } catch (err) {
+    logDebug("ForwardingProfiles field not decodable; presence not updated", err);
+  }
+  return null;
+}
+
 function parseMyExtensionInfo(bytes) {
   const reader = new ProtoReader(bytes);
   const localConnections = [];
   let extensionNumber = "";
+  let currentProfileId = null;
+  let profiles = null;
 
   while (!reader.eof()) {
     const tag = reader.readVarint();
@@ -459,7 +2317,21 @@ function parseMyExtensionInfo(bytes) {
       continue;
     }
 
-    if (field === 18 || field === 20) {
+    // 5 = CurrentProfile (id), 7 = ForwardingProfiles. No published schema
+    // covers these two; they are read from frames of 3CX V20 PWAs, so they
+    // are taken defensively: another wire type is skipped, and a list that
+    // does not decode as FwdProfiles is dropped (readForwardingProfiles)
+    // rather than failing the frame with its calls.
+    if (field === 5 && wire === 0) {
+      currentProfileId = reader.readVarint();
+      continue;
+    }
+    if (field === 7 && wire === 2) {
+      profiles = readForwardingProfiles(reader.readLengthDelimited());
+      continue;
+    }
+
+    if ((field === 18 || field === 20) && wire === 2) {
       const group = parseLocalConnections(reader.readLengthDelimited());
       for (const item of group.items) {
         localConnections.push({
@@ -476,7 +2348,8 @@ function parseMyExtensionInfo(bytes) {
   return {
     messageId: 201,
     extensionNumber,
-    localConnections
+    localConnections,
+    presence: currentProfileId != null || profiles ? { currentProfileId, profiles } : null
   };
 }
 
@@ -497,7 +2370,7 @@ function parseGenericMessage(bytes) {
 
     if (wire === 2) {
       const payload = reader.readLengthDelimited();
-      if (field === 201) {
+      if (field === 201 || field === MSG_EXTENSIONS_INFO) {
         messagePayload = payload;
       } else if (messageId != null && field === messageId) {
         messagePayload = payload;
@@ -508,11 +2381,129 @@ function parseGenericMessage(bytes) {
     reader.skipType(wire);
   }
 
-  if (messageId !== 201 || !messagePayload) {
+  if (!messagePayload) return null;
+  if (messageId === 201) return parseMyExtensionInfo(messagePayload);
+  if (messageId === MSG_EXTENSIONS_INFO) return parseExtensionsInfo(messagePayload);
+  return null;
+}
+
+// Status of the other extensions (colleagues, BLF). Like 201, neither the
+// id nor the field map below is documented by 3CX; both were read off the
+// frames a 3CX V20 PWA receives for its colleague list. parseExtensionsInfo
+// therefore checks every frame against them and flags one that differs
+// (mismatch) instead of guessing; updateColleagueStatus then turns the
+// feature off.
+const MSG_EXTENSIONS_INFO = 202;
+const EXTENSION_INFO_WIRE_TYPES = [null, 0, 0, 2, 2, 2, 2, 0, 0]; // by field number
+const EXTENSION_NUMBER_PATTERN = /^[0-9*#]{1,16}$/;
+
+// ExtensionInfo: 1=Action, 2=Id, 3=Number, 4=FirstName, 5=LastName,
+// 6=CurrentProfileName, 7=IsBusy, 8=IsRinging
+function parseExtensionInfo(bytes) {
+  const reader = new ProtoReader(bytes);
+  const out = { action: 0, number: "", firstName: "", lastName: "", profileName: "", isBusy: false, isRinging: false };
+
+  while (!reader.eof()) {
+    const tag = reader.readVarint();
+    const field = tag >>> 3;
+    const wire = tag & 0x7;
+
+    if (EXTENSION_INFO_WIRE_TYPES[field] != null && EXTENSION_INFO_WIRE_TYPES[field] !== wire) {
+      out.mismatch = `field ${field} has wire type ${wire}`;
+      reader.skipType(wire);
+    } else if (field === 1) out.action = reader.readVarint();
+    else if (field === 3) out.number = reader.readString();
+    else if (field === 4) out.firstName = reader.readString();
+    else if (field === 5) out.lastName = reader.readString();
+    else if (field === 6) out.profileName = reader.readString();
+    else if (field === 7) out.isBusy = reader.readVarint() !== 0;
+    else if (field === 8) out.isRinging = reader.readVarint() !== 0;
+    else reader.skipType(wire);
+  }
+
+  if (!out.mismatch && out.action !== 4 && !EXTENSION_NUMBER_PATTERN.test(out.number)) {
+    out.mismatch = "no extension number";
+  }
+  out.name = `${out.firstName} ${out.lastName}`.trim();
+  return out;
+}
+
+// ExtensionsInfo: 1=Action, 2=ExtensionInfo (repeated). A frame that does
+// not decode at all is a mismatch too.
+function parseExtensionsInfo(bytes) {
+  const out = { messageId: MSG_EXTENSIONS_INFO, action: 0, items: [], mismatch: "" };
+
+  try {
+    const reader = new ProtoReader(bytes);
+    while (!reader.eof()) {
+      const tag = reader.readVarint();
+      const field = tag >>> 3;
+      const wire = tag & 0x7;
+
+      if (field === 1 && wire === 0) out.action = reader.readVarint();
+      else if (field === 2 && wire === 2) out.items.push(parseExtensionInfo(reader.readLengthDelimited()));
+      else {
+        if (field === 1 || field === 2) out.mismatch = `field ${field} has wire type ${wire}`;
+        reader.skipType(wire);
+      }
+    }
+  } catch (err) {
+    out.mismatch = String(err?.message || err);
+  }
+
+  out.mismatch ||= out.items.find((item) => item.mismatch)?.mismatch || "";
+  return out;
+}
+
+// Call-control requests the PWA sends to the PBX (see page-hook.js).
+const MSG_REQUEST_DROP_CALL = 115;
+const MSG_REQUEST_DIVERT_CALL = 116;
+const MSG_REQUEST_TRANSFER_CALL = 118;
+const CALL_CONTROL_REQUESTS = new Set([MSG_REQUEST_DROP_CALL, MSG_REQUEST_DIVERT_CALL, MSG_REQUEST_TRANSFER_CALL]);
+
+// RequestDropCall: 1=LocalConnectionId, 2=IsLocal, 3=ActionIfRinging
+// RequestDivertCall / RequestTransferCall: 1=LocalConnectionId, 2=Destination
+function parseCallControlRequest(bytes) {
+  const reader = new ProtoReader(bytes);
+  let messageId = null;
+  let payload = null;
+
+  while (!reader.eof()) {
+    const tag = reader.readVarint();
+    const field = tag >>> 3;
+    const wire = tag & 0x7;
+
+    if (field === 1 && wire === 0) {
+      messageId = reader.readVarint();
+    } else if (wire === 2 && CALL_CONTROL_REQUESTS.has(field)) {
+      payload = reader.readLengthDelimited();
+    } else {
+      reader.skipType(wire);
+    }
+  }
+
+  if (!payload || !CALL_CONTROL_REQUESTS.has(messageId)) {
     return null;
   }
 
-  return parseMyExtensionInfo(messagePayload);
+  const inner = new ProtoReader(payload);
+  const out = { messageId };
+  while (!inner.eof()) {
+    const tag = inner.readVarint();
+    const field = tag >>> 3;
+    const wire = tag & 0x7;
+
+    if (field === 1 && wire === 0) {
+      out.localConnectionId = inner.readVarint();
+    } else if (field === 2 && wire === 2) {
+      out.destination = inner.readString();
+    } else if (field === 3 && wire === 0) {
+      out.actionIfRinging = inner.readVarint();
+    } else {
+      inner.skipType(wire);
+    }
+  }
+  return out;
 }
 
 function parse3cxFrame(payload) {
@@ -529,7 +2520,8 @@ function parse3cxFrame(payload) {
       if (parsed) {
         logDebug("Parsed protobuf GenericMessage", {
           messageId: parsed.messageId,
-          localConnections: parsed.localConnections.length
+          localConnections: parsed.localConnections?.length,
+          extensions: parsed.items?.length
         });
       }
       return parsed;
@@ -546,6 +2538,130 @@ function parse3cxFrame(payload) {
   return null;
 }
 
+// ----- Call-state persistence -----
+// Chrome suspends the service worker after ~30 s idle and drops all module
+// globals. The call model is mirrored into chrome.storage.session (cleared on
+// browser restart / extension reload, like the calls themselves) and restored
+// before the first signal after a wake-up is processed.
+
+const CALL_STATE_KEY = "callTrackingState";
+let callStatePersistTimer = null;
+
+function serializeCallState() {
+  return {
+    savedAt: Date.now(),
+    webclientTabs: Array.from(webclientTabs),
+    primaryTabIds: Array.from(primaryTabIds),
+    pinnedTabIds: Array.from(pinnedTabIds),
+    logicalCallConns: Array.from(logicalCallConns, ([id, conns]) => [id, Array.from(conns)]),
+    connIdToCallId: Array.from(connIdToCallId),
+    callGroups: Array.from(callGroups, ([group, ids]) => [group, Array.from(ids)]),
+    callParties: Array.from(callParties),
+    activeConferences: Array.from(activeConferences),
+    callDetails: Array.from(callDetails),
+    callLifecycles: Array.from(callLifecycles),
+    pendingLocalActions: Array.from(pendingLocalActions),
+    callTabIds: Array.from(callTabIds),
+    postDialDtmf: Array.from(postDialDtmf),
+    pendingDials: pendingDials.map(({ timer, ...dial }) => dial),
+    pendingCallCommands: pendingCallCommands.map(({ timer, ...command }) => command),
+    pbxCallScopes: Array.from(pbxCallScopes),
+    apiDialFailures,
+    apiDialDisabledUntil,
+    shownCallNotifications: Array.from(shownCallNotifications),
+    presenceProfiles: Array.from(presenceProfiles),
+    currentProfileId,
+    lastPresenceKey,
+    colleagueStatus: Array.from(colleagueStatus),
+    subscribedExtensions: Array.from(subscribedExtensions)
+  };
+}
+
+function restoreMap(target, entries, toValue = (v) => v) {
+  target.clear();
+  for (const [key, value] of entries || []) target.set(key, toValue(value));
+}
+
+// Coalesce the writes of one burst of frames into a single storage.set.
+function scheduleCallStatePersist() {
+  if (callStatePersistTimer) return;
+  callStatePersistTimer = setTimeout(() => {
+    callStatePersistTimer = null;
+    chrome.storage.session.set({ [CALL_STATE_KEY]: serializeCallState() }).catch((err) => {
+      logDebug("Persisting call state failed", err);
+    });
+  }, 0);
+}
+
+async function restoreCallState() {
+  try {
+    const { [CALL_STATE_KEY]: saved } = await chrome.storage.session.get(CALL_STATE_KEY);
+    // Tab domains and call ids are resolved against the known identities.
+    await configReady;
+    if (!saved) return;
+
+    for (const [tabId, info] of saved.webclientTabs || []) {
+      if (!webclientTabs.has(tabId)) webclientTabs.set(tabId, { domain: "", ...info });
+    }
+    for (const [domain, tabId] of saved.primaryTabIds || []) {
+      if (!primaryTabIds.has(domain)) primaryTabIds.set(domain, tabId);
+    }
+    for (const [domain, tabId] of saved.pinnedTabIds || []) {
+      if (!pinnedTabIds.has(domain)) pinnedTabIds.set(domain, tabId);
+    }
+    restoreMap(logicalCallConns, saved.logicalCallConns, (conns) => new Set(conns));
+    restoreMap(connIdToCallId, saved.connIdToCallId);
+    restoreMap(callGroups, saved.callGroups, (ids) => new Set(ids));
+    restoreMap(pbxCallScopes, saved.pbxCallScopes);
+    restoreMap(callParties, saved.callParties);
+    restoreMap(activeConferences, saved.activeConferences);
+    restoreMap(callDetails, saved.callDetails);
+    restoreMap(callLifecycles, saved.callLifecycles);
+    restoreMap(pendingLocalActions, saved.pendingLocalActions);
+    restoreMap(callTabIds, saved.callTabIds);
+    restoreMap(postDialDtmf, saved.postDialDtmf);
+    restoreMap(shownCallNotifications, saved.shownCallNotifications);
+    restoreMap(presenceProfiles, saved.presenceProfiles);
+    currentProfileId = saved.currentProfileId ?? null;
+    lastPresenceKey = saved.lastPresenceKey || "";
+    restoreMap(colleagueStatus, saved.colleagueStatus);
+    subscribedExtensions.clear();
+    for (const number of saved.subscribedExtensions || []) subscribedExtensions.add(number);
+
+    // Dials that were waiting for confirmation keep their original deadline;
+    // an already expired one is resolved right away.
+    apiDialFailures = saved.apiDialFailures || 0;
+    apiDialDisabledUntil = saved.apiDialDisabledUntil || 0;
+    pendingDials.length = 0;
+    for (const dial of saved.pendingDials || []) {
+      const pending = { strategy: "", remaining: [], ...dial, timer: null };
+      pendingDials.push(pending);
+      armDialTimeout(pending);
+    }
+    for (const pending of pendingCallCommands.splice(0)) clearTimeout(pending.timer);
+    for (const command of saved.pendingCallCommands || []) {
+      const pending = { ...command, timer: null };
+      pendingCallCommands.push(pending);
+      armCallCommandTimeout(pending);
+    }
+
+    await pruneWebclientTabs();
+    refreshPrimaryTabs("restored");
+
+    logDebug("Call state restored", {
+      calls: logicalCallConns.size,
+      pendingDials: pendingDials.length,
+      pendingCallCommands: pendingCallCommands.length,
+      ageMs: Date.now() - (saved.savedAt || 0)
+    });
+  } catch (err) {
+    console.warn("[3CX-DATEV-C][bg] Restoring call state failed", err);
+  }
+}
+
+// Every handler that reads or mutates the call model waits for this.
+const callStateReady = restoreCallState();
+
 // ----- Message routing -----
 
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
@@ -555,7 +2671,41 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     sendResponse({
       wsState: bridgeState.wsState,
       helloAcked: bridgeState.helloAcked,
-      extension: configuredExtension || detectedExtension || bridgeState.extension || null
+      authState: bridgeState.authState,
+      compatibility: bridgeState.compatibility,
+      bridgeVersion: bridgeState.bridgeVersion,
+      missingCapabilities: bridgeState.missingCapabilities,
+      extension: configuredExtension || detectedExtension || bridgeState.extension || null,
+      enforced: enforcedSettings,
+      hostsMissingAccess
+    });
+    return true;
+  }
+
+  if (msg.type === "GET_WEBCLIENT_TABS") {
+    callStateReady.then(listWebclientTabs).then((tabs) => sendResponse({ tabs }));
+    return true;
+  }
+
+  if (msg.type === "SET_PRIMARY_TAB") {
+    callStateReady.then(() => sendResponse({ ok: pinPrimaryTab(msg.tabId ?? null, msg.domain) }));
+    return true;
+  }
+
+  // ---- page-dial.js on other sites ----
+  if (msg.type === "GET_PAGE_DIAL_CONFIG" && sender?.tab) {
+    configReady.then(() => sendResponse(pageDialConfig(sender.url || sender.tab.url)));
+    return true;
+  }
+
+  if (msg.type === "DIAL_NUMBER" && sender?.tab) {
+    Promise.all([configReady, callStateReady]).then(async () => {
+      if (msg.source === "link") {
+        sendResponse({ dialed: await dialFromPageLink(msg.number, sender.url || sender.tab.url) });
+        return;
+      }
+      dialFromPage(msg.number, "page");
+      sendResponse({ dialed: true });
     });
     return true;
   }
@@ -596,14 +2746,36 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
       bridgeState = {
         wsState: typeof msg.wsState === "number" ? msg.wsState : 3,
         helloAcked: !!msg.helloAcked,
+        authState: msg.authState || "unpaired",
+        compatibility: msg.compatibility || "unknown",
+        bridgeVersion: msg.bridgeVersion || "",
+        capabilities: Array.isArray(msg.capabilities) ? msg.capabilities : [],
+        missingCapabilities: Array.isArray(msg.missingCapabilities) ? msg.missingCapabilities : [],
         extension: msg.extension || "",
         port: msg.port || bridgePort
       };
       logDebug("BRIDGE_STATE from offscreen", bridgeState);
+      // A bridge subscribes again after every handshake.
+      if (!bridgeState.helloAcked && subscribedExtensions.size > 0) {
+        subscribedExtensions.clear();
+        pendingExtensionStatus.clear();
+        scheduleCallStatePersist();
+      }
       return;
     }
     if (msg.type === "BRIDGE_COMMAND") {
-      handleBridgeCommand(msg.data || {});
+      callStateReady.then(() => handleBridgeCommand(msg.data || {}));
+      return;
+    }
+    if (msg.type === "BRIDGE_SUBSCRIBE_EXTENSIONS") {
+      callStateReady.then(() => {
+        subscribeExtensions(msg.data?.extensions);
+        scheduleCallStatePersist();
+      });
+      return;
+    }
+    if (msg.type === "BRIDGE_LOOKUP_RESULT") {
+      callStateReady.then(() => applyLookupResult(msg.data || {}));
       return;
     }
     if (msg.type === "PORT_LEARNED" && msg.port) {
@@ -618,67 +2790,121 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
 });
 
 chrome.runtime.onMessage.addListener((msg, sender) => {
+  // Content scripts run on every https page; only configured 3CX hosts count.
+  if (sender?.tab && !isAllowedHost(sender.url || sender.tab.url)) return;
+
   // Handle provision data from content script (localStorage auto-detect)
   if (msg?.type === "3CX_PROVISION" && msg.provision) {
     const prov = msg.provision;
-    const prevResolved = resolveExtensionNumber();
+    const domain = prov.domain || "";
+    // The known identities must be loaded before this one is merged in.
+    callStateReady.then(() => {
+      const prevResolved = resolveExtensionNumber();
+
+      // Persisted in learnPbxIdentity, so it survives service worker restarts.
+      learnPbxIdentity(domain, prov);
+      if (sender?.tab) registerWebclientTab(sender.tab.id, domain);
+
+      logDebug("Provision received", {
+        domain,
+        extension: prov.extension,
+        version: prov.version,
+        userName: prov.userName,
+        defaultPbxDomain: defaultPbxDomain()
+      });
+
+      // Push updated identity into the offscreen document.
+      const extensionChanged = resolveExtensionNumber() !== prevResolved;
+      sendInitToOffscreen();
+      if (extensionChanged) {
+        // Force the offscreen to re-handshake.
+        sendToOffscreen({ type: "REFRESH" });
+      }
+    });
+    return;
+  }
 
-    if (prov.extension && !configuredExtension) {
-      detectedExtension = prov.extension;
-    }
-    if (prov.domain) detectedDomain = prov.domain;
-    if (prov.version) detectedVersion = prov.version;
-    if (prov.userName) detectedUserName = prov.userName;
+  if (!msg || msg.type !== "3CX_RAW_SIGNAL") return;
 
-    logDebug("Provision received", {
-      extension: resolveExtensionNumber(),
-      domain: detectedDomain,
-      version: detectedVersion,
-      userName: detectedUserName
-    });
+  const sourceTabId = sender?.tab?.id ?? "";
+  // Signals are applied in arrival order once the persisted call state is back.
+  callStateReady.then(() => {
+    handleRawSignal(msg.payload, sourceTabId);
+    scheduleCallStatePersist();
+  });
+});
 
-    // Persist so it survives service worker restarts
-    chrome.storage.local.set({
-      lastProvision: {
-        extension: detectedExtension,
-        domain: detectedDomain,
-        version: detectedVersion,
-        userName: detectedUserName
-      }
-    }).catch(() => {});
+function handleRawSignal(payload, sourceTabId) {
+  if (sourceTabId !== "") registerWebclientTab(sourceTabId);
+  const domain = sourceTabId !== "" ? tabPbxDomain(sourceTabId) : defaultPbxDomain();
+  logDebug("Raw signal received", { kind: payload?.kind, sourceTabId, domain });
+
+  if (payload?.kind === "COMMAND_RESULT") {
+    failPendingCallCommand(payload);
+    emitCommandResult(payload);
+    return;
+  }
+
+  if (payload?.kind === "CALL_REQUEST_SENT" || payload?.kind === "CALL_VIEW_CLICKED" ||
+      payload?.kind === "PRESENCE_CLICKED") {
+    // The command's outcome comes from the next MyExtensionInfo state in
+    // confirmCallCommands / settleEndedCallCommands / confirmPresenceSet.
+    logDebug("Command clicked in page", payload);
+    return;
+  }
 
-    // Push updated identity into the offscreen document.
-    const extensionChanged = resolveExtensionNumber() !== prevResolved;
-    sendInitToOffscreen();
-    if (extensionChanged) {
-      // Force the offscreen to re-handshake.
-      sendToOffscreen({ type: "REFRESH" });
+  if (payload?.kind === "WS_BINARY_OUT" && payload.base64) {
+    try {
+      const request = parseCallControlRequest(base64ToBytes(payload.base64));
+      if (request) request.localConnectionId = scopedConnectionId(domain, request.localConnectionId);
+      recordLocalAction(request);
+    } catch (err) {
+      logDebug("Failed to parse outbound call-control frame", err);
     }
     return;
   }
 
-  if (!msg || msg.type !== "3CX_RAW_SIGNAL") return;
+  if (payload?.kind === "DIAL_STRATEGY_UNAVAILABLE") {
+    skipDialStrategy(payload.dialId, payload.strategy, payload.reason);
+    return;
+  }
 
-  const sourceTabId = sender?.tab?.id ?? "";
-  if (sourceTabId) webclientTabId = sourceTabId; // track active 3CX tab
-  logDebug("Raw signal received", { kind: msg.payload?.kind, sourceTabId });
+  if (typeof payload?.kind === "string" && payload.kind.startsWith("DIAL_")) {
+    // Progress of the running dial strategy; the final outcome comes from
+    // the LocalConnection match in confirmPendingDial.
+    logDebug("Dial progress from page", payload);
+    return;
+  }
+
+  // Command results, local actions and dial progress above belong to the tab
+  // that sent them; PBX state is taken from each PBX's primary tab only.
+  if (sourceTabId !== "" && sourceTabId !== primaryTabId(domain)) {
+    logDebug("Frame from secondary WebClient tab ignored", { sourceTabId, primary: primaryTabId(domain) });
+    return;
+  }
 
-  const decoded = parse3cxFrame(msg.payload);
+  const decoded = parse3cxFrame(payload);
   if (!decoded) {
     return;
   }
 
-  const handled = tryHandleDecodedMyExtensionInfo(decoded, sourceTabId);
+  if (decoded.messageId === MSG_EXTENSIONS_INFO) {
+    // The colleagues to watch are extensions of the default PBX.
+    if (domain === defaultPbxDomain()) updateColleagueStatus(decoded);
+    return;
+  }
+
+  const handled = tryHandleDecodedMyExtensionInfo(decoded, sourceTabId, domain);
   if (!handled) {
     logDebug("Decoded payload ignored (not MessageId 201 shape)", decoded);
   }
-});
+}
 
-// Inject content script into already-open 3CX tabs (content_scripts from
-// manifest only run on page navigation, not tabs that are already loaded).
+// Inject content script into already-open 3CX tabs (registered content
+// scripts only run on page navigation, not tabs that are already loaded).
 async function injectExistingTabs() {
   try {
-    const tabs = await chrome.tabs.query({ url: ["https://*/", "https://*/webclient/*"] });
+    const tabs = await queryWebclientTabs();
     for (const tab of tabs) {
       try {
         // Try to reach an existing content script first
@@ -703,6 +2929,7 @@ async function injectExistingTabs() {
 }
 
 chrome.runtime.onInstalled.addListener(async () => {
+  createCallMenu();
   await ensureOffscreen();
   await loadConfig();
   ensureKeepaliveAlarm();
@@ -716,15 +2943,33 @@ chrome.runtime.onStartup.addListener(async () => {
   await injectExistingTabs();
 });
 
+// Host access granted or revoked (options page, chrome://extensions).
+chrome.permissions.onAdded.addListener(() => {
+  syncContentScripts().then(injectExistingTabs);
+});
+
+chrome.permissions.onRemoved.addListener(() => {
+  syncContentScripts();
+});
+
 chrome.storage.onChanged.addListener((changes, areaName) => {
-  if (areaName !== "local") return;
-  if (!changes.extensionNumber && !changes.debugLogging && !changes.bridgePort) return;
+  if (areaName !== "local" && areaName !== "managed") return;
+  const portChanged = changes.bridgePort || changes.bridgePortRangeStart || changes.bridgePortRangeSize;
+  if (!changes.extensionNumber && !changes.debugLogging && !changes.allowedHosts && !changes.pairingKey &&
+      !changes.dialMethod && !changes.callNotifications && !changes.detectPhoneNumbers &&
+      !changes.interceptDialLinks && !changes.confirmDialLinks && !changes.dialLinkAllowSites &&
+      !changes.dialLinkDenySites && !changes.defaultPbxDomain && !DIAL_PLAN_KEYS.some((key) => changes[key]) &&
+      !portChanged) return;
 
   loadConfig()
     .then(() => {
-      // loadConfig already re-sends INIT. If identity or port changed, cycle
-      // the offscreen WebSocket so it picks up the new settings cleanly.
-      if (changes.extensionNumber || changes.bridgePort) {
+      if (changes.allowedHosts) return injectExistingTabs();
+    })
+    .then(() => {
+      // loadConfig already re-sends INIT (offscreen reconnects by itself on a
+      // new pairing key). If identity or port changed, cycle the offscreen
+      // WebSocket so it picks up the new settings cleanly.
+      if (changes.extensionNumber || portChanged) {
         return sendToOffscreen({ type: "REFRESH" });
       }
     })
@@ -745,7 +2990,8 @@ function ensureKeepaliveAlarm() {
 }
 
 // Boot: bring up the offscreen doc, then load config (which pushes INIT).
-(async () => {
+// Requests that need the settings (page-dial.js) wait for configReady.
+const configReady = (async () => {
   try {
     await ensureOffscreen();
     await loadConfig();
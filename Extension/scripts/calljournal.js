@@ -0,0 +1,265 @@
+// ===== Call journal: local history of every call, in IndexedDB =====
+// The offscreen document records each CALL_EVENT it hands to the bridge, one
+// entry per logical call, together with whether the bridge actually got it.
+// That is what makes calls reconcilable with DATEV after the connector was
+// down. The popup reads the same database for the history view and export.
+//
+// Shared by offscreen.js (writes) and popup.js (reads); keep it free of chrome.*.
+
+const DB_NAME = "callJournal";
+const DB_VERSION = 1;
+const STORE = "calls";
+
+// Pruned when the offscreen document starts.
+const JOURNAL_MAX_AGE_MS = 90 * 24 * 60 * 60_000;
+const JOURNAL_MAX_ENTRIES = 5_000;
+// An entry without a terminal state (browser closed mid-call) is not
+// continued after this long; the call id starts a new entry instead.
+const OPEN_CALL_MAX_AGE_MS = 12 * 60 * 60_000;
+const TERMINAL_STATES = new Set(["ended", "transferred", "forwarded", "answered-elsewhere"]);
+
+// Delivery of a single CALL_EVENT to the bridge:
+//   "sent"     sent on a live connection
+//   "queued"   waiting for the next handshake
+//   "replayed" sent from the queue after a reconnect
+//   "expired"  dropped from the queue as too old
+//   "dropped"  dropped because the queue was full
+const LOST_DELIVERIES = new Set(["expired", "dropped"]);
+
+let dbPromise = null;
+
+function requestDone(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function openJournal() {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE, { keyPath: "key", autoIncrement: true });
+      store.createIndex("callId", "callId");
+      store.createIndex("startedAt", "startedAt");
+    };
+    dbPromise = requestDone(request);
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+// ----- Writing (offscreen.js) -----
+
+// Newest entry of this call that the event continues, or null.
+async function findCallEntry(store, event) {
+  const entries = await requestDone(store.index("callId").getAll(event.call.id));
+  const latest = entries.reduce((a, b) => (!a || b.startedAt >= a.startedAt ? b : a), null);
+  if (!latest || event.ts - latest.lastEventAt > OPEN_CALL_MAX_AGE_MS) return null;
+  // After the end only a repeated end belongs to the same call.
+  if (latest.endedAt && !TERMINAL_STATES.has(event.call.state)) return null;
+  return latest;
+}
+
+function newEntry(event) {
+  return {
+    callId: event.call.id,
+    direction: "",
+    remoteNumber: "",
+    remoteName: "",
+    extension: "",
+    queueName: "",
+    did: "",
+    startedAt: event.call.startedAt || event.ts,
+    answeredAt: 0,
+    endedAt: 0,
+    connected: false,
+    state: "",
+    endReason: "",
+    talkSeconds: 0,
+    durationSeconds: 0,
+    lastEventAt: event.ts,
+    transitions: [] // { state, ts, reason, delivery }
+  };
+}
+
+function applyCallEvent(entry, event, delivery) {
+  const call = event.call;
+  entry.direction = call.direction || entry.direction;
+  entry.remoteNumber = call.remoteNumber || entry.remoteNumber;
+  entry.remoteName = call.remoteName || entry.remoteName;
+  entry.extension = event.context?.extension || entry.extension;
+  entry.queueName = call.queueName || entry.queueName;
+  entry.did = call.did || entry.did;
+  // The PBX start time beats the time we first saw the call.
+  if (call.startedAt) entry.startedAt = Math.min(entry.startedAt, call.startedAt);
+  entry.answeredAt = call.answeredAt || entry.answeredAt;
+  entry.connected = entry.connected || call.state === "connected";
+  entry.state = call.state;
+  entry.lastEventAt = event.ts;
+  entry.transitions.push({ state: call.state, ts: event.ts, reason: call.reason || "", delivery });
+
+  if (TERMINAL_STATES.has(call.state)) {
+    entry.endedAt = event.ts;
+    entry.endReason = call.reason || call.state;
+    entry.talkSeconds = call.talkSeconds ?? entry.talkSeconds;
+    entry.durationSeconds = Math.max(0, Math.round((entry.endedAt - entry.startedAt) / 1000));
+  }
+}
+
+// Record a CALL_EVENT with its delivery status (see above).
+export async function recordCallEvent(event, delivery) {
+  if (!event?.call?.id) return;
+  const db = await openJournal();
+  const tx = db.transaction(STORE, "readwrite");
+  const store = tx.objectStore(STORE);
+  const entry = await findCallEntry(store, event) || newEntry(event);
+  applyCallEvent(entry, event, delivery);
+  store.put(entry);
+  await transactionDone(tx);
+}
+
+// Update the delivery of an already recorded CALL_EVENT (queue flush).
+export async function updateCallEventDelivery(event, delivery) {
+  if (!event?.call?.id) return;
+  const db = await openJournal();
+  const tx = db.transaction(STORE, "readwrite");
+  const store = tx.objectStore(STORE);
+  const entries = await requestDone(store.index("callId").getAll(event.call.id));
+  for (const entry of entries) {
+    const transition = entry.transitions.find((t) => t.ts === event.ts && t.state === event.call.state);
+    if (!transition) continue;
+    transition.delivery = delivery;
+    store.put(entry);
+    break;
+  }
+  await transactionDone(tx);
+}
+
+// Drop entries older than JOURNAL_MAX_AGE_MS, then the oldest beyond
+// JOURNAL_MAX_ENTRIES. Returns the number of deleted entries.
+export async function pruneJournal() {
+  const db = await openJournal();
+  const tx = db.transaction(STORE, "readwrite");
+  const index = tx.objectStore(STORE).index("startedAt");
+  const total = await requestDone(index.count());
+  let excess = total - JOURNAL_MAX_ENTRIES;
+  const cutoff = Date.now() - JOURNAL_MAX_AGE_MS;
+  let deleted = 0;
+
+  await new Promise((resolve, reject) => {
+    const cursorRequest = index.openCursor();
+    cursorRequest.onerror = () => reject(cursorRequest.error);
+    cursorRequest.onsuccess = () => {
+      const cursor = cursorRequest.result;
+      if (!cursor || (excess <= 0 && cursor.value.startedAt >= cutoff)) {
+        resolve();
+        return;
+      }
+      cursor.delete();
+      deleted++;
+      excess--;
+      cursor.continue();
+    };
+  });
+  await transactionDone(tx);
+  return deleted;
+}
+
+// ----- Reading (popup.js) -----
+
+// "complete" when the bridge got every event, "pending" while some wait in
+// the queue, "lost" when one was dropped (DATEV may lack the call).
+export function deliveryOf(entry) {
+  const deliveries = entry.transitions.map((t) => t.delivery);
+  if (deliveries.some((d) => LOST_DELIVERIES.has(d))) return "lost";
+  if (deliveries.includes("queued")) return "pending";
+  return "complete";
+}
+
+export function isMissedCall(entry) {
+  return entry.direction === "inbound" && !!entry.endedAt && !entry.connected;
+}
+
+function matchesFilter(entry, { text = "", direction = "", result = "" }) {
+  if (direction && entry.direction !== direction) return false;
+  if (result === "answered" && !entry.connected) return false;
+  if (result === "missed" && !isMissedCall(entry)) return false;
+  if (result === "undelivered" && deliveryOf(entry) === "complete") return false;
+
+  const query = text.trim().toLowerCase();
+  if (!query) return true;
+  const digits = query.replace(/\D/g, "");
+  if (digits && /^[\d\s+()/-]+$/.test(query)) {
+    // "089 123" also finds "+4989123...".
+    const number = entry.remoteNumber.replace(/\D/g, "");
+    return number.includes(digits) || number.includes(digits.replace(/^0+/, ""));
+  }
+  return entry.remoteName.toLowerCase().includes(query) || entry.remoteNumber.includes(query);
+}
+
+// Matching entries, newest first. filter: { text, direction: "" | "inbound" |
+// "outbound", result: "" | "answered" | "missed" | "undelivered" }.
+export async function queryCalls(filter = {}) {
+  const db = await openJournal();
+  const tx = db.transaction(STORE, "readonly");
+  const index = tx.objectStore(STORE).index("startedAt");
+  const entries = await requestDone(index.getAll());
+  return entries.filter((entry) => matchesFilter(entry, filter)).reverse();
+}
+
+// ----- Export -----
+
+const CSV_COLUMNS = [
+  ["startedAt", (e) => isoTime(e.startedAt)],
+  ["direction", (e) => e.direction],
+  ["remoteNumber", (e) => e.remoteNumber],
+  ["remoteName", (e) => e.remoteName],
+  ["extension", (e) => e.extension],
+  ["state", (e) => e.state],
+  ["endReason", (e) => e.endReason],
+  ["answeredAt", (e) => isoTime(e.answeredAt)],
+  ["endedAt", (e) => isoTime(e.endedAt)],
+  ["talkSeconds", (e) => e.talkSeconds],
+  ["durationSeconds", (e) => e.durationSeconds],
+  ["queueName", (e) => e.queueName],
+  ["did", (e) => e.did],
+  ["delivery", (e) => deliveryOf(e)],
+  ["callId", (e) => e.callId],
+  ["transitions", (e) => e.transitions.map((t) => `${isoTime(t.ts)} ${t.state} (${t.delivery})`).join(" | ")]
+];
+
+function isoTime(ms) {
+  return ms ? new Date(ms).toISOString() : "";
+}
+
+// Caller names and numbers come from outside. A field Excel would read as a
+// formula (=, +, -, @, tab, CR first) gets a leading ' so it stays text; this
+// also applies to E.164 numbers ("'+49...").
+function csvField(value) {
+  let text = String(value ?? "");
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Semicolon-separated with BOM, so Excel with German regional settings opens
+// it as columns and keeps umlauts.
+export function toCsv(entries) {
+  const lines = [CSV_COLUMNS.map(([name]) => name).join(";")];
+  for (const entry of entries) {
+    lines.push(CSV_COLUMNS.map(([, value]) => csvField(value(entry))).join(";"));
+  }
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+export function toJson(entries) {
+  return JSON.stringify(entries.map(({ key, ...entry }) => ({ ...entry, delivery: deliveryOf(entry) })), null, 2);
+}
@@ -76,19 +76,27 @@
     console.log("[3CX-DATEV-C][content]", ...args);
   };
 
+  // Policy values (chrome.storage.managed) win over the user's local settings.
+  const loadSettings = () => Promise.all([
+    chrome.storage.local.get(["debugLogging", "dialDelay"]),
+    chrome.storage.managed.get(["debugLogging", "dialDelay"]).catch(() => ({}))
+  ]).then(([local, managed]) => {
+    const cfg = { ...local };
+    for (const key of Object.keys(managed)) {
+      if (managed[key] != null) cfg[key] = managed[key];
+    }
+    debugLogging = !!cfg.debugLogging;
+    const parsedDelay = parseInt(cfg.dialDelay, 10);
+    dialDelay = Number.isFinite(parsedDelay) ? parsedDelay : 750;
+  });
+
   try {
-    chrome.storage.local.get(["debugLogging", "dialDelay"]).then((cfg) => {
-      debugLogging = !!cfg.debugLogging;
-      dialDelay = parseInt(cfg.dialDelay, 10) || 750;
-    }).catch(() => {});
+    loadSettings().catch(() => {});
 
     chrome.storage.onChanged.addListener((changes, areaName) => {
-      if (areaName !== "local") return;
-      if (changes.debugLogging) {
-        debugLogging = !!changes.debugLogging.newValue;
-      }
-      if (changes.dialDelay) {
-        dialDelay = parseInt(changes.dialDelay.newValue, 10) || 750;
+      if (areaName !== "local" && areaName !== "managed") return;
+      if (changes.debugLogging || changes.dialDelay) {
+        loadSettings().catch(() => {});
       }
     });
   } catch {
@@ -171,6 +179,12 @@
     });
   });
 
+  // Call commands for one call, executed by page-hook.js.
+  const CALL_CONTROL_COMMANDS = new Set([
+    "DROP", "REJECT", "DIVERT", "HOLD", "RESUME", "TRANSFER", "ATTENDED_TRANSFER", "COMPLETE_TRANSFER",
+    "SEND_DTMF"
+  ]);
+
   chrome.runtime.onMessage.addListener((message) => {
     if (message?.type === "REFRESH_WEBCLIENT_DETECTION") {
       provisionSent = false; // Allow re-send so background re-triggers connectBridge
@@ -182,7 +196,68 @@
       window.postMessage({
         channel: BRIDGE_CHANNEL,
         source: "3cx-datev-connector",
-        payload: { kind: "DIAL", number: message.number, dialDelay }
+        payload: {
+          kind: "DIAL",
+          number: message.number,
+          requestId: message.requestId || "",
+          dialId: message.dialId || "",
+          strategy: message.strategy || "ui",
+          dialDelay
+        }
+      }, "*");
+    }
+
+    if (CALL_CONTROL_COMMANDS.has(message?.type) && Array.isArray(message.connectionIds)) {
+      logDebug(`${message.type} received from background, forwarding to page`, message.callId);
+      window.postMessage({
+        channel: BRIDGE_CHANNEL,
+        source: "3cx-datev-connector",
+        payload: {
+          kind: message.type,
+          requestId: message.requestId || "",
+          callId: message.callId,
+          connectionIds: message.connectionIds,
+          number: message.number || "",
+          digits: message.digits || "",
+          remoteNumber: message.remoteNumber || "",
+          remoteName: message.remoteName || ""
+        }
+      }, "*");
+    }
+
+    if (message?.type === "ANSWER") {
+      logDebug("ANSWER received from background, forwarding to page", message.callId);
+      window.postMessage({
+        channel: BRIDGE_CHANNEL,
+        source: "3cx-datev-connector",
+        payload: {
+          kind: "ANSWER",
+          requestId: message.requestId || "",
+          callId: message.callId,
+          remoteNumber: message.remoteNumber || "",
+          remoteName: message.remoteName || ""
+        }
+      }, "*");
+    }
+
+    if (message?.type === "CALL_CONNECTED" && message?.callId) {
+      window.postMessage({
+        channel: BRIDGE_CHANNEL,
+        source: "3cx-datev-connector",
+        payload: { kind: "CALL_CONNECTED", callId: message.callId }
+      }, "*");
+    }
+
+    if (message?.type === "SET_PRESENCE" && message?.profile) {
+      logDebug("SET_PRESENCE received from background, forwarding to page", message.profile);
+      window.postMessage({
+        channel: BRIDGE_CHANNEL,
+        source: "3cx-datev-connector",
+        payload: {
+          kind: "SET_PRESENCE",
+          requestId: message.requestId || "",
+          profile: message.profile
+        }
       }, "*");
     }
   });
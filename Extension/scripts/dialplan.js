@@ -0,0 +1,161 @@
+// ===== Dial plan: number normalization for DIAL and CALL_EVENT =====
+// DATEV hands over numbers the way they were typed into the contact
+// ("+49 (0) 89 / 123-45", "0049 89 12345", "089 12345"). The dial plan turns
+// them into something 3CX can dial, and turns the numbers the PBX reports back
+// into E.164 so the connector's contact matching sees one format.
+//
+// Shared by background.js and options.js (preview); keep it free of chrome.*.
+
+import "./phone-numbers.js";
+
+const { DATE_PATTERN, MAX_DIGITS: PHONE_NUMBER_MAX_DIGITS, findPhoneNumbers } = globalThis.__3cx_datev_phone_numbers;
+
+// Trunk prefixes of the DATEV markets (DE, AT, CH).
+const NATIONAL_PREFIX = "0";
+const INTERNATIONAL_PREFIX = "00";
+const E164_MAX_DIGITS = 15;
+
+// Storage keys (chrome.storage.local / managed) and their defaults.
+export const DIAL_PLAN_DEFAULTS = {
+  dialCountryCode: "49",
+  dialAreaCode: "",
+  dialOutsideLinePrefix: "",
+  dialInternalMaxLength: 4,
+  dialNumberFormat: "e164" // "e164" (+49891234) | "national" (0891234, 0043...)
+};
+export const DIAL_PLAN_KEYS = Object.keys(DIAL_PLAN_DEFAULTS);
+
+// Build a plan from stored settings; missing or malformed values fall back
+// to the defaults.
+export function dialPlanFromSettings(cfg = {}) {
+  const digitsOf = (value) => String(value ?? "").replace(/\D/g, "");
+  const maxLength = parseInt(cfg.dialInternalMaxLength, 10);
+  return {
+    countryCode: digitsOf(cfg.dialCountryCode ?? DIAL_PLAN_DEFAULTS.dialCountryCode),
+    // Stored with or without trunk prefix ("089" or "89").
+    areaCode: digitsOf(cfg.dialAreaCode).replace(/^0+/, ""),
+    outsideLinePrefix: digitsOf(cfg.dialOutsideLinePrefix),
+    internalMaxLength: Number.isInteger(maxLength) && maxLength >= 0
+      ? maxLength
+      : DIAL_PLAN_DEFAULTS.dialInternalMaxLength,
+    numberFormat: cfg.dialNumberFormat === "national" ? "national" : "e164"
+  };
+}
+
+// Post-dial digits: "089 123456,,1234#" dials "089 123456" and sends
+// ",,1234#" as DTMF once the call is connected. "," (also ";") is a 2 s pause,
+// so the separator itself waits before the first tone.
+const POST_DIAL_SEPARATOR = /[,;]/;
+
+export function splitPostDial(raw) {
+  const text = String(raw ?? "");
+  const idx = text.search(POST_DIAL_SEPARATOR);
+  if (idx <= 0) return { number: text, postDial: "" };
+  return { number: text.slice(0, idx), postDial: cleanDtmf(text.slice(idx)) };
+}
+
+// DTMF string as RTCDTMFSender accepts it: 0-9, A-D, *, #, "," (pause).
+export function cleanDtmf(raw) {
+  return String(raw ?? "").toUpperCase().replace(/;/g, ",").replace(/[^0-9A-D*#,]/g, "");
+}
+
+// Strip formatting: keeps a leading "+" and digits. "+49 (0) 89" drops the
+// bracketed trunk prefix; "*" / "#" feature codes are returned unchanged.
+export function cleanNumber(raw) {
+  let text = String(raw ?? "").trim().replace(/^(tel|callto):/i, "");
+  if (/[*#]/.test(text)) return text.replace(/\s/g, "");
+
+  const international = /^(\+|00)/.test(text);
+  if (international) text = text.replace(/\(\s*0\s*\)/g, "");
+  const digits = text.replace(/\D/g, "");
+  if (!digits) return "";
+  return text.startsWith("+") ? `+${digits}` : digits;
+}
+
+const BARE_NUMBER = /^\+?[\d\s()./-]+$/;
+
+// Number to dial from a selection or a tel: / callto: / sip: link: the whole
+// text when it is a bare number (extensions included), otherwise the first
+// phone number in it (phone-numbers.js). "" when there is none.
+export function extractPhoneNumber(raw) {
+  let text = String(raw ?? "").trim();
+  const uri = text.match(/^(tel|callto|sip):(.*)$/i);
+  if (uri) {
+    try {
+      text = decodeURIComponent(uri[2]);
+    } catch {
+      text = uri[2];
+    }
+    // Drop URI parameters (";phone-context=...") and the SIP domain.
+    text = text.replace(/[;?].*$/, "").replace(/@.*$/, "").trim();
+  }
+
+  const digits = text.replace(/\D/g, "");
+  if (BARE_NUMBER.test(text) && digits.length > 0 && digits.length <= PHONE_NUMBER_MAX_DIGITS && !DATE_PATTERN.test(text)) {
+    return text;
+  }
+  return findPhoneNumbers(text)[0]?.[0] || "";
+}
+
+// Short digit strings are extensions (or feature codes) and never rewritten.
+export function isInternalNumber(cleaned, plan) {
+  if (/[*#]/.test(cleaned)) return true;
+  return /^\d+$/.test(cleaned) && cleaned.length <= plan.internalMaxLength;
+}
+
+// E.164 ("+49891234567") or null when the number cannot be completed
+// (internal extension, feature code, local number without area code).
+export function toE164(raw, plan) {
+  const n = cleanNumber(raw);
+  if (!n || isInternalNumber(n, plan)) return null;
+
+  let digits;
+  if (n.startsWith("+")) {
+    digits = n.slice(1);
+  } else if (n.startsWith(INTERNATIONAL_PREFIX)) {
+    digits = n.slice(INTERNATIONAL_PREFIX.length);
+  } else if (n.startsWith(NATIONAL_PREFIX)) {
+    if (!plan.countryCode) return null;
+    digits = plan.countryCode + n.slice(NATIONAL_PREFIX.length);
+  } else if (plan.countryCode && plan.areaCode) {
+    digits = plan.countryCode + plan.areaCode + n;
+  } else {
+    return null;
+  }
+
+  if (!/^[1-9]\d*$/.test(digits) || digits.length > E164_MAX_DIGITS) return null;
+  return `+${digits}`;
+}
+
+// Number to hand to the 3CX WebClient for a DIAL.
+export function toDialString(raw, plan) {
+  const n = cleanNumber(raw);
+  if (!n) return String(raw ?? "").trim();
+  if (isInternalNumber(n, plan)) return n;
+
+  const e164 = toE164(n, plan);
+  if (!e164) return plan.outsideLinePrefix + n.replace(/^\+/, INTERNATIONAL_PREFIX);
+  if (plan.numberFormat === "e164" && !plan.outsideLinePrefix) return e164;
+
+  const digits = e164.slice(1);
+  const national = plan.countryCode && digits.startsWith(plan.countryCode)
+    ? NATIONAL_PREFIX + digits.slice(plan.countryCode.length)
+    : INTERNATIONAL_PREFIX + digits;
+  return plan.outsideLinePrefix + national;
+}
+
+// Remote number for CALL_EVENT / CONFERENCE: E.164 where possible, else the
+// cleaned number. Outbound numbers carry the outside-line prefix toDialString
+// (or the user) put in front, so with a prefix set they are read as its exact
+// inverse: prefix off, then toE164. With prefix "0", "00431234567" is Kiel
+// ("0" + "0431..."), not Austria. Inbound caller IDs never carry the prefix.
+export function normalizeRemoteNumber(raw, plan, outbound = false) {
+  let n = cleanNumber(raw);
+  if (!n) return String(raw ?? "");
+
+  const prefix = plan.outsideLinePrefix;
+  if (outbound && prefix && n.startsWith(prefix) && !isInternalNumber(n, plan)) {
+    n = n.slice(prefix.length);
+  }
+  return toE164(n, plan) || n;
+}
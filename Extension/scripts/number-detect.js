@@ -0,0 +1,100 @@
+(() => {
+  // Phone number detection on web pages (option "detectPhoneNumbers").
+  // Registered by background.js together with phone-numbers.js and
+  // page-dial.js for https sites other than the 3CX hosts; page-dial.js
+  // starts it once GET_PAGE_DIAL_CONFIG says so. Numbers in the page text get
+  // a dotted underline; clicking one dials it in the 3CX WebClient.
+  // background.js extracts and normalizes the number again
+  // (extractPhoneNumber / dial plan), so this only has to find candidates.
+  if (window.__3cx_datev_number_detect) return;
+
+  const { findPhoneNumbers } = globalThis.__3cx_datev_phone_numbers;
+
+  const MARK_CLASS = "__3cx_datev_dial";
+  // Editable, interactive and code content is left alone.
+  const SKIP_SELECTOR = `a, button, label, script, style, noscript, textarea, input, select, option, code, pre, [contenteditable], .${MARK_CLASS}`;
+  const SCAN_DELAY_MS = 500;
+  // Upper bound per pass, so huge pages and endless feeds stay responsive.
+  const MAX_TEXT_NODES_PER_SCAN = 2_000;
+
+  function markNumbers(textNode) {
+    const text = textNode.nodeValue;
+    const matches = findPhoneNumbers(text);
+    if (matches.length === 0) return;
+
+    const fragment = document.createDocumentFragment();
+    let last = 0;
+    for (const match of matches) {
+      fragment.append(text.slice(last, match.index));
+      const mark = document.createElement("span");
+      mark.className = MARK_CLASS;
+      mark.textContent = match[0];
+      mark.title = `Call ${match[0]} with 3CX`;
+      mark.style.cursor = "pointer";
+      mark.style.borderBottom = "1px dotted currentColor";
+      fragment.append(mark);
+      last = match.index + match[0].length;
+    }
+    fragment.append(text.slice(last));
+    textNode.replaceWith(fragment);
+  }
+
+  function scan(root) {
+    if (!root.isConnected) return;
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode(node) {
+        if (!/\d{3}/.test(node.nodeValue)) return NodeFilter.FILTER_REJECT;
+        return node.parentElement?.closest(SKIP_SELECTOR) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT;
+      }
+    });
+    const nodes = [];
+    while (nodes.length < MAX_TEXT_NODES_PER_SCAN && walker.nextNode()) nodes.push(walker.currentNode);
+    nodes.forEach(markNumbers);
+  }
+
+  // dial(number) is called for a real click on a marked number.
+  function start(dial) {
+    if (!document.body) return;
+
+    // Content added later (single-page apps) is scanned in batches.
+    const pendingRoots = new Set();
+    let scanTimer = null;
+
+    const observer = new MutationObserver((records) => {
+      for (const record of records) {
+        for (const node of record.addedNodes) {
+          if (node.nodeType === Node.ELEMENT_NODE || node.nodeType === Node.TEXT_NODE) pendingRoots.add(node);
+        }
+      }
+      if (pendingRoots.size === 0 || scanTimer) return;
+      scanTimer = setTimeout(() => {
+        scanTimer = null;
+        const roots = Array.from(pendingRoots);
+        pendingRoots.clear();
+        for (const root of roots) {
+          if (root.nodeType === Node.TEXT_NODE) {
+            if (root.parentElement) scan(root.parentElement);
+          } else {
+            scan(root);
+          }
+        }
+        // Our own marks are not new content.
+        observer.takeRecords();
+      }, SCAN_DELAY_MS);
+    });
+
+    // Only real clicks dial; the page cannot start a call with element.click().
+    document.addEventListener("click", (event) => {
+      const mark = event.target instanceof Element ? event.target.closest(`.${MARK_CLASS}`) : null;
+      if (!mark || !event.isTrusted) return;
+      event.preventDefault();
+      event.stopPropagation();
+      dial(mark.textContent);
+    }, true);
+
+    scan(document.body);
+    observer.observe(document.body, { childList: true, subtree: true });
+  }
+
+  window.__3cx_datev_number_detect = { start };
+})();
@@ -4,14 +4,46 @@
 // limit, so we host the socket here and talk to the SW over chrome.runtime
 // messages.
 
-const PROTOCOL_VERSION = 1;
+import { recordCallEvent, updateCallEventDelivery, pruneJournal } from "./calljournal.js";
+
+// Protocol versions this extension speaks. HELLO offers all of them; the
+// bridge picks one in HELLO_ACK ("protocolVersion") and every message is then
+// stamped with it.
+const SUPPORTED_PROTOCOL_VERSIONS = [1];
+// Features announced in HELLO. Anything the bridge does not list in its own
+// "capabilities" is not used on that connection (bridgeSupports()).
+const EXTENSION_CAPABILITIES = [
+  "DIAL", "DROP", "CALL_SNAPSHOT", "CONFERENCE", "LOOKUP", "ANSWER", "REJECT", "DIVERT",
+  "HOLD", "RESUME", "TRANSFER", "ATTENDED_TRANSFER", "COMPLETE_TRANSFER", "SEND_DTMF",
+  "PRESENCE", "SET_PRESENCE", "EXTENSION_STATUS", "MULTI_PBX"
+];
+// Assumed for a bridge whose HELLO_ACK predates capability exchange.
+const LEGACY_BRIDGE_CAPABILITIES = ["DIAL", "DROP"];
+// Outbound message types that need a bridge capability.
+const MESSAGE_CAPABILITIES = {
+  CALL_SNAPSHOT: "CALL_SNAPSHOT",
+  CONFERENCE: "CONFERENCE",
+  LOOKUP: "LOOKUP",
+  OPEN_CONTACT: "LOOKUP",
+  PRESENCE: "PRESENCE",
+  EXTENSION_STATUS: "EXTENSION_STATUS"
+};
 const DEFAULT_BRIDGE_PORT = 19800;
-const BRIDGE_PORT_RANGE_START = 19800;
-const BRIDGE_PORT_RANGE_END   = 19899;
+// Must match Webclient.WebSocketPort / Webclient.WebSocketPortRangeSize in the
+// connector config; both can be changed on the options page.
+const DEFAULT_BRIDGE_PORT_RANGE_START = 19800;
+const DEFAULT_BRIDGE_PORT_RANGE_SIZE = 100;
 const RECONNECT_DELAY_MS = 2_000;
 const RECONNECT_MAX_DELAY_MS = 30_000;
 const HELLO_RETRY_INTERVAL_MS = 2_000;
 const HELLO_MAX_RETRIES = 3;
+// Messages produced while the bridge is down or not yet HELLO_ACKed are queued
+// and replayed after the next handshake. Bounded so a long outage cannot grow
+// the offscreen document without limit; stale entries are dropped on flush.
+const OUTBOUND_QUEUE_MAX = 200;
+const OUTBOUND_QUEUE_MAX_AGE_MS = 15 * 60_000;
+const QUEUED_MESSAGE_TYPES = new Set(["CALL_EVENT", "CONFERENCE"]);
+const TERMINAL_CALL_STATES = new Set(["ended", "transferred", "forwarded", "answered-elsewhere"]);
 
 let ws = null;
 let helloSent = false;
@@ -28,10 +60,34 @@ let detectedVersion = "";
 let detectedUserName = "";
 let debugLogging = false;
 let bridgePort = DEFAULT_BRIDGE_PORT;
+let bridgePortRangeStart = DEFAULT_BRIDGE_PORT_RANGE_START;
+let bridgePortRangeSize = DEFAULT_BRIDGE_PORT_RANGE_SIZE;
+// Result of the last HELLO_ACK. compatibility: "unknown" | "ok" |
+// "bridge-too-old" | "extension-too-old" (no common protocol version).
+let protocolVersion = Math.max(...SUPPORTED_PROTOCOL_VERSIONS);
+let bridgeVersion = "";
+let bridgeCapabilities = new Set();
+let compatibility = "unknown";
+// Pairing key from the connector settings (options page). The handshake is
+// HELLO(nonce) -> HELLO_ACK(nonce, proof) -> AUTH(proof) -> AUTH_RESULT; only
+// after AUTH_RESULT ok the connection counts as established (helloAcked).
+let pairingKey = "";
+let authState = "unpaired"; // "unpaired" | "pending" | "ok" | "mismatch"
+let clientNonce = "";
+let authSent = false;
+// Ports whose bridge failed the handshake with the current key (another
+// user's bridge on a terminal server, or a stale key). Skipped when scanning;
+// cleared when the key changes.
+const rejectedPorts = new Set();
 const HELLO_BOOTSTRAP_TIMER_KEY = "__3cxDatevConnectorHelloTimer";
 
 let connectingInProgress = false;
 
+let outboundQueue = [];        // { queuedAt, message }
+const activeCalls = new Map(); // call.id -> call object of the last CALL_EVENT, for CALL_SNAPSHOT
+let lastPresence = null;       // last PRESENCE, repeated after every handshake
+let journalWrites = Promise.resolve(); // call journal writes, in order
+
 function logDebug(...args) {
   if (!debugLogging) return;
   console.log("[3CX-DATEV-C][off]", ...args);
@@ -58,19 +114,150 @@ function pushBridgeState() {
     type: "BRIDGE_STATE",
     wsState: ws ? ws.readyState : 3,
     helloAcked,
+    authState,
+    compatibility,
+    bridgeVersion,
+    capabilities: Array.from(bridgeCapabilities),
+    missingCapabilities: EXTENSION_CAPABILITIES.filter((cap) => !bridgeCapabilities.has(cap)),
     extension: resolveExtensionNumber(),
     port: bridgePort
   });
 }
 
-// Deterministic port per extension: BRIDGE_PORT_RANGE_START + extension.
+// ===== Pairing / handshake authentication =====
+// Must match BridgeAuth / PairingKeyStore in the connector.
+
+function normalizePairingKey(key) {
+  return String(key || "").toUpperCase().replace(/[^A-Z2-7]/g, "");
+}
+
+function toBase64(bytes) {
+  let binary = "";
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary);
+}
+
+function createNonce() {
+  return toBase64(crypto.getRandomValues(new Uint8Array(16)));
+}
+
+// HMAC-SHA256(key, role + ":" + first + ":" + second), Base64.
+async function computeAuthProof(role, firstNonce, secondNonce) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    "raw",
+    encoder.encode(normalizePairingKey(pairingKey)),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"]
+  );
+  const signature = await crypto.subtle.sign("HMAC", key, encoder.encode(`${role}:${firstNonce}:${secondNonce}`));
+  return toBase64(new Uint8Array(signature));
+}
+
+// ===== Version negotiation =====
+
+// Applies the version and capabilities from HELLO_ACK. Returns false when the
+// two sides share no protocol version; the connection is then unusable.
+function negotiateProtocol(msg) {
+  // A bridge without version negotiation speaks exactly the "v" it sends.
+  const bridgeVersions = Array.isArray(msg.versions) ? msg.versions : [msg.v || 1];
+  const picked = "protocolVersion" in msg ? msg.protocolVersion : msg.v || 1;
+  bridgeVersion = msg.bridgeVersion || "";
+
+  if (!SUPPORTED_PROTOCOL_VERSIONS.includes(picked)) {
+    compatibility = Math.max(...bridgeVersions) < Math.min(...SUPPORTED_PROTOCOL_VERSIONS)
+      ? "bridge-too-old"
+      : "extension-too-old";
+    bridgeCapabilities = new Set();
+    logInfo(`Keine gemeinsame Protokollversion (Erweiterung ${SUPPORTED_PROTOCOL_VERSIONS.join(",")}, Bridge ${bridgeVersions.join(",")}): ${compatibility}`);
+    return false;
+  }
+
+  protocolVersion = picked;
+  compatibility = "ok";
+  bridgeCapabilities = new Set(Array.isArray(msg.capabilities) ? msg.capabilities : LEGACY_BRIDGE_CAPABILITIES);
+  const missing = EXTENSION_CAPABILITIES.filter((cap) => !bridgeCapabilities.has(cap));
+  logDebug("Protocol negotiated", { protocolVersion, bridgeVersion, capabilities: Array.from(bridgeCapabilities), missing });
+  if (missing.length > 0) {
+    logInfo(`Connector ${bridgeVersion || "(unbekannt)"} unterstützt nicht: ${missing.join(", ")}`);
+  }
+  return true;
+}
+
+function bridgeSupports(capability) {
+  return bridgeCapabilities.has(capability);
+}
+
+function isSupportedByBridge(message) {
+  const capability = MESSAGE_CAPABILITIES[message.type];
+  return !capability || bridgeSupports(capability);
+}
+
+async function handleHelloAck(socket, msg) {
+  clearHelloRetry();
+  // HELLO retries can produce several ACKs; the server nonce is the same, so
+  // one AUTH is enough.
+  if (authSent) return;
+  authSent = true;
+
+  if (!negotiateProtocol(msg)) {
+    // Not a key problem: keep the port and retry with backoff, so updating
+    // either side heals the connection without user action.
+    pushBridgeState();
+    try { socket.close(); } catch {}
+    return;
+  }
+
+  const serverNonce = msg.auth?.nonce || "";
+  const expected = msg.auth?.proof
+    ? await computeAuthProof("bridge", clientNonce, serverNonce)
+    : null;
+  if (socket !== ws) return; // socket cycled while hashing
+
+  if (!serverNonce || msg.auth.proof !== expected) {
+    rejectAuth(socket, `Bridge auf Port ${bridgePort} kennt den Kopplungsschlüssel nicht (Connector veraltet oder anderer Benutzer), Port wird übersprungen`);
+    return;
+  }
+
+  const proof = await computeAuthProof("extension", serverNonce, clientNonce);
+  if (socket !== ws) return;
+  sendBridge({ type: "AUTH", proof });
+  logDebug("AUTH sent", { extension: msg.extension, bridgeVersion: msg.bridgeVersion, port: msg.port });
+}
+
+function handleAuthResult(socket, msg) {
+  if (!msg.ok) {
+    rejectAuth(socket, `Bridge auf Port ${bridgePort} hat den Kopplungsschlüssel abgelehnt (${msg.reason || "unbekannt"}), Schlüssel in den Optionen prüfen`);
+    return;
+  }
+  helloAcked = true;
+  authState = "ok";
+  logInfo(`Bridge verbunden auf Port ${bridgePort} (Extension ${resolveExtensionNumber() || "(unbekannt)"})`);
+  pushBridgeState();
+  flushOutboundQueue();
+  sendCallSnapshot();
+  sendPresence();
+}
+
+// Key mismatch on this port. The socket close schedules a reconnect, which
+// scans for another bridge and skips this port until the key changes.
+function rejectAuth(socket, reason) {
+  logInfo(reason);
+  authState = "mismatch";
+  rejectedPorts.add(bridgePort);
+  pushBridgeState();
+  try { socket.close(); } catch {}
+}
+
+// Deterministic port per extension: bridgePortRangeStart + extension.
 // Extension 1005 on default base 19800 -> 20805. Unique extension -> unique
 // port, so we can reach our bridge with one probe instead of scanning the
 // range. Returns 0 when the extension is unknown or out of TCP range.
 function computePreferredPort() {
   const ext = parseInt(resolveExtensionNumber(), 10);
   if (!Number.isFinite(ext) || ext <= 0) return 0;
-  const port = BRIDGE_PORT_RANGE_START + ext;
+  const port = bridgePortRangeStart + ext;
   if (port < 1024 || port > 65535) return 0;
   return port;
 }
@@ -97,13 +284,13 @@ async function findBridgePort() {
   const cached = Number.isFinite(bridgePort) ? bridgePort : null;
 
   // 1. Deterministic port from extension — virtually always the bridge.
-  if (preferred && await isPortReachable(preferred)) {
+  if (preferred && !rejectedPorts.has(preferred) && await isPortReachable(preferred)) {
     logInfo(`Nebenstelle-Port ${preferred} erreichbar, verbunden`);
     return preferred;
   }
 
   // 2. Cached port, if different from the (failed) preferred one.
-  if (cached && cached !== preferred && await isPortReachable(cached)) {
+  if (cached && cached !== preferred && !rejectedPorts.has(cached) && await isPortReachable(cached)) {
     logInfo(`Cache-Port ${cached} erreichbar, verbunden`);
     return cached;
   }
@@ -114,11 +301,12 @@ async function findBridgePort() {
   //    probe it here — the tray app may have been slow to bind when we
   //    checked at step 1. Include cached too, in case the tray is back on an
   //    older port.
-  const tried = new Set();
+  const tried = new Set(rejectedPorts);
   const ports = [];
-  if (preferred) { ports.push(preferred); tried.add(preferred); }
+  if (preferred && !tried.has(preferred)) { ports.push(preferred); tried.add(preferred); }
   if (cached && !tried.has(cached)) { ports.push(cached); tried.add(cached); }
-  for (let p = BRIDGE_PORT_RANGE_START; p <= BRIDGE_PORT_RANGE_END; p++) {
+  const rangeEnd = bridgePortRangeStart + bridgePortRangeSize - 1;
+  for (let p = bridgePortRangeStart; p <= rangeEnd; p++) {
     if (!tried.has(p)) { ports.push(p); tried.add(p); }
   }
   const results = await Promise.allSettled(ports.map(isPortReachable));
@@ -126,7 +314,7 @@ async function findBridgePort() {
     results[i].status === "fulfilled" && results[i].value === true);
 
   if (responders.length === 0) {
-    logInfo(`Keine Bridge gefunden (Nebenstelle=${preferred || "?"}, Cache=${cached || "?"}, Range=${BRIDGE_PORT_RANGE_START}-${BRIDGE_PORT_RANGE_END}), Retry geplant`);
+    logInfo(`Keine Bridge gefunden (Nebenstelle=${preferred || "?"}, Cache=${cached || "?"}, Range=${bridgePortRangeStart}-${rangeEnd}), Retry geplant`);
     return null;
   }
 
@@ -143,6 +331,13 @@ async function connectBridge() {
     return ws;
   }
   if (connectingInProgress) return null;
+  if (!normalizePairingKey(pairingKey)) {
+    // Nothing to connect with; INIT with a key restarts the connection.
+    logDebug("Kein Kopplungsschlüssel gesetzt, Bridge-Verbindung pausiert");
+    authState = "unpaired";
+    pushBridgeState();
+    return null;
+  }
   connectingInProgress = true;
 
   const foundPort = await findBridgePort();
@@ -178,27 +373,47 @@ async function connectBridge() {
     reconnectDelay = RECONNECT_DELAY_MS; // reset backoff on success
     helloSent = false;
     helloAcked = false;
+    clientNonce = createNonce();
+    authSent = false;
+    // HELLO goes out with the highest version; HELLO_ACK may pick a lower one.
+    protocolVersion = Math.max(...SUPPORTED_PROTOCOL_VERSIONS);
+    if (authState !== "mismatch") authState = "pending";
     clearHelloRetry();
     ensureHello("ws-open");
     pushBridgeState();
   };
 
+  const socket = ws;
   ws.onmessage = (event) => {
     try {
       const msg = JSON.parse(event.data);
       logDebug("Bridge -> extension", msg);
 
       if (msg && msg.type === "HELLO_ACK") {
-        helloAcked = true;
-        clearHelloRetry();
-        logInfo(`Bridge verbunden auf Port ${bridgePort} (Extension ${msg.extension || "(unbekannt)"})`);
-        logDebug("HELLO_ACK received", { extension: msg.extension, bridgeVersion: msg.bridgeVersion, port: msg.port });
-        pushBridgeState();
+        handleHelloAck(socket, msg).catch((err) => {
+          console.warn("[3CX-DATEV-C][off] Handshake failed", err);
+        });
+      }
+
+      if (msg && msg.type === "AUTH_RESULT") {
+        handleAuthResult(socket, msg);
       }
 
       if (msg && msg.type === "COMMAND") {
+        if (!helloAcked) {
+          logInfo("COMMAND vor Authentifizierung, ignoriert");
+          return;
+        }
         handleBridgeCommand(msg);
       }
+
+      if (msg && msg.type === "LOOKUP_RESULT" && helloAcked) {
+        postToBackground({ type: "BRIDGE_LOOKUP_RESULT", data: msg });
+      }
+
+      if (msg && msg.type === "SUBSCRIBE_EXTENSIONS" && helloAcked) {
+        postToBackground({ type: "BRIDGE_SUBSCRIBE_EXTENSIONS", data: msg });
+      }
     } catch (err) {
       console.warn("[3CX-DATEV-C][off] Failed to parse bridge message", err);
     }
@@ -228,8 +443,9 @@ function sendBridge(message) {
       connectBridge(); // async — initiates probe + connection for future sends
       return false;
     }
-    ws.send(JSON.stringify(message));
-    logDebug("Extension -> bridge", message);
+    const stamped = { ...message, v: protocolVersion };
+    ws.send(JSON.stringify(stamped));
+    logDebug("Extension -> bridge", stamped);
     return true;
   } catch (err) {
     console.error("[3CX-DATEV-C][off] Bridge send failed", err);
@@ -237,6 +453,128 @@ function sendBridge(message) {
   }
 }
 
+// Send now if the bridge is ready, otherwise queue (CALL_EVENT / CONFERENCE
+// only; command results belong to the previous connection and are dropped).
+function sendOrQueue(message) {
+  if (message.type === "CALL_EVENT") trackActiveCall(message);
+  if (message.type === "PRESENCE") lastPresence = message;
+
+  if (helloAcked && !isSupportedByBridge(message)) {
+    logDebug("Bridge does not support, dropping", message.type);
+    return;
+  }
+  if (helloAcked && sendBridge(message)) {
+    journalCallEvent(message, "sent");
+    return;
+  }
+
+  if (!QUEUED_MESSAGE_TYPES.has(message.type)) {
+    logDebug("Bridge not ready, dropping", message.type);
+    return;
+  }
+
+  outboundQueue.push({ queuedAt: Date.now(), message });
+  journalCallEvent(message, "queued");
+  if (outboundQueue.length > OUTBOUND_QUEUE_MAX) {
+    const dropped = outboundQueue.splice(0, outboundQueue.length - OUTBOUND_QUEUE_MAX);
+    dropped.forEach((entry) => journalDelivery(entry.message, "dropped"));
+    logInfo(`Warteschlange voll, ${dropped.length} älteste Nachricht(en) verworfen`);
+  }
+  logDebug("Queued for bridge", { type: message.type, queued: outboundQueue.length });
+}
+
+function flushOutboundQueue() {
+  if (outboundQueue.length === 0) return;
+
+  const now = Date.now();
+  const queued = outboundQueue;
+  outboundQueue = [];
+  let expired = 0;
+  let unsupported = 0;
+  let sent = 0;
+
+  for (let i = 0; i < queued.length; i++) {
+    const { queuedAt, message } = queued[i];
+    if (now - queuedAt > OUTBOUND_QUEUE_MAX_AGE_MS) {
+      journalDelivery(message, "expired");
+      expired++;
+      continue;
+    }
+    if (!isSupportedByBridge(message)) {
+      unsupported++;
+      continue;
+    }
+    if (!sendBridge({ ...message, replay: true })) {
+      // Socket went away mid-flush: keep the rest for the next handshake.
+      outboundQueue = queued.slice(i).concat(outboundQueue);
+      break;
+    }
+    journalDelivery(message, "replayed");
+    sent++;
+  }
+
+  logInfo(`Warteschlange nachgesendet: ${sent} gesendet, ${expired} abgelaufen, ${unsupported} nicht unterstützt, ${outboundQueue.length} verbleibend`);
+}
+
+// ===== Call journal =====
+// Every CALL_EVENT is recorded locally (calljournal.js) with its delivery to
+// the bridge, so the popup can show which calls the connector never got.
+
+function journal(write) {
+  journalWrites = journalWrites.then(write).catch((err) => {
+    console.warn("[3CX-DATEV-C][off] Call journal write failed", err);
+  });
+}
+
+function journalCallEvent(message, delivery) {
+  if (message.type !== "CALL_EVENT") return;
+  journal(() => recordCallEvent(message, delivery));
+}
+
+function journalDelivery(message, delivery) {
+  if (message.type !== "CALL_EVENT") return;
+  journal(() => updateCallEventDelivery(message, delivery));
+}
+
+function trackActiveCall(event) {
+  const call = event.call;
+  if (!call || !call.id) return;
+  if (TERMINAL_CALL_STATES.has(call.state)) {
+    activeCalls.delete(call.id);
+    return;
+  }
+  // Hold is a flag on a connected call; the snapshot reports it that way.
+  const state = call.state === "held" || call.state === "resumed" ? "connected" : call.state;
+  // The 3CX system of the call travels with it (context.domain of the event).
+  activeCalls.set(call.id, { ...call, state, since: event.ts, domain: event.context?.domain || "" });
+}
+
+// Full picture of in-progress calls, sent right after every handshake so a
+// restarted bridge learns about calls that began before it was reachable.
+function sendCallSnapshot() {
+  if (!bridgeSupports("CALL_SNAPSHOT")) return;
+  const snapshot = {
+    type: "CALL_SNAPSHOT",
+    ts: Date.now(),
+    calls: Array.from(activeCalls.values()),
+    context: {
+      extension: resolveExtensionNumber()
+    }
+  };
+  if (sendBridge(snapshot)) {
+    logDebug("CALL_SNAPSHOT sent", { calls: snapshot.calls.length });
+  }
+}
+
+// Presence is a state, not an event: instead of queueing every change, a new
+// connection gets the current one.
+function sendPresence() {
+  if (!lastPresence || !bridgeSupports("PRESENCE")) return;
+  if (sendBridge({ ...lastPresence, ts: Date.now() })) {
+    logDebug("PRESENCE sent", { status: lastPresence.status });
+  }
+}
+
 function scheduleReconnect() {
   if (reconnectTimer) return;
 
@@ -256,10 +594,12 @@ function ensureHello(sourceTabId = "") {
   if (helloSent && ws && ws.readyState === WebSocket.OPEN) return;
 
   const hello = {
-    v: PROTOCOL_VERSION,
     type: "HELLO",
     extension: resolveExtensionNumber(),
-    identity: "3CX WebClient"
+    identity: "3CX WebClient",
+    versions: SUPPORTED_PROTOCOL_VERSIONS,
+    capabilities: EXTENSION_CAPABILITIES,
+    auth: { nonce: clientNonce }
   };
   if (detectedDomain) hello.domain = detectedDomain;
   if (detectedVersion) hello.webclientVersion = detectedVersion;
@@ -331,6 +671,9 @@ function applyInit(msg) {
   const newBridgePort = Number.isFinite(parseInt(msg.bridgePort, 10))
     ? parseInt(msg.bridgePort, 10)
     : bridgePort;
+  const newRangeStart = parseInt(msg.bridgePortRangeStart, 10) || bridgePortRangeStart;
+  const newRangeSize = parseInt(msg.bridgePortRangeSize, 10) || bridgePortRangeSize;
+  const newPairingKey = typeof msg.pairingKey === "string" ? msg.pairingKey : pairingKey;
 
   const prevResolved = resolveExtensionNumber();
 
@@ -341,16 +684,25 @@ function applyInit(msg) {
   detectedUserName = newDetectedUserName;
   debugLogging = newDebugLogging;
   bridgePort = newBridgePort || DEFAULT_BRIDGE_PORT;
+  bridgePortRangeStart = newRangeStart;
+  bridgePortRangeSize = newRangeSize;
 
   const extensionChanged = resolveExtensionNumber() !== prevResolved;
+  const pairingKeyChanged = normalizePairingKey(newPairingKey) !== normalizePairingKey(pairingKey);
+  pairingKey = newPairingKey;
+  if (pairingKeyChanged) {
+    rejectedPorts.clear();
+    authState = normalizePairingKey(pairingKey) ? "pending" : "unpaired";
+  }
 
   logDebug("INIT applied", {
-    configuredExtension, detectedExtension, debugLogging, bridgePort, extensionChanged
+    configuredExtension, detectedExtension, debugLogging, bridgePort,
+    bridgePortRangeStart, bridgePortRangeSize, extensionChanged, pairingKeyChanged
   });
 
   if (!ws) {
     connectBridge();
-  } else if (extensionChanged) {
+  } else if (extensionChanged || pairingKeyChanged) {
     // Extension changed → the deterministic port probably changed too. Force
     // a full reconnect so we re-probe the new preferred port instead of just
     // re-handshaking on the wrong socket.
@@ -370,6 +722,7 @@ function handleRefresh() {
   }
   helloSent = false;
   helloAcked = false;
+  authSent = false;
   clearHelloRetry();
   reconnectDelay = RECONNECT_DELAY_MS;
   if (reconnectTimer) {
@@ -390,7 +743,7 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
 
   if (msg.type === "SEND_TO_BRIDGE") {
     ensureHello("send-to-bridge");
-    if (msg.payload) sendBridge(msg.payload);
+    if (msg.payload) sendOrQueue(msg.payload);
     return;
   }
 
@@ -400,5 +753,10 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   }
 });
 
+journal(async () => {
+  const deleted = await pruneJournal();
+  if (deleted > 0) logDebug("Call journal pruned", { deleted });
+});
+
 // Idle until the SW pushes INIT. Do not auto-connect.
 logDebug("Offscreen document loaded, waiting for INIT");
@@ -0,0 +1,348 @@
+import {
+  DIAL_PLAN_DEFAULTS, dialPlanFromSettings, toDialString, normalizeRemoteNumber
+} from "./dialplan.js";
+
+// Defaults mirror background.js / offscreen.js / content.js. Removing a key
+// from storage restores the default there as well.
+const DEFAULTS = {
+  extensionNumber: "",
+  defaultPbxDomain: "",
+  dialDelay: 750,
+  dialMethod: "auto",
+  callNotifications: true,
+  detectPhoneNumbers: false,
+  interceptDialLinks: false,
+  confirmDialLinks: true,
+  dialLinkAllowSites: [],
+  dialLinkDenySites: [],
+  allowedHosts: [],
+  bridgePort: 19800,
+  bridgePortRangeStart: 19800,
+  bridgePortRangeSize: 100,
+  debugLogging: false,
+  pairingKey: "",
+  ...DIAL_PLAN_DEFAULTS
+};
+const SETTING_KEYS = Object.keys(DEFAULTS);
+
+// Values enforced by policy (chrome.storage.managed); shown read-only.
+let managedSettings = {};
+
+// Pairing key as shown in the connector settings: 32 Base32 characters,
+// dashes and spaces optional.
+const PAIRING_KEY_LENGTH = 32;
+
+const HOST_PATTERN = /^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*(:\d{1,5})?$/;
+
+function $(id) {
+  return document.getElementById(id);
+}
+
+// Same mapping as hostMatchPatterns() in background.js.
+function hostMatchPattern(host) {
+  return `https://${host.split(":")[0]}/*`;
+}
+
+// Click-to-dial on other pages runs on every https site (ALL_HTTPS_PATTERN in background.js).
+const ALL_HTTPS_PATTERN = "https://*/*";
+
+function needsAllSites(settings) {
+  return !!(settings.detectPhoneNumbers || settings.interceptDialLinks);
+}
+
+// Ask for host access to the listed hosts (and all https sites for
+// click-to-dial on other pages) and give up access that is no longer needed.
+// Must be the first await in a click handler: permissions.request() needs the
+// user gesture.
+async function updateHostPermissions(allowedHosts, allSites) {
+  const wanted = Array.from(new Set(allowedHosts.map(hostMatchPattern)));
+  if (allSites) wanted.push(ALL_HTTPS_PATTERN);
+  const granted = wanted.length === 0 || await chrome.permissions.request({ origins: wanted });
+
+  const { origins = [] } = await chrome.permissions.getAll();
+  const stale = origins.filter((o) => o.startsWith("https://") && !wanted.includes(o));
+  if (stale.length > 0) await chrome.permissions.remove({ origins: stale });
+
+  return granted;
+}
+
+async function showHostAccess(allowedHosts) {
+  const missing = [];
+  for (const host of allowedHosts) {
+    if (!await chrome.permissions.contains({ origins: [hostMatchPattern(host)] })) missing.push(host);
+  }
+  $("hostAccess").textContent = missing.length > 0
+    ? `No access granted yet: ${missing.join(", ")}. Click Save to grant.`
+    : "";
+}
+
+// Accept pasted URLs: "https://pbx.example.com:5001/webclient/" -> "pbx.example.com:5001".
+function normalizeHost(line) {
+  return line.trim().toLowerCase()
+    .replace(/^[a-z]+:\/\//, "")
+    .replace(/\/.*$/, "");
+}
+
+// Host list textarea (one per line) -> normalized, de-duplicated hosts.
+function readHostList(id, label, errors) {
+  const input = $(id);
+  const hosts = [];
+  const bad = [];
+  for (const line of input.value.split(/\r?\n/)) {
+    const host = normalizeHost(line);
+    if (!host) continue;
+    if (!HOST_PATTERN.test(host)) bad.push(line.trim());
+    else if (!hosts.includes(host)) hosts.push(host);
+  }
+  input.classList.toggle("invalid", bad.length > 0);
+  if (bad.length > 0) errors.push(`${label}: ${bad.join(", ")}`);
+  return hosts;
+}
+
+function readInteger(id, min, max, label, errors) {
+  const input = $(id);
+  const value = Number(input.value);
+  const valid = input.value.trim() !== "" && Number.isInteger(value) && value >= min && value <= max;
+  input.classList.toggle("invalid", !valid);
+  if (!valid) errors.push(`${label} must be a whole number between ${min} and ${max}.`);
+  return value;
+}
+
+function readDigits(id, maxLength, label, errors) {
+  const input = $(id);
+  const value = input.value.replace(/[\s+]/g, "");
+  const valid = value === "" || (/^\d+$/.test(value) && value.length <= maxLength);
+  input.classList.toggle("invalid", !valid);
+  if (!valid) errors.push(`${label} must be digits only (at most ${maxLength}).`);
+  return value;
+}
+
+function readDialPlan(errors) {
+  const dialCountryCode = readDigits("dialCountryCode", 3, "Country code", errors).replace(/^0+/, "");
+  const dialAreaCode = readDigits("dialAreaCode", 6, "Area code", errors);
+  const dialOutsideLinePrefix = readDigits("dialOutsideLinePrefix", 3, "Outside line prefix", errors);
+  const dialInternalMaxLength = readInteger("dialInternalMaxLength", 0, 10, "Internal number length", errors);
+  const dialNumberFormat = $("dialNumberFormat").value;
+
+  // The PBX dials "+..." itself; a prefix in front of it is never valid.
+  const formatInput = $("dialNumberFormat");
+  const formatValid = !(dialOutsideLinePrefix && dialNumberFormat === "e164");
+  formatInput.classList.toggle("invalid", !formatValid);
+  if (!formatValid) errors.push("An outside line prefix requires the national dial format.");
+
+  return { dialCountryCode, dialAreaCode, dialOutsideLinePrefix, dialInternalMaxLength, dialNumberFormat };
+}
+
+// Live preview of the dial plan currently in the form (saved or not).
+function showDialPlanPreview() {
+  const sample = $("dialPlanPreview").value.trim();
+  const result = $("dialPlanResult");
+  if (!sample) {
+    result.textContent = result.dataset.defaultText;
+    return;
+  }
+  const plan = dialPlanFromSettings(readDialPlan([]));
+  result.textContent = `Dials: ${toDialString(sample, plan) || "–"} · Sent to the connector: ${normalizeRemoteNumber(sample, plan) || "–"}`;
+}
+
+// Returns { settings, errors } from the current form state.
+function readForm() {
+  const errors = [];
+
+  const extensionInput = $("extensionNumber");
+  const extensionNumber = extensionInput.value.trim();
+  const extensionValid = extensionNumber === "" || /^\d{1,10}$/.test(extensionNumber);
+  extensionInput.classList.toggle("invalid", !extensionValid);
+  if (!extensionValid) errors.push("Extension override must be digits only, or empty for auto-detection.");
+
+  const dialDelay = readInteger("dialDelay", 0, 5000, "Auto-DIAL delay", errors);
+  const bridgePort = readInteger("bridgePort", 1024, 65535, "Bridge port", errors);
+  const bridgePortRangeStart = readInteger("bridgePortRangeStart", 1024, 65535, "Port range start", errors);
+  const bridgePortRangeSize = readInteger("bridgePortRangeSize", 1, 1000, "Port range size", errors);
+  if (bridgePortRangeStart + bridgePortRangeSize - 1 > 65535) {
+    $("bridgePortRangeSize").classList.add("invalid");
+    errors.push("Port range must end at or below 65535.");
+  }
+
+  const keyInput = $("pairingKey");
+  const pairingKey = keyInput.value.trim().toUpperCase();
+  const keyChars = pairingKey.replace(/[\s-]/g, "");
+  const keyValid = keyChars === "" || (keyChars.length === PAIRING_KEY_LENGTH && /^[A-Z2-7]+$/.test(keyChars));
+  keyInput.classList.toggle("invalid", !keyValid);
+  if (!keyValid) errors.push(`Pairing key must be ${PAIRING_KEY_LENGTH} characters (A-Z, 2-7), as shown in the connector settings.`);
+
+  const dialPlan = readDialPlan(errors);
+
+  const allowedHosts = readHostList("allowedHosts", "Invalid host", errors);
+  const dialLinkAllowSites = readHostList("dialLinkAllowSites", "Invalid site", errors);
+  const dialLinkDenySites = readHostList("dialLinkDenySites", "Invalid site", errors);
+
+  return {
+    settings: {
+      extensionNumber,
+      defaultPbxDomain: $("defaultPbxDomain").value,
+      dialDelay,
+      dialMethod: $("dialMethod").value,
+      callNotifications: $("callNotifications").checked,
+      detectPhoneNumbers: $("detectPhoneNumbers").checked,
+      interceptDialLinks: $("interceptDialLinks").checked,
+      confirmDialLinks: $("confirmDialLinks").checked,
+      dialLinkAllowSites,
+      dialLinkDenySites,
+      allowedHosts,
+      bridgePort,
+      bridgePortRangeStart,
+      bridgePortRangeSize,
+      debugLogging: $("debugLogging").checked,
+      pairingKey,
+      ...dialPlan
+    },
+    errors
+  };
+}
+
+async function readManagedSettings() {
+  try {
+    const managed = await chrome.storage.managed.get(SETTING_KEYS);
+    for (const key of Object.keys(managed)) {
+      if (managed[key] == null) delete managed[key];
+    }
+    return managed;
+  } catch {
+    return {};
+  }
+}
+
+async function loadSettings() {
+  const [local, managed] = await Promise.all([
+    chrome.storage.local.get([...SETTING_KEYS, "lastProvision", "pbxIdentities"]),
+    readManagedSettings()
+  ]);
+  managedSettings = managed;
+  return { ...local, ...managed };
+}
+
+// The 3CX systems background.js has seen (pbxIdentities), plus a configured
+// one that has not been seen yet.
+function fillPbxDomains(identities, selected) {
+  const domains = (Array.isArray(identities) ? identities : []).map((i) => i.domain).filter(Boolean);
+  if (selected && !domains.includes(selected)) domains.push(selected);
+  $("defaultPbxDomain").replaceChildren(
+    new Option("First one used", ""), ...domains.map((domain) => new Option(domain, domain)));
+  $("defaultPbxDomain").value = selected;
+}
+
+function fillForm(cfg) {
+  showHostAccess(cfg.allowedHosts ?? DEFAULTS.allowedHosts);
+  $("extensionNumber").value = cfg.extensionNumber ?? DEFAULTS.extensionNumber;
+  fillPbxDomains(cfg.pbxIdentities, cfg.defaultPbxDomain ?? DEFAULTS.defaultPbxDomain);
+  $("dialDelay").value = cfg.dialDelay ?? DEFAULTS.dialDelay;
+  $("dialMethod").value = cfg.dialMethod ?? DEFAULTS.dialMethod;
+  $("callNotifications").checked = cfg.callNotifications ?? DEFAULTS.callNotifications;
+  $("detectPhoneNumbers").checked = cfg.detectPhoneNumbers ?? DEFAULTS.detectPhoneNumbers;
+  $("interceptDialLinks").checked = cfg.interceptDialLinks ?? DEFAULTS.interceptDialLinks;
+  $("confirmDialLinks").checked = cfg.confirmDialLinks ?? DEFAULTS.confirmDialLinks;
+  $("dialLinkAllowSites").value = (cfg.dialLinkAllowSites ?? DEFAULTS.dialLinkAllowSites).join("\n");
+  $("dialLinkDenySites").value = (cfg.dialLinkDenySites ?? DEFAULTS.dialLinkDenySites).join("\n");
+  $("allowedHosts").value = (cfg.allowedHosts ?? DEFAULTS.allowedHosts).join("\n");
+  $("bridgePort").value = cfg.bridgePort ?? DEFAULTS.bridgePort;
+  $("bridgePortRangeStart").value = cfg.bridgePortRangeStart ?? DEFAULTS.bridgePortRangeStart;
+  $("bridgePortRangeSize").value = cfg.bridgePortRangeSize ?? DEFAULTS.bridgePortRangeSize;
+  $("debugLogging").checked = cfg.debugLogging ?? DEFAULTS.debugLogging;
+  $("pairingKey").value = cfg.pairingKey ?? DEFAULTS.pairingKey;
+  for (const key of Object.keys(DIAL_PLAN_DEFAULTS)) $(key).value = cfg[key] ?? DEFAULTS[key];
+  showDialPlanPreview();
+
+  const detected = cfg.lastProvision?.extension;
+  $("detectedExtension").textContent = detected ? `detected: ${detected}` : "";
+
+  for (const el of document.querySelectorAll(".invalid")) el.classList.remove("invalid");
+  $("errorText").textContent = "";
+
+  for (const key of SETTING_KEYS) {
+    const enforced = key in managedSettings;
+    $(key).disabled = enforced;
+    $(key).title = enforced ? "Set by your administrator" : "";
+  }
+  const enforcedCount = Object.keys(managedSettings).length;
+  $("managedHint").textContent = enforcedCount > 0
+    ? "Greyed-out settings are set by your administrator and cannot be changed here."
+    : "";
+}
+
+function flashButton(btn, text, restoreText) {
+  btn.style.background = "#28A745";
+  btn.textContent = text;
+  setTimeout(() => {
+    btn.style.background = "";
+    btn.textContent = restoreText;
+  }, 1200);
+}
+
+document.addEventListener("DOMContentLoaded", async () => {
+  const saveBtn = $("saveBtn");
+  const resetBtn = $("resetBtn");
+
+  $("dialPlanResult").dataset.defaultText = $("dialPlanResult").textContent;
+  fillForm(await loadSettings());
+
+  for (const key of [...Object.keys(DIAL_PLAN_DEFAULTS), "dialPlanPreview"]) {
+    $(key).addEventListener("input", showDialPlanPreview);
+  }
+
+  saveBtn.addEventListener("click", async () => {
+    const { settings, errors } = readForm();
+    $("errorText").textContent = errors.join(" ");
+    if (errors.length > 0) return;
+
+    const granted = await updateHostPermissions(settings.allowedHosts, needsAllSites(settings));
+    if (!granted) {
+      $("errorText").textContent = "Host access was not granted; the extension stays inactive on those hosts.";
+    }
+
+    // Only write what changed so onChanged listeners (which may cycle the
+    // bridge connection) fire for real changes only.
+    const current = await chrome.storage.local.get(SETTING_KEYS);
+    const changed = {};
+    for (const key of SETTING_KEYS) {
+      if (key in managedSettings) continue;
+      const before = current[key] ?? DEFAULTS[key];
+      if (JSON.stringify(before) !== JSON.stringify(settings[key])) changed[key] = settings[key];
+    }
+    if (Object.keys(changed).length > 0) await chrome.storage.local.set(changed);
+    await showHostAccess(settings.allowedHosts);
+
+    flashButton(saveBtn, "Saved!", "Save");
+  });
+
+  resetBtn.addEventListener("click", async () => {
+    await updateHostPermissions(
+      managedSettings.allowedHosts ?? DEFAULTS.allowedHosts,
+      needsAllSites({ ...DEFAULTS, ...managedSettings })
+    );
+    await chrome.storage.local.remove(SETTING_KEYS);
+    fillForm(await loadSettings());
+    flashButton(resetBtn, "Defaults restored", "Reset to defaults");
+  });
+
+  // Keep the form in sync with changes from the popup or a learned bridge port,
+  // without overwriting a field the user is editing.
+  chrome.storage.onChanged.addListener(async (changes, areaName) => {
+    if (areaName === "managed") {
+      fillForm(await loadSettings());
+      return;
+    }
+    if (areaName !== "local") return;
+    if (changes.pbxIdentities) fillPbxDomains(changes.pbxIdentities.newValue, $("defaultPbxDomain").value);
+    for (const key of SETTING_KEYS) {
+      if (!changes[key] || key in managedSettings) continue;
+      const input = $(key);
+      if (input === document.activeElement) continue;
+      const value = changes[key].newValue ?? DEFAULTS[key];
+      if (input.type === "checkbox") input.checked = value;
+      else if (Array.isArray(value)) input.value = value.join("\n");
+      else input.value = value;
+    }
+    showDialPlanPreview();
+  });
+});
@@ -0,0 +1,62 @@
+(() => {
+  // Click-to-dial on web pages other than the 3CX hosts. Registered by
+  // background.js for all https sites while "detectPhoneNumbers" or
+  // "interceptDialLinks" is on; which of the two applies to this site
+  // (allow / deny lists) comes from GET_PAGE_DIAL_CONFIG.
+  //
+  // - Number detection (number-detect.js): numbers in the page text get a
+  //   dotted underline; clicking one dials it in the 3CX WebClient.
+  // - Link interception: tel: / callto: / sip: links dial in the WebClient
+  //   instead of the system handler, optionally after a confirmation. Without
+  //   an open WebClient the system handler gets the link after all.
+  //
+  // background.js extracts and normalizes the number again (extractPhoneNumber /
+  // dial plan), so this only has to find candidates.
+  if (window.__3cx_datev_page_dial_active) return;
+  window.__3cx_datev_page_dial_active = true;
+
+  const DIAL_LINK_PATTERN = /^(tel|callto|sip):/i;
+
+  // Resolves to { dialed } from background.js; false when no WebClient tab is open.
+  async function dial(number, source) {
+    try {
+      return await chrome.runtime.sendMessage({ type: "DIAL_NUMBER", number, source });
+    } catch {
+      // Extension reloaded; this page keeps the old script until it is reloaded.
+      return null;
+    }
+  }
+
+  // ----- tel: / callto: / sip: links -----
+
+  function linkNumber(href) {
+    const target = href.replace(DIAL_LINK_PATTERN, "");
+    try {
+      return decodeURIComponent(target).replace(/[;?@].*$/, "");
+    } catch {
+      return target;
+    }
+  }
+
+  function startLinkInterception(confirmCalls) {
+    document.addEventListener("click", async (event) => {
+      if (!event.isTrusted || event.defaultPrevented || event.button !== 0) return;
+      const link = event.target instanceof Element ? event.target.closest("a[href]") : null;
+      if (!link || !DIAL_LINK_PATTERN.test(link.href)) return;
+      event.preventDefault();
+      event.stopPropagation();
+
+      const href = link.href;
+      if (confirmCalls && !window.confirm(`Call ${linkNumber(href)} with 3CX?`)) return;
+      const result = await dial(href, "link");
+      if (!result?.dialed) window.location.href = href;
+    }, true);
+  }
+
+  chrome.runtime.sendMessage({ type: "GET_PAGE_DIAL_CONFIG" })
+    .then((config) => {
+      if (config?.interceptDialLinks) startLinkInterception(config.confirmDialLinks);
+      if (config?.detectPhoneNumbers) window.__3cx_datev_number_detect.start((number) => dial(number, "page"));
+    })
+    .catch(() => {});
+})();
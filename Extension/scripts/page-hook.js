@@ -1,6 +1,9 @@
 (() => {
   const channel = document.currentScript?.dataset.bridgeChannel || "__3cx_datev_connector__";
   const DEFAULT_DIAL_DELAY = 750;
+  // How long the "ui" dial strategy waits for the PWA dialer to render its
+  // call button before falling back to the Enter key.
+  const DIAL_UI_READY_TIMEOUT_MS = 5_000;
   let dialDelay = DEFAULT_DIAL_DELAY;
 
   const post = (payload) => {
@@ -22,9 +25,104 @@
     return btoa(binary);
   };
 
+  // ===== Protobuf encoding for outbound 3CX requests =====
+
+  // RequestDropCall (MessageId 115): LocalConnectionId=1, IsLocal=2, ActionIfRinging=3
+  const MSG_REQUEST_DROP_CALL = 115;
+  // RequestDivertCall (MessageId 116): LocalConnectionId=1, Destination=2
+  const MSG_REQUEST_DIVERT_CALL = 116;
+  // RequestTransferCall (MessageId 118): LocalConnectionId=1, Destination=2
+  const MSG_REQUEST_TRANSFER_CALL = 118;
+  // RequestMakeCall (MessageId 119): Destination=1
+  const MSG_REQUEST_MAKE_CALL = 119;
+  // Outbound requests mirrored to background.js so it can tell a local
+  // hangup / reject / transfer from a remote one.
+  const REPORTED_OUTBOUND_MESSAGES = new Set([
+    MSG_REQUEST_DROP_CALL, MSG_REQUEST_DIVERT_CALL, MSG_REQUEST_TRANSFER_CALL
+  ]);
+  const REJECT_ACTION_TERMINATE = 0;
+  // Ringing call declined as busy, so the PBX applies the extension's
+  // "busy" forwarding rule (voicemail, ...) like the PWA's own reject.
+  const REJECT_ACTION_BUSY = 1;
+
+  const encodeVarint = (value, out) => {
+    let v = value >>> 0;
+    while (v > 0x7f) {
+      out.push((v & 0x7f) | 0x80);
+      v >>>= 7;
+    }
+    out.push(v);
+  };
+
+  const encodeVarintField = (field, value, out) => {
+    encodeVarint((field << 3) | 0, out);
+    encodeVarint(value, out);
+  };
+
+  const encodeBytesField = (field, bytes, out) => {
+    encodeVarint((field << 3) | 2, out);
+    encodeVarint(bytes.length, out);
+    for (const b of bytes) out.push(b);
+  };
+
+  // GenericMessage: field 1 = MessageId, payload in the field numbered MessageId
+  // (mirrors parseGenericMessage in background.js).
+  const encodeGenericMessage = (messageId, payload) => {
+    const out = [];
+    encodeVarintField(1, messageId, out);
+    encodeBytesField(messageId, payload, out);
+    return new Uint8Array(out);
+  };
+
+  // MessageId of an outbound GenericMessage (field 1, varint), or null.
+  const peekMessageId = (bytes) => {
+    if (bytes.length < 2 || bytes[0] !== 0x08) return null;
+    let value = 0;
+    let shift = 0;
+    for (let i = 1; i < bytes.length && shift <= 28; i += 1) {
+      value |= (bytes[i] & 0x7f) << shift;
+      if ((bytes[i] & 0x80) === 0) return value >>> 0;
+      shift += 7;
+    }
+    return null;
+  };
+
+  const encodeStringField = (field, value, out) => {
+    encodeBytesField(field, new TextEncoder().encode(value), out);
+  };
+
+  const encodeRequestMakeCall = (destination) => {
+    const out = [];
+    encodeStringField(1, destination, out);
+    return encodeGenericMessage(MSG_REQUEST_MAKE_CALL, out);
+  };
+
+  const encodeRequestDropCall = (localConnectionId, actionIfRinging = REJECT_ACTION_TERMINATE) => {
+    const out = [];
+    encodeVarintField(1, localConnectionId, out);
+    encodeVarintField(2, 1, out);
+    encodeVarintField(3, actionIfRinging, out);
+    return encodeGenericMessage(MSG_REQUEST_DROP_CALL, out);
+  };
+
+  const encodeRequestDivertCall = (localConnectionId, destination) => {
+    const out = [];
+    encodeVarintField(1, localConnectionId, out);
+    encodeStringField(2, destination, out);
+    return encodeGenericMessage(MSG_REQUEST_DIVERT_CALL, out);
+  };
+
+  const encodeRequestTransferCall = (localConnectionId, destination) => {
+    const out = [];
+    encodeVarintField(1, localConnectionId, out);
+    encodeStringField(2, destination, out);
+    return encodeGenericMessage(MSG_REQUEST_TRANSFER_CALL, out);
+  };
+
   // ===== WebSocket hook: intercept 3CX webclient messages =====
 
   const NativeWebSocket = window.WebSocket;
+  let webclientSocket = null; // Most recent 3CX /ws/webclient socket, used for call control
   const patchedWebSocket = function patchedWebSocket(url, protocols) {
     const socket = protocols ? new NativeWebSocket(url, protocols) : new NativeWebSocket(url);
 
@@ -33,6 +131,26 @@
       return socket;
     }
 
+    webclientSocket = socket;
+    socket.addEventListener("close", () => {
+      if (webclientSocket === socket) webclientSocket = null;
+    });
+
+    const nativeSend = socket.send;
+    socket.send = function send(data) {
+      try {
+        const bytes = data instanceof ArrayBuffer
+          ? new Uint8Array(data)
+          : ArrayBuffer.isView(data) ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength) : null;
+        if (bytes && REPORTED_OUTBOUND_MESSAGES.has(peekMessageId(bytes))) {
+          post({ kind: "WS_BINARY_OUT", url, base64: toBase64(bytes.slice().buffer) });
+        }
+      } catch (err) {
+        post({ kind: "HOOK_ERROR", where: "ws.send", error: String(err) });
+      }
+      return nativeSend.call(this, data);
+    };
+
     post({ kind: "WS_OPEN", url });
 
     socket.addEventListener("message", (evt) => {
@@ -101,7 +219,54 @@
 
   window.WebSocket = patchedWebSocket;
 
-  // ===== DIAL command handler =====
+  // ===== RTCPeerConnection hook: the PWA's media sessions (for DTMF) =====
+
+  // The PWA keeps one RTCPeerConnection per call but nothing on it names the
+  // call. background.js sends CALL_CONNECTED with the call id when the PBX
+  // reports a call of this tab connected; the newest connection not bound to
+  // a call yet is that call's. A call whose connection is not there yet binds
+  // the next one created within PEER_CONNECTION_BIND_MS; a call handled on a
+  // desk phone never gets one.
+  const NativePeerConnection = window.RTCPeerConnection;
+  const PEER_CONNECTION_BIND_MS = 5_000;
+  const peerConnections = []; // open connections, oldest first
+  const peerConnectionCalls = new Map(); // open connection -> call id
+  let callsAwaitingMedia = []; // { callId, until }
+
+  if (NativePeerConnection) {
+    // Subclass so statics (generateCertificate) and instanceof keep working.
+    class TrackedPeerConnection extends NativePeerConnection {
+      constructor(...args) {
+        super(...args);
+        peerConnections.push(this);
+        callsAwaitingMedia = callsAwaitingMedia.filter((c) => c.until > Date.now());
+        const waiting = callsAwaitingMedia.shift();
+        if (waiting) peerConnectionCalls.set(this, waiting.callId);
+        this.addEventListener("connectionstatechange", () => {
+          if (this.connectionState !== "closed") return;
+          const idx = peerConnections.indexOf(this);
+          if (idx !== -1) peerConnections.splice(idx, 1);
+          peerConnectionCalls.delete(this);
+        });
+      }
+    }
+    window.RTCPeerConnection = TrackedPeerConnection;
+  }
+
+  function bindPeerConnection(callId) {
+    const id = String(callId);
+    if (Array.from(peerConnectionCalls.values()).includes(id)) return;
+    const pc = peerConnections.slice().reverse().find((p) => !peerConnectionCalls.has(p));
+    if (pc) {
+      peerConnectionCalls.set(pc, id);
+    } else {
+      callsAwaitingMedia.push({ callId: id, until: Date.now() + PEER_CONNECTION_BIND_MS });
+    }
+  }
+
+  // ===== Call control handlers =====
+  // DIAL, DROP, ANSWER, REJECT, DIVERT, HOLD, RESUME, TRANSFER,
+  // ATTENDED_TRANSFER, COMPLETE_TRANSFER, SEND_DTMF, SET_PRESENCE
 
   window.addEventListener("message", (event) => {
     if (event.source !== window || !event.data) return;
@@ -109,34 +274,331 @@
     if (msg.channel !== channel || msg.source !== "3cx-datev-connector") return;
 
     if (msg.payload?.kind === "DIAL" && msg.payload?.number) {
-      const number = msg.payload.number;
+      const { number, requestId = "", dialId = "", strategy = "ui" } = msg.payload;
       if (msg.payload.dialDelay != null) {
-        dialDelay = parseInt(msg.payload.dialDelay, 10) || DEFAULT_DIAL_DELAY;
+        const parsed = parseInt(msg.payload.dialDelay, 10);
+        dialDelay = Number.isFinite(parsed) ? parsed : DEFAULT_DIAL_DELAY;
       }
-      post({ kind: "DIAL_RECEIVED", number });
-      triggerDial(number);
+      post({ kind: "DIAL_RECEIVED", number, requestId, dialId, strategy });
+      triggerDial(number, requestId, dialId, strategy);
+    }
+
+    if ((msg.payload?.kind === "DROP" || msg.payload?.kind === "REJECT") &&
+        Array.isArray(msg.payload?.connectionIds)) {
+      triggerDrop(msg.payload.kind, msg.payload.callId, msg.payload.connectionIds, msg.payload.requestId || "");
+    }
+
+    if (msg.payload?.kind === "DIVERT" && Array.isArray(msg.payload?.connectionIds) && msg.payload?.number) {
+      triggerDivert(msg.payload.callId, msg.payload.connectionIds, msg.payload.number, msg.payload.requestId || "");
+    }
+
+    if (msg.payload?.kind === "TRANSFER" && Array.isArray(msg.payload?.connectionIds) && msg.payload?.number) {
+      triggerTransfer(msg.payload.callId, msg.payload.connectionIds, msg.payload.number, msg.payload.requestId || "");
+    }
+
+    if (msg.payload?.kind === "CALL_CONNECTED" && msg.payload?.callId) {
+      bindPeerConnection(msg.payload.callId);
+    }
+
+    if (msg.payload?.kind === "SEND_DTMF" && msg.payload?.digits) {
+      triggerDtmf(msg.payload.callId, msg.payload.digits, msg.payload.requestId || "");
+    }
+
+    if (CALL_VIEW_COMMANDS[msg.payload?.kind]) {
+      const { kind, callId, number = "", requestId = "" } = msg.payload;
+      triggerCallViewCommand(kind, callId, callPartyHint(msg.payload), number, requestId).catch((err) => {
+        post({ kind: "COMMAND_RESULT", cmd: kind, requestId, callId, status: "failed", error: String(err) });
+      });
+    }
+
+    if (msg.payload?.kind === "SET_PRESENCE" && msg.payload?.profile) {
+      const { profile, requestId = "" } = msg.payload;
+      triggerSetPresence(profile, requestId).catch((err) => {
+        post({ kind: "COMMAND_RESULT", cmd: "SET_PRESENCE", requestId, status: "failed", error: String(err) });
+      });
+    }
+
+    if (msg.payload?.kind === "ANSWER") {
+      triggerAnswer(msg.payload.callId, callPartyHint(msg.payload), msg.payload.requestId || "").catch((err) => {
+        post({ kind: "COMMAND_RESULT", cmd: "ANSWER", requestId: msg.payload.requestId || "",
+               callId: msg.payload.callId, status: "failed", error: String(err) });
+      });
     }
   });
 
-  // Initiate a call via tel: link + Enter keypress
-  async function triggerDial(number) {
+  // Send one call-control request per leg on the PWA's own socket. A sent
+  // frame is no success yet: background.js confirms the command from how the
+  // PBX ends the call. Only failures are a COMMAND_RESULT.
+  function sendForEachLeg(result, connectionIds, encode) {
+    if (!webclientSocket || webclientSocket.readyState !== NativeWebSocket.OPEN) {
+      post({ ...result, status: "no-webclient-socket" });
+      return;
+    }
+
+    try {
+      for (const connId of connectionIds) {
+        webclientSocket.send(encode(Number(connId)));
+      }
+      post({ ...result, kind: "CALL_REQUEST_SENT" });
+    } catch (err) {
+      post({ ...result, status: "failed", error: String(err) });
+    }
+  }
+
+  // End a call with RequestDropCall; for a ringing inbound call (REJECT) the
+  // PBX treats it as busy.
+  function triggerDrop(cmd, callId, connectionIds, requestId) {
+    const reject = cmd === "REJECT";
+    sendForEachLeg(
+      { kind: "COMMAND_RESULT", cmd, requestId, callId },
+      connectionIds,
+      (connId) => encodeRequestDropCall(connId, reject ? REJECT_ACTION_BUSY : REJECT_ACTION_TERMINATE)
+    );
+  }
+
+  // Hand a ringing inbound call to another number with RequestDivertCall.
+  function triggerDivert(callId, connectionIds, number, requestId) {
+    const destination = number.replace(/\s/g, "");
+    sendForEachLeg(
+      { kind: "COMMAND_RESULT", cmd: "DIVERT", requestId, callId },
+      connectionIds,
+      (connId) => encodeRequestDivertCall(connId, destination)
+    );
+  }
+
+  // Blind transfer with RequestTransferCall. Only the call's first leg is
+  // transferred; further legs to the same party are the same call.
+  function triggerTransfer(callId, connectionIds, number, requestId) {
+    const destination = number.replace(/\s/g, "");
+    sendForEachLeg(
+      { kind: "COMMAND_RESULT", cmd: "TRANSFER", requestId, callId },
+      connectionIds.slice(0, 1),
+      (connId) => encodeRequestTransferCall(connId, destination)
+    );
+  }
+
+  // Play DTMF into the media session bound to the call (see CALL_CONNECTED).
+  const DTMF_TONE_MS = 100;
+  const DTMF_GAP_MS = 70;
+
+  function findDtmfSender(callId) {
+    const id = String(callId);
+    for (const [pc, boundId] of peerConnectionCalls) {
+      if (boundId !== id || pc.connectionState !== "connected") continue;
+      const sender = pc.getSenders().find((s) => s.track?.kind === "audio" && s.dtmf?.canInsertDTMF);
+      if (sender) return sender.dtmf;
+    }
+    return null;
+  }
+
+  function triggerDtmf(callId, digits, requestId) {
+    const result = { kind: "COMMAND_RESULT", cmd: "SEND_DTMF", requestId, callId };
+    const dtmf = findDtmfSender(callId);
+    if (!dtmf) {
+      post({ ...result, status: "no-media-session" });
+      return;
+    }
+    try {
+      // Queued behind tones still playing from an earlier SEND_DTMF.
+      dtmf.insertTonesToSend(dtmf.toneBuffer + digits, DTMF_TONE_MS, DTMF_GAP_MS);
+      post({ ...result, status: "dtmf-sent" });
+    } catch (err) {
+      post({ ...result, status: "failed", error: String(err) });
+    }
+  }
+
+  // Hold, resume and the consultation steps of an attended transfer go
+  // through the PWA's call view, which keeps its own state for them. The
+  // first button is looked up in the view of the call (found like for
+  // ANSWER); later steps may open in a menu or dialog outside it. "number"
+  // fills the transfer target before the last click. Only failures are
+  // reported here ("call-not-found", or "no-control-button" when a step did
+  // not render); background.js confirms the command from the call's state.
+  const CALL_VIEW_TIMEOUT_MS = 2_000;
+  const CALL_VIEW_COMMANDS = {
+    HOLD: { steps: [["Hold", "Halten"]] },
+    RESUME: { steps: [["Resume", "Unhold", "Fortsetzen"]] },
+    ATTENDED_TRANSFER: {
+      steps: [["Transfer", "Weiterleiten"], ["Attended transfer", "Attended", "Mit Rückfrage"]],
+      number: true
+    },
+    COMPLETE_TRANSFER: { steps: [["Complete transfer", "Complete", "Transfer abschließen", "Übergeben"]] }
+  };
+  const CALL_VIEW_POPUP_SCOPES = ["[role='menu']", ".cdk-overlay-pane"];
+
+  function callViewButtonSelectors(labels) {
+    return labels.flatMap((label) => [
+      `button[aria-label='${label}' i]`, `button[title='${label}' i]`
+    ]);
+  }
+
+  // Buttons of later steps: the call view first, then open menus and dialogs.
+  function findPopupButton(selectors, view) {
+    const popups = document.querySelectorAll([...CALL_VIEW_POPUP_SCOPES, ...DIALER_SCOPES].join(","));
+    for (const scope of [view, ...popups]) {
+      const button = findButton(selectors, scope);
+      if (button) return button;
+    }
+    return null;
+  }
+
+  async function triggerCallViewCommand(cmd, callId, hint, number, requestId) {
+    const result = { kind: "COMMAND_RESULT", cmd, requestId, callId };
+    const command = CALL_VIEW_COMMANDS[cmd];
+
+    const view = await waitForElement(() => findCallView(hint), CALL_VIEW_TIMEOUT_MS);
+    if (!view) {
+      post({ ...result, status: "call-not-found" });
+      return;
+    }
+
+    for (const [i, labels] of command.steps.entries()) {
+      const selectors = callViewButtonSelectors(labels);
+      const button = await waitForElement(
+        () => (i === 0 ? findButton(selectors, view) : findPopupButton(selectors, view)),
+        CALL_VIEW_TIMEOUT_MS
+      );
+      if (!button) {
+        post({ ...result, status: "no-control-button", error: labels[0] });
+        return;
+      }
+      button.click();
+    }
+
+    if (command.number) {
+      const input = await waitForElement(findTransferNumberInput, CALL_VIEW_TIMEOUT_MS);
+      if (!input) {
+        post({ ...result, status: "no-control-button", error: "number input" });
+        return;
+      }
+      setInputValue(input, number.replace(/\s/g, ""));
+      const callButton = await waitForElement(findDialerCallButton, CALL_VIEW_TIMEOUT_MS);
+      if (callButton) {
+        callButton.click();
+      } else {
+        input.dispatchEvent(new KeyboardEvent("keydown", {
+          key: "Enter", code: "Enter", keyCode: 13, which: 13, bubbles: true, cancelable: true
+        }));
+      }
+    }
+    post({ kind: "CALL_VIEW_CLICKED", cmd, requestId, callId });
+  }
+
+  // The status (forwarding profile) is switched in the PWA's status menu: open
+  // it from the avatar / status button, then click the entry named like the
+  // profile (names come from MyExtensionInfo, so they match the menu).
+  const STATUS_MENU_SELECTORS = [
+    "[data-qa='status-selector']", "[data-qa='user-status']", "[data-qa='profile-status']",
+    ...callViewButtonSelectors(["Status", "Change status", "Status ändern"])
+  ];
+  const STATUS_MENU_ITEM_SELECTOR = "[role='menuitem'], [role='menuitemradio'], [role='option'], li, button";
+
+  function findStatusMenuItem(profile) {
+    const wanted = profile.trim().toLowerCase();
+    return Array.from(document.querySelectorAll(STATUS_MENU_ITEM_SELECTOR))
+      .find((el) => isVisible(el) && el.textContent.trim().toLowerCase() === wanted) || null;
+  }
+
+  async function triggerSetPresence(profile, requestId) {
+    const result = { kind: "COMMAND_RESULT", cmd: "SET_PRESENCE", requestId };
+    let item = findStatusMenuItem(profile);
+    if (!item) {
+      const menuButton = await waitForElement(() => findButton(STATUS_MENU_SELECTORS), CALL_VIEW_TIMEOUT_MS);
+      if (!menuButton) {
+        post({ ...result, status: "no-control-button", error: "status menu" });
+        return;
+      }
+      menuButton.click();
+      item = await waitForElement(() => findStatusMenuItem(profile), CALL_VIEW_TIMEOUT_MS);
+    }
+    if (!item) {
+      post({ ...result, status: "no-control-button", error: profile });
+      return;
+    }
+    item.click();
+    // background.js reports "presence-set" once the PBX has the new profile.
+    post({ kind: "PRESENCE_CLICKED", requestId, profile });
+  }
+
+  // Answering has to happen in the PWA itself (it owns the WebRTC session),
+  // so click the answer button of the call's element; with two calls ringing
+  // the first answer button on the page may belong to the other one.
+  // "call-not-found" / "no-answer-button" let background.js bring the tab to
+  // the front instead.
+  async function triggerAnswer(callId, hint, requestId) {
+    const result = { kind: "COMMAND_RESULT", cmd: "ANSWER", requestId, callId };
+    let view = null;
+    const button = await waitForElement(() => {
+      view = findCallView(hint);
+      return view && findButton(ANSWER_BUTTON_SELECTORS, view);
+    }, ANSWER_BUTTON_TIMEOUT_MS);
+    if (!button) {
+      post({ ...result, status: view ? "no-answer-button" : "call-not-found" });
+      return;
+    }
+    button.click();
+    post({ ...result, status: "answered" });
+  }
+
+  // Run one dial strategy (chosen by background.js, which also confirms the
+  // dial from the new outbound LocalConnection and moves on to the next
+  // strategy if none shows up):
+  //   "api" - RequestMakeCall on the PWA's own webclient socket
+  //   "ui"  - tel: link opens the PWA dialer; its call button is clicked once
+  //           rendered, Enter is pressed if it never appears
+  // DIAL_STRATEGY_UNAVAILABLE tells background to skip ahead without waiting.
+  function triggerDial(number, requestId, dialId, strategy) {
     const cleanNumber = number.replace(/\s/g, "");
-    post({ kind: "DIAL_STARTING", number: cleanNumber });
+    const progress = { number: cleanNumber, requestId, dialId, strategy };
+    post({ kind: "DIAL_STARTING", ...progress });
 
-    // Create and click a tel: link - the 3CX PWA opens the dialer with the number
+    if (strategy === "api") {
+      dialViaWebclientSocket(cleanNumber, progress);
+    } else {
+      dialViaDialer(cleanNumber, progress).catch((err) => {
+        post({ kind: "DIAL_STRATEGY_UNAVAILABLE", ...progress, reason: String(err) });
+      });
+    }
+  }
+
+  function dialViaWebclientSocket(number, progress) {
+    if (!webclientSocket || webclientSocket.readyState !== NativeWebSocket.OPEN) {
+      post({ kind: "DIAL_STRATEGY_UNAVAILABLE", ...progress, reason: "no-webclient-socket" });
+      return;
+    }
+    try {
+      webclientSocket.send(encodeRequestMakeCall(number));
+      post({ kind: "DIAL_API_SENT", ...progress });
+    } catch (err) {
+      post({ kind: "DIAL_STRATEGY_UNAVAILABLE", ...progress, reason: String(err) });
+    }
+  }
+
+  async function dialViaDialer(number, progress) {
+    const openedAt = Date.now();
+
+    // The 3CX PWA handles tel: links by opening its dialer with the number.
     const a = document.createElement("a");
-    a.href = `tel:${cleanNumber}`;
+    a.href = `tel:${number}`;
     a.style.display = "none";
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
+    post({ kind: "DIAL_TEL_LINK_CLICKED", ...progress });
 
-    post({ kind: "DIAL_TEL_LINK_CLICKED", number: cleanNumber });
+    const button = await waitForElement(findDialerCallButton, DIAL_UI_READY_TIMEOUT_MS);
 
-    // Wait for the PWA to open the dialer / call confirmation dialog
-    await new Promise(r => setTimeout(r, 750));
+    // dialDelay stays the minimum time between opening and confirming.
+    const remainingDelay = dialDelay - (Date.now() - openedAt);
+    if (remainingDelay > 0) await new Promise((r) => setTimeout(r, remainingDelay));
 
-    // Simulate Enter keypress to confirm the call
+    if (button && button.isConnected && !button.disabled) {
+      button.click();
+      post({ kind: "DIAL_UI_CALL_CLICKED", ...progress, readyMs: Date.now() - openedAt });
+      return;
+    }
+
+    // Dialer never showed a recognisable call button: previous behaviour.
     const enterEvent = new KeyboardEvent("keydown", {
       key: "Enter", code: "Enter", keyCode: 13, which: 13,
       bubbles: true, cancelable: true
@@ -144,11 +606,123 @@
     document.activeElement?.dispatchEvent(enterEvent);
     document.dispatchEvent(enterEvent);
 
-    post({ kind: "DIAL_TEL_ENTER_SENT", number: cleanNumber,
+    post({ kind: "DIAL_TEL_ENTER_SENT", ...progress,
            activeElement: document.activeElement?.tagName || "none",
            activeClasses: (document.activeElement?.className || "").substring(0, 60) });
   }
 
+  // Call buttons of the PWA dialer / call confirmation dialog, English and
+  // German UI. Dialogs are searched first so a call button elsewhere on the
+  // page (contact list, call history) is not picked by mistake.
+  const DIALER_SCOPES = ["[role='dialog']", "mat-dialog-container", ".modal", "dialer", "app-dialer"];
+  const DIALER_CALL_BUTTON_SELECTORS = [
+    "button[data-qa='call']", "button[data-qa='call-button']", "button[data-qa='make-call']",
+    "button[aria-label='Call' i]", "button[title='Call' i]",
+    "button[aria-label='Anrufen' i]", "button[title='Anrufen' i]"
+  ];
+
+  // Answer buttons of the PWA's incoming call popup / call view, English and
+  // German UI.
+  const ANSWER_BUTTON_TIMEOUT_MS = 2_000;
+  const ANSWER_BUTTON_SELECTORS = [
+    "button[data-qa='answer']", "button[data-qa='answer-call']", "button[data-qa='accept-call']",
+    "button[aria-label='Answer' i]", "button[title='Answer' i]",
+    "button[aria-label='Annehmen' i]", "button[title='Annehmen' i]",
+    "button[aria-label='Abheben' i]", "button[title='Abheben' i]"
+  ];
+
+  function findButton(selectors, scope = document) {
+    return Array.from(scope.querySelectorAll(selectors.join(",")))
+      .find((el) => isVisible(el) && !el.disabled) || null;
+  }
+
+  // Elements the PWA renders one call in: the incoming call popup and the
+  // call view (one entry per call while several are up).
+  const CALL_VIEW_SELECTORS = [
+    "[data-qa='incoming-call']", "[data-qa='call-view']", "[data-qa='active-call']", "[data-qa='call-item']",
+    "app-incoming-call", "app-call-view", "call-view", "[role='dialog']", "mat-dialog-container"
+  ];
+  // Trailing digits compared; the PWA may show the number with or without
+  // country code or trunk prefix.
+  const CALL_VIEW_NUMBER_DIGITS = 8;
+
+  const callPartyHint = (payload) => ({
+    remoteNumber: payload.remoteNumber || "",
+    remoteName: payload.remoteName || ""
+  });
+
+  function showsParty(el, digits, name) {
+    const text = el.textContent || "";
+    if (name && text.toLowerCase().includes(name)) return true;
+    return !!digits && text.replace(/\D/g, "").includes(digits);
+  }
+
+  // The element showing the call with the given remote party, or null unless
+  // exactly one does: the PWA's DOM has no call ids, and with two calls to
+  // the same party a click could hit the wrong one.
+  function findCallView(hint) {
+    const digits = hint.remoteNumber.replace(/\D/g, "").slice(-CALL_VIEW_NUMBER_DIGITS);
+    const name = hint.remoteName.trim().toLowerCase();
+    if (!digits && !name) return null;
+    const matches = Array.from(document.querySelectorAll(CALL_VIEW_SELECTORS.join(",")))
+      .filter((el) => isVisible(el) && showsParty(el, digits, name));
+    // A dialog wrapping the call view matches too; keep the innermost.
+    const views = matches.filter((el) => !matches.some((other) => other !== el && el.contains(other)));
+    return views.length === 1 ? views[0] : null;
+  }
+
+  // Number field of the transfer dialog (searched like the dialer).
+  function findTransferNumberInput() {
+    const selector = "input[type='tel'], input[type='text'], input[type='search']";
+    for (const scope of document.querySelectorAll(DIALER_SCOPES.join(","))) {
+      const input = Array.from(scope.querySelectorAll(selector)).find((el) => isVisible(el) && !el.disabled);
+      if (input) return input;
+    }
+    return null;
+  }
+
+  // The PWA's framework listens for input events; assigning .value alone
+  // would not reach its form model.
+  function setInputValue(input, value) {
+    const setter = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, "value").set;
+    setter.call(input, value);
+    input.dispatchEvent(new Event("input", { bubbles: true }));
+  }
+
+  function isVisible(el) {
+    return !!(el.offsetWidth || el.offsetHeight || el.getClientRects().length);
+  }
+
+  function findDialerCallButton() {
+    const selector = DIALER_CALL_BUTTON_SELECTORS.join(",");
+    for (const scope of document.querySelectorAll(DIALER_SCOPES.join(","))) {
+      const button = Array.from(scope.querySelectorAll(selector)).find((el) => isVisible(el) && !el.disabled);
+      if (button) return button;
+    }
+    return null;
+  }
+
+  // Resolves with find()'s result as soon as it is truthy, or null after timeoutMs.
+  function waitForElement(find, timeoutMs) {
+    const found = find();
+    if (found) return Promise.resolve(found);
+
+    return new Promise((resolve) => {
+      const observer = new MutationObserver(() => {
+        const el = find();
+        if (!el) return;
+        observer.disconnect();
+        clearTimeout(timer);
+        resolve(el);
+      });
+      const timer = setTimeout(() => {
+        observer.disconnect();
+        resolve(null);
+      }, timeoutMs);
+      observer.observe(document.documentElement, { childList: true, subtree: true, attributes: true });
+    });
+  }
+
   post({
     kind: "HOOK_READY",
     note: "WebSocket hook active. MessageId=201 protobuf decoding runs in background.js."
@@ -0,0 +1,29 @@
+// Phone numbers in free text (context menu selection, page text): "+49 89
+// 123456", "0049 (0)89 / 12 34 56", "089-123456". A "+", "00" or "0" prefix
+// is required so prices and order numbers stay out.
+//
+// One definition for dialplan.js (which imports this file for its side
+// effect) and the page scripts number-detect.js / page-dial.js (registered
+// after it in the same content script entry). Content scripts cannot import
+// modules, so this is a plain script that publishes on globalThis.
+(() => {
+  if (globalThis.__3cx_datev_phone_numbers) return;
+
+  const PHONE_NUMBER_PATTERN = /(?:\+|\b0)\d[\d\s()./-]{4,20}\d/g;
+  const DATE_PATTERN = /^\d{1,2}\.\d{1,2}\.\d{2,4}$/;
+  const MIN_DIGITS = 6;
+  // E.164 allows 15; "+49 (0)89" carries up to two more.
+  const MAX_DIGITS = 17;
+
+  function isPhoneNumberCandidate(text) {
+    const digits = text.replace(/\D/g, "").length;
+    return digits >= MIN_DIGITS && digits <= MAX_DIGITS && !DATE_PATTERN.test(text);
+  }
+
+  // The phone numbers in text, as RegExp matches (match[0], match.index).
+  function findPhoneNumbers(text) {
+    return Array.from(String(text ?? "").matchAll(PHONE_NUMBER_PATTERN)).filter((m) => isPhoneNumberCandidate(m[0]));
+  }
+
+  globalThis.__3cx_datev_phone_numbers = Object.freeze({ DATE_PATTERN, MAX_DIGITS, findPhoneNumbers });
+})();
@@ -1,4 +1,89 @@
+import { queryCalls, deliveryOf, isMissedCall, toCsv, toJson } from "./calljournal.js";
+
 const DEFAULT_DIAL_DELAY = 750;
+// Rows in the history list; the export contains every match.
+const HISTORY_LIST_LIMIT = 50;
+const HISTORY_SEARCH_DELAY_MS = 200;
+const END_REASON_LABELS = {
+  "local-hangup": "ended",
+  "remote-hangup": "ended",
+  "no-answer": "no answer",
+  rejected: "rejected",
+  busy: "busy",
+  transferred: "transferred",
+  forwarded: "forwarded",
+  "answered-elsewhere": "answered elsewhere"
+};
+const DELIVERY_LABELS = {
+  pending: "queued for connector",
+  lost: "not delivered to connector"
+};
+
+// Display names for settings an administrator can enforce (managed_schema.json).
+const ENFORCED_LABELS = {
+  allowedHosts: "3CX hosts",
+  extensionNumber: "extension",
+  bridgePort: "bridge port",
+  bridgePortRangeStart: "port range",
+  bridgePortRangeSize: "port range",
+  dialDelay: "Auto-DIAL delay",
+  dialMethod: "dial method",
+  callNotifications: "call notifications",
+  detectPhoneNumbers: "phone number detection",
+  interceptDialLinks: "phone links",
+  confirmDialLinks: "phone links",
+  dialLinkAllowSites: "phone links",
+  dialLinkDenySites: "phone links",
+  defaultPbxDomain: "default 3CX system",
+  dialCountryCode: "dial plan",
+  dialAreaCode: "dial plan",
+  dialOutsideLinePrefix: "dial plan",
+  dialInternalMaxLength: "dial plan",
+  dialNumberFormat: "dial plan",
+  debugLogging: "debug logging"
+};
+
+function showEnforced(enforced) {
+  const dialDelayInput = document.getElementById("dialDelay");
+  const saveBtn = document.getElementById("saveBtn");
+  const managedHint = document.getElementById("managedHint");
+
+  const dialDelayEnforced = enforced.includes("dialDelay");
+  dialDelayInput.disabled = dialDelayEnforced;
+  saveBtn.disabled = dialDelayEnforced;
+  dialDelayInput.title = dialDelayEnforced ? "Set by your administrator" : "";
+
+  const labels = Array.from(new Set(enforced.map((key) => ENFORCED_LABELS[key]).filter(Boolean)));
+  managedHint.textContent = labels.length > 0 ? `Set by your administrator: ${labels.join(", ")}` : "";
+  managedHint.style.display = labels.length > 0 ? "block" : "none";
+}
+
+// Soft mismatch: the connector speaks our protocol version but lacks features;
+// those features are switched off for this connection.
+function showCompatibility(compatibility, bridgeVersion, missingCapabilities) {
+  const compatHint = document.getElementById("compatHint");
+  const limited = compatibility === "ok" && missingCapabilities.length > 0;
+  compatHint.textContent = limited
+    ? `Connector ${bridgeVersion} is older than this extension; not available: ${missingCapabilities.join(", ")}.`
+    : "";
+  compatHint.style.display = limited ? "block" : "none";
+}
+
+// Allow-listed hosts (possibly set by policy) the user has not granted access
+// to yet; the extension stays inactive there until they do.
+function showHostAccess(hosts) {
+  const accessHint = document.getElementById("accessHint");
+  document.getElementById("accessText").textContent = hosts.length > 0
+    ? `Access to ${hosts.join(", ")} is not granted yet; calls there are not reported.`
+    : "";
+  accessHint.style.display = hosts.length > 0 ? "block" : "none";
+  accessHint.dataset.hosts = JSON.stringify(hosts);
+}
+
+// Same mapping as hostMatchPatterns() in background.js.
+function hostMatchPattern(host) {
+  return `https://${host.split(":")[0]}/*`;
+}
 
 function refreshStatus() {
   const statusDot = document.getElementById("statusDot");
@@ -7,11 +92,25 @@ function refreshStatus() {
 
   chrome.runtime.sendMessage({ type: "GET_STATUS" }, (resp) => {
     if (!resp) return;
-    const { wsState, helloAcked, extension } = resp;
+    const {
+      wsState, helloAcked, authState, compatibility, bridgeVersion,
+      missingCapabilities = [], extension, enforced = [], hostsMissingAccess = []
+    } = resp;
 
-    if (wsState === 1 && helloAcked) {
+    if (compatibility === "bridge-too-old" || compatibility === "extension-too-old") {
+      statusDot.style.background = "#DC3545";
+      statusText.textContent = compatibility === "bridge-too-old"
+        ? "Connector too old \u2013 please update"
+        : "Extension too old \u2013 please update";
+    } else if (wsState === 1 && helloAcked) {
       statusDot.style.background = "#28A745";
       statusText.textContent = "Connected";
+    } else if (authState === "unpaired") {
+      statusDot.style.background = "#DC3545";
+      statusText.textContent = "Not paired \u2013 enter the pairing key under Options";
+    } else if (authState === "mismatch") {
+      statusDot.style.background = "#DC3545";
+      statusText.textContent = "Pairing key mismatch";
     } else if (wsState === 0 || (wsState === 1 && !helloAcked)) {
       statusDot.style.background = "#FFC107";
       statusText.textContent = "Connecting\u2026";
@@ -20,20 +119,176 @@ function refreshStatus() {
       statusText.textContent = "Disconnected";
     }
 
+    showCompatibility(compatibility, bridgeVersion, missingCapabilities);
     extLabel.textContent = extension || "\u2014";
+    extLabel.title = enforced.includes("extensionNumber") ? "Set by your administrator" : "";
+    showEnforced(enforced);
+    showHostAccess(hostsMissingAccess);
+  });
+}
+
+// Element with an optional class and text, for the tab list and call history.
+function createElement(tag, className, text) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+// ----- WebClient tabs (tab registry in background.js) -----
+
+// showDomain: tabs of more than one 3CX system are open; each has its own
+// primary tab.
+function renderTabRow(tab, showDomain) {
+  const row = createElement("div", "tab-row");
+  let host = "";
+  try {
+    host = new URL(tab.url).host;
+  } catch {}
+  const title = createElement("span", "tab-title", tab.title || host || `Tab ${tab.tabId}`);
+  title.title = `${host}\nClick to show the tab`;
+  title.addEventListener("click", async () => {
+    await chrome.tabs.update(tab.tabId, { active: true }).catch(() => {});
+    await chrome.windows.update(tab.windowId, { focused: true }).catch(() => {});
+  });
+  row.append(title);
+  if (showDomain && tab.domain) row.append(createElement("span", "meta", tab.domain));
+
+  if (tab.primary) {
+    row.append(createElement("span", "tab-primary", tab.pinned ? "primary (chosen)" : "primary"));
+  }
+  // A chosen primary can be released to automatic election; any other tab
+  // can be chosen.
+  if (!tab.primary || tab.pinned) {
+    const button = createElement("button", "btn btn-secondary", tab.pinned ? "Auto" : "Use");
+    button.title = tab.pinned ? "Choose the primary tab automatically" : "Take calls from this tab";
+    button.addEventListener("click", () => {
+      chrome.runtime.sendMessage(
+        { type: "SET_PRIMARY_TAB", tabId: tab.pinned ? null : tab.tabId, domain: tab.domain }, refreshTabs);
+    });
+    row.append(button);
+  }
+  return row;
+}
+
+function refreshTabs() {
+  chrome.runtime.sendMessage({ type: "GET_WEBCLIENT_TABS" }, (resp) => {
+    const tabs = resp?.tabs || [];
+    document.getElementById("tabsSection").style.display = tabs.length > 0 ? "block" : "none";
+    const showDomain = new Set(tabs.map((tab) => tab.domain)).size > 1;
+    document.getElementById("tabList").replaceChildren(...tabs.map((tab) => renderTabRow(tab, showDomain)));
   });
 }
 
+// ----- Call history (calljournal.js) -----
+
+function historyFilter() {
+  return {
+    text: document.getElementById("historySearch").value,
+    direction: document.getElementById("historyDirection").value,
+    result: document.getElementById("historyResult").value
+  };
+}
+
+function formatDuration(seconds) {
+  const s = Math.max(0, Math.round(seconds));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
+
+function formatStart(ms) {
+  return new Date(ms).toLocaleString([], { day: "2-digit", month: "2-digit", hour: "2-digit", minute: "2-digit" });
+}
+
+function renderHistoryRow(entry) {
+  const row = createElement("div", "history-row");
+  const arrow = entry.direction === "inbound" ? "\u2199" : "\u2197";
+  const party = createElement("span", isMissedCall(entry) ? "party missed" : "party",
+    `${arrow} ${entry.remoteName || entry.remoteNumber || "unknown"}`);
+  party.title = entry.remoteNumber;
+  const top = createElement("div", "line");
+  top.append(party, createElement("span", "meta", formatStart(entry.startedAt)));
+
+  const details = [];
+  if (entry.remoteName && entry.remoteNumber) details.push(entry.remoteNumber);
+  if (!entry.endedAt) details.push("in progress");
+  else if (entry.connected && entry.endReason !== "transferred") details.push(formatDuration(entry.talkSeconds));
+  else details.push(END_REASON_LABELS[entry.endReason] || entry.endReason);
+  const bottom = createElement("div", "line meta");
+  bottom.append(createElement("span", "", details.join(" \u00b7 ")));
+  const delivery = deliveryOf(entry);
+  if (DELIVERY_LABELS[delivery]) bottom.append(createElement("span", delivery, DELIVERY_LABELS[delivery]));
+
+  row.append(top, bottom);
+  return row;
+}
+
+async function refreshHistory() {
+  const list = document.getElementById("historyList");
+  let entries;
+  try {
+    entries = await queryCalls(historyFilter());
+  } catch {
+    list.replaceChildren(createElement("div", "history-empty", "Call history unavailable."));
+    return;
+  }
+
+  const rows = entries.slice(0, HISTORY_LIST_LIMIT).map(renderHistoryRow);
+  if (entries.length === 0) {
+    rows.push(createElement("div", "history-empty", "No calls."));
+  } else if (entries.length > HISTORY_LIST_LIMIT) {
+    rows.push(createElement("div", "history-empty",
+      `Latest ${HISTORY_LIST_LIMIT} of ${entries.length} calls shown; the export contains all.`));
+  }
+  list.replaceChildren(...rows);
+}
+
+function downloadFile(fileName, type, content) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 10_000);
+}
+
+// Exports what the current search and filters match.
+async function exportHistory(format) {
+  const entries = await queryCalls(historyFilter());
+  const fileName = `3cx-call-history-${new Date().toISOString().slice(0, 10)}`;
+  if (format === "csv") {
+    downloadFile(`${fileName}.csv`, "text/csv;charset=utf-8", toCsv(entries));
+  } else {
+    downloadFile(`${fileName}.json`, "application/json", toJson(entries));
+  }
+}
+
 document.addEventListener("DOMContentLoaded", async () => {
   const dialDelayInput = document.getElementById("dialDelay");
   const saveBtn = document.getElementById("saveBtn");
   const testBtn = document.getElementById("testBtn");
   const reloadBtn = document.getElementById("reloadBtn");
+  const optionsBtn = document.getElementById("optionsBtn");
 
   refreshStatus();
+  refreshTabs();
+  refreshHistory();
 
-  const cfg = await chrome.storage.local.get(["dialDelay"]);
+  let historySearchTimer = null;
+  document.getElementById("historySearch").addEventListener("input", () => {
+    clearTimeout(historySearchTimer);
+    historySearchTimer = setTimeout(refreshHistory, HISTORY_SEARCH_DELAY_MS);
+  });
+  document.getElementById("historyDirection").addEventListener("change", refreshHistory);
+  document.getElementById("historyResult").addEventListener("change", refreshHistory);
+  document.getElementById("exportCsvBtn").addEventListener("click", () => exportHistory("csv"));
+  document.getElementById("exportJsonBtn").addEventListener("click", () => exportHistory("json"));
+
+  const managed = await chrome.storage.managed.get(["dialDelay", "allowedHosts"]).catch(() => ({}));
+  const cfg = { ...await chrome.storage.local.get(["dialDelay", "allowedHosts"]), ...managed };
   dialDelayInput.value = cfg.dialDelay ?? DEFAULT_DIAL_DELAY;
+  if (!Array.isArray(cfg.allowedHosts) || cfg.allowedHosts.length === 0) {
+    document.getElementById("hostHint").style.display = "block";
+  }
 
   saveBtn.addEventListener("click", async () => {
     const dialDelay = parseInt(dialDelayInput.value, 10);
@@ -49,6 +304,16 @@ document.addEventListener("DOMContentLoaded", async () => {
     }, 1200);
   });
 
+  // permissions.request() must be the first await of the click (user gesture).
+  // background.js re-registers the content script from permissions.onAdded.
+  document.getElementById("grantAccessBtn").addEventListener("click", async () => {
+    const hosts = JSON.parse(document.getElementById("accessHint").dataset.hosts || "[]");
+    const origins = Array.from(new Set(hosts.map(hostMatchPattern)));
+    if (origins.length === 0) return;
+    await chrome.permissions.request({ origins }).catch(() => false);
+    setTimeout(refreshStatus, 500);
+  });
+
   testBtn.addEventListener("click", () => {
     testBtn.style.background = "#FFC107";
     testBtn.style.color = "#000";
@@ -74,6 +339,10 @@ document.addEventListener("DOMContentLoaded", async () => {
     });
   });
 
+  optionsBtn.addEventListener("click", () => {
+    chrome.runtime.openOptionsPage();
+  });
+
   reloadBtn.addEventListener("click", () => {
     chrome.runtime.sendMessage({ type: "RELOAD_EXTENSION" }, () => {
       reloadBtn.style.background = "#28A745";
@@ -0,0 +1,183 @@
+// Call commands (TEST_PLAN TC-10b, TC-10c): HOLD and the like only click the
+// PWA's call view and DROP, REJECT, DIVERT and TRANSFER only send a request
+// frame, so they succeed once the PBX reports the new call state or the
+// call's end, and end as not-confirmed otherwise. Transfers need a number.
+
+import { test, mock, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { dispatchMessage, settle, startServiceWorker } from "./fake-chrome.mjs";
+import { ACTION_DELETED, ACTION_INSERTED, ACTION_UPDATED, text, uint, wsBinary } from "./protobuf.mjs";
+
+const TAB = { id: 5, url: "https://pbx.example.com/#/people" };
+
+beforeEach(() => mock.timers.enable({ apis: ["setTimeout"] }));
+afterEach(() => mock.timers.reset());
+
+async function frame(chrome, ...localConnections) {
+  dispatchMessage(chrome, {
+    type: "3CX_RAW_SIGNAL",
+    payload: { parsed: { messageId: 201, extensionNumber: "101", localConnections } }
+  }, { tab: TAB, url: TAB.url });
+  await settle();
+}
+
+// A ringing inbound call with id 7.
+async function ringingCall(chrome) {
+  await frame(chrome, {
+    id: 11, callId: 7, action: ACTION_INSERTED, state: 1, isIncoming: true,
+    otherPartyCallerId: "+49891234567", otherPartyDisplayName: "Max Mustermann"
+  });
+}
+
+// The same call answered.
+async function connectedCall(chrome) {
+  await ringingCall(chrome);
+  await frame(chrome, { id: 11, callId: 7, action: ACTION_UPDATED, state: 3 });
+}
+
+// The request frame page-hook sent on the PWA's socket, as it mirrors it.
+async function requestSent(chrome, messageId, payload) {
+  dispatchMessage(chrome, {
+    type: "3CX_RAW_SIGNAL", payload: { ...wsBinary(messageId, payload), kind: "WS_BINARY_OUT" }
+  }, { tab: TAB, url: TAB.url });
+  await settle();
+}
+
+async function command(chrome, data) {
+  dispatchMessage(chrome, { target: "background", type: "BRIDGE_COMMAND", data });
+  await settle();
+}
+
+function results(chrome, requestId) {
+  return chrome.sent
+    .filter((msg) => msg.payload?.type === "COMMAND_RESULT" && msg.payload.requestId === requestId)
+    .map((msg) => msg.payload.status);
+}
+
+test("HOLD succeeds only once the PBX reports the call held", async () => {
+  const chrome = await startServiceWorker({ tabs: [TAB] });
+  await connectedCall(chrome);
+  await command(chrome, { cmd: "HOLD", callId: "7", requestId: "hold-1" });
+
+  const [{ msg }] = chrome.tabMessages.filter(({ msg }) => msg.type === "HOLD");
+  assert.equal(msg.remoteNumber, "+49891234567");
+  dispatchMessage(chrome, {
+    type: "3CX_RAW_SIGNAL",
+    payload: { kind: "CALL_VIEW_CLICKED", cmd: "HOLD", requestId: "hold-1", callId: "7" }
+  }, { tab: TAB, url: TAB.url });
+  await settle();
+  assert.deepEqual(results(chrome, "hold-1"), ["accepted"]);
+
+  await frame(chrome, { id: 11, callId: 7, action: ACTION_UPDATED, state: 3, held: true });
+  assert.deepEqual(results(chrome, "hold-1"), ["accepted", "held"]);
+});
+
+test("a HOLD the PBX never reports ends as not-confirmed", async () => {
+  const chrome = await startServiceWorker({ tabs: [TAB] });
+  await connectedCall(chrome);
+  await command(chrome, { cmd: "HOLD", callId: "7", requestId: "hold-1" });
+
+  mock.timers.tick(10_000);
+  await settle();
+  assert.deepEqual(results(chrome, "hold-1"), ["accepted", "not-confirmed"]);
+});
+
+test("a call view failure from the page is final", async () => {
+  const chrome = await startServiceWorker({ tabs: [TAB] });
+  await connectedCall(chrome);
+  await command(chrome, { cmd: "HOLD", callId: "7", requestId: "hold-1" });
+  dispatchMessage(chrome, {
+    type: "3CX_RAW_SIGNAL",
+    payload: { kind: "COMMAND_RESULT", cmd: "HOLD", requestId: "hold-1", callId: "7", status: "call-not-found" }
+  }, { tab: TAB, url: TAB.url });
+  await settle();
+
+  mock.timers.tick(10_000);
+  await settle();
+  assert.deepEqual(results(chrome, "hold-1"), ["accepted", "call-not-found"]);
+});
+
+test("a transfer without a number is rejected as invalid-number", async () => {
+  const chrome = await startServiceWorker({ tabs: [TAB] });
+  await connectedCall(chrome);
+  await command(chrome, { cmd: "TRANSFER", callId: "7", requestId: "transfer-1" });
+  await command(chrome, { cmd: "ATTENDED_TRANSFER", callId: "7", requestId: "transfer-2" });
+
+  assert.deepEqual(results(chrome, "transfer-1"), ["invalid-number"]);
+  assert.deepEqual(results(chrome, "transfer-2"), ["invalid-number"]);
+  assert.equal(chrome.tabMessages.filter(({ msg }) => msg.type.includes("TRANSFER")).length, 0);
+});
+
+test("the owning tab learns the id of a connected call for its media session", async () => {
+  const chrome = await startServiceWorker({ tabs: [TAB] });
+  await connectedCall(chrome);
+
+  const notices = chrome.tabMessages.filter(({ msg }) => msg.type === "CALL_CONNECTED");
+  assert.deepEqual(notices, [{ tabId: TAB.id, msg: { type: "CALL_CONNECTED", callId: "7" } }]);
+});
+
+test("DROP succeeds once the PBX reports the call ended", async () => {
+  const chrome = await startServiceWorker({ tabs: [TAB] });
+  await connectedCall(chrome);
+  await command(chrome, { cmd: "DROP", callId: "7", requestId: "drop-1" });
+  dispatchMessage(chrome, {
+    type: "3CX_RAW_SIGNAL",
+    payload: { kind: "CALL_REQUEST_SENT", cmd: "DROP", requestId: "drop-1", callId: "7" }
+  }, { tab: TAB, url: TAB.url });
+  await settle();
+  assert.deepEqual(results(chrome, "drop-1"), ["accepted"]);
+
+  await frame(chrome, { id: 11, callId: 7, action: ACTION_DELETED });
+  assert.deepEqual(results(chrome, "drop-1"), ["accepted", "dropped"]);
+});
+
+test("a DROP the PBX does not carry out ends as not-confirmed", async () => {
+  const chrome = await startServiceWorker({ tabs: [TAB] });
+  await connectedCall(chrome);
+  await command(chrome, { cmd: "DROP", callId: "7", requestId: "drop-1" });
+
+  mock.timers.tick(10_000);
+  await settle();
+  assert.deepEqual(results(chrome, "drop-1"), ["accepted", "not-confirmed"]);
+});
+
+test("REJECT succeeds once the call ends as rejected", async () => {
+  const chrome = await startServiceWorker({ tabs: [TAB] });
+  await ringingCall(chrome);
+  await command(chrome, { cmd: "REJECT", callId: "7", requestId: "reject-1" });
+  await requestSent(chrome, 115, [...uint(1, 11), ...uint(3, 1)]);
+  assert.deepEqual(results(chrome, "reject-1"), ["accepted"]);
+
+  await frame(chrome, { id: 11, callId: 7, action: ACTION_DELETED });
+  assert.deepEqual(results(chrome, "reject-1"), ["accepted", "rejected"]);
+});
+
+test("DIVERT succeeds once the call ends as forwarded", async () => {
+  const chrome = await startServiceWorker({ tabs: [TAB] });
+  await ringingCall(chrome);
+  await command(chrome, { cmd: "DIVERT", callId: "7", number: "102", requestId: "divert-1" });
+  await requestSent(chrome, 116, [...uint(1, 11), ...text(2, "102")]);
+
+  await frame(chrome, { id: 11, callId: 7, action: ACTION_DELETED });
+  assert.deepEqual(results(chrome, "divert-1"), ["accepted", "diverted"]);
+});
+
+test("a REJECT whose call ends otherwise is no-call", async () => {
+  const chrome = await startServiceWorker({ tabs: [TAB] });
+  await ringingCall(chrome);
+  await command(chrome, { cmd: "REJECT", callId: "7", requestId: "reject-1" });
+
+  await frame(chrome, { id: 11, callId: 7, action: ACTION_DELETED });
+  assert.deepEqual(results(chrome, "reject-1"), ["accepted", "no-call"]);
+});
+
+test("TRANSFER succeeds once the call ends as transferred", async () => {
+  const chrome = await startServiceWorker({ tabs: [TAB] });
+  await connectedCall(chrome);
+  await command(chrome, { cmd: "TRANSFER", callId: "7", number: "102", requestId: "transfer-1" });
+  await requestSent(chrome, 118, [...uint(1, 11), ...text(2, "102")]);
+  assert.deepEqual(results(chrome, "transfer-1"), ["accepted"]);
+
+  await frame(chrome, { id: 11, callId: 7, action: ACTION_DELETED });
+  assert.deepEqual(results(chrome, "transfer-1"), ["accepted", "transferred"]);
+});
@@ -0,0 +1,31 @@
+// Call journal export: caller data is outside input and must not turn into
+// spreadsheet formulas in the CSV.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { toCsv } from "../scripts/calljournal.js";
+
+const entry = (fields) => ({
+  startedAt: 0, direction: "inbound", remoteNumber: "", remoteName: "", extension: "101",
+  state: "ended", endReason: "", answeredAt: 0, endedAt: 0, talkSeconds: 0, durationSeconds: 0,
+  queueName: "", did: "", callId: "7", transitions: [], ...fields
+});
+
+function row(csv) {
+  return csv.replace(/^\uFEFF/, "").split("\r\n")[1];
+}
+
+test("fields that would start a formula are exported as text", () => {
+  const csv = toCsv([entry({ remoteName: "=HYPERLINK(\"http://x\")", remoteNumber: "+49891234567", queueName: "@SUM(1)" })]);
+  const fields = row(csv).split(";");
+  assert.equal(fields[2], "'+49891234567");
+  assert.equal(fields[3], "\"'=HYPERLINK(\"\"http://x\"\")\"");
+  assert.equal(fields[11], "'@SUM(1)");
+});
+
+test("tab, CR and minus at the start are guarded too, plain text is not", () => {
+  for (const name of ["-1+2", "\tcmd", "\rcmd"]) {
+    assert.ok(row(toCsv([entry({ remoteName: name })])).split(";")[3].replace(/^"/, "").startsWith("'"), name);
+  }
+  assert.equal(row(toCsv([entry({ remoteName: "Max Mustermann" })])).split(";")[3], "Max Mustermann");
+});
@@ -0,0 +1,61 @@
+// Colleague status (TEST_PLAN TC-10f): ExtensionsInfo frames feed
+// EXTENSION_STATUS, and the first frame that does not match the expected
+// field map switches the feature off instead of reporting guesses.
+
+import { test, mock, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { dispatchMessage, settle, startServiceWorker } from "./fake-chrome.mjs";
+import { bytes, text, uint, wsBinary } from "./protobuf.mjs";
+
+const TAB = { id: 5, url: "https://pbx.example.com/#/people" };
+
+beforeEach(() => mock.timers.enable({ apis: ["setTimeout"] }));
+afterEach(() => mock.timers.reset());
+
+async function signal(chrome, payload) {
+  dispatchMessage(chrome, { type: "3CX_RAW_SIGNAL", payload }, { tab: TAB, url: TAB.url });
+  await settle();
+}
+
+async function subscribe(chrome, extensions) {
+  dispatchMessage(chrome, { target: "background", type: "BRIDGE_SUBSCRIBE_EXTENSIONS", data: { extensions } });
+  await settle();
+}
+
+// ExtensionsInfo full update with one extension.
+function extensionsInfo(...info) {
+  return wsBinary(202, [...uint(1, 1), ...bytes(2, info)]);
+}
+
+function statusUpdates(chrome) {
+  return chrome.sent
+    .map((msg) => msg.payload)
+    .filter((payload) => payload?.type === "EXTENSION_STATUS")
+    .map(({ full, extensions }) => ({ full, extensions: extensions.map((e) => `${e.number}:${e.status}`) }));
+}
+
+test("a subscribed colleague's line state is reported", async () => {
+  const chrome = await startServiceWorker({ tabs: [TAB] });
+  await signal(chrome, extensionsInfo(...uint(1, 1), ...text(3, "102"), ...text(4, "Erika"), ...uint(7, 1)));
+  await subscribe(chrome, ["102"]);
+
+  assert.deepEqual(statusUpdates(chrome), [{ full: true, extensions: ["102:busy"] }]);
+});
+
+test("a frame that does not match the field map turns colleague status off", async () => {
+  const chrome = await startServiceWorker({ tabs: [TAB] });
+  await signal(chrome, extensionsInfo(...uint(1, 1), ...text(3, "102"), ...uint(7, 1)));
+  await subscribe(chrome, ["102"]);
+  // IsBusy as a string: not the ExtensionInfo this parser knows.
+  await signal(chrome, extensionsInfo(...uint(1, 1), ...text(3, "102"), ...text(7, "yes")));
+  await signal(chrome, extensionsInfo(...uint(1, 1), ...text(3, "102"), ...uint(8, 1)));
+  mock.timers.tick(1_000);
+  await settle();
+  await subscribe(chrome, ["102"]);
+
+  assert.deepEqual(statusUpdates(chrome), [
+    { full: true, extensions: ["102:busy"] },
+    { full: true, extensions: [] },
+    { full: true, extensions: [] }
+  ]);
+});
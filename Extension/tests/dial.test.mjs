@@ -0,0 +1,79 @@
+// Click-to-dial strategies (TEST_PLAN TC-06a): a strategy that was sent is
+// never followed by a second dial, and the "api" strategy is only set aside
+// after several unconfirmed dials in a row.
+
+import { test, mock, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { dispatchMessage, settle, startServiceWorker } from "./fake-chrome.mjs";
+
+const TAB = { id: 5, url: "https://pbx.example.com/#/people" };
+
+// setTimeout is mocked so the 10 s confirm window can be run out; timers of
+// a finished test are dropped with the mock instead of firing later.
+beforeEach(() => mock.timers.enable({ apis: ["setTimeout"] }));
+afterEach(() => mock.timers.reset());
+
+// Run the DIAL's confirm window out.
+async function expireDial() {
+  mock.timers.tick(10_000);
+  await settle();
+}
+
+function dial(chrome, requestId, number = "089123456") {
+  dispatchMessage(chrome, {
+    target: "background",
+    type: "BRIDGE_COMMAND",
+    data: { cmd: "DIAL", number, requestId }
+  });
+}
+
+function dialsSent(chrome, requestId) {
+  return chrome.tabMessages
+    .filter(({ msg }) => msg.type === "DIAL" && msg.requestId === requestId)
+    .map(({ msg }) => msg.strategy);
+}
+
+function dialResults(chrome, requestId) {
+  return chrome.sent
+    .filter((msg) => msg.payload?.type === "COMMAND_RESULT" && msg.payload.requestId === requestId)
+    .map((msg) => msg.payload.status);
+}
+
+test("an unconfirmed api dial ends as not-confirmed without dialing again", async () => {
+  const chrome = await startServiceWorker({ tabs: [TAB] });
+  dial(chrome, "dial-1");
+  await settle();
+  assert.deepEqual(dialsSent(chrome, "dial-1"), ["api"]);
+
+  await expireDial();
+  assert.deepEqual(dialsSent(chrome, "dial-1"), ["api"]);
+  assert.deepEqual(dialResults(chrome, "dial-1"), ["accepted", "not-confirmed"]);
+});
+
+test("an api strategy reported unavailable falls back to the dialer", async () => {
+  const chrome = await startServiceWorker({ tabs: [TAB] });
+  dial(chrome, "dial-1");
+  await settle();
+  const [{ msg }] = chrome.tabMessages.filter(({ msg }) => msg.type === "DIAL");
+  dispatchMessage(chrome, {
+    type: "3CX_RAW_SIGNAL",
+    payload: { kind: "DIAL_STRATEGY_UNAVAILABLE", dialId: msg.dialId, strategy: "api", reason: "no-webclient-socket" }
+  }, { tab: TAB, url: TAB.url });
+  await settle();
+
+  assert.deepEqual(dialsSent(chrome, "dial-1"), ["api", "ui"]);
+});
+
+test("three unconfirmed api dials in a row switch to the dialer", async () => {
+  const chrome = await startServiceWorker({ tabs: [TAB] });
+  for (const requestId of ["dial-1", "dial-2", "dial-3"]) {
+    dial(chrome, requestId);
+    await settle();
+    await expireDial();
+    assert.deepEqual(dialsSent(chrome, requestId), ["api"]);
+  }
+
+  dial(chrome, "dial-4");
+  await settle();
+  assert.deepEqual(dialsSent(chrome, "dial-4"), ["ui"]);
+});
@@ -0,0 +1,48 @@
+// Dial plan number rewriting (DEVELOPER_GUIDE "Dial plan").
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { dialPlanFromSettings, extractPhoneNumber, normalizeRemoteNumber, toDialString, toE164 } from "../scripts/dialplan.js";
+
+const plan = dialPlanFromSettings({ dialAreaCode: "089" });
+const withPrefix = (prefix) => dialPlanFromSettings({ dialAreaCode: "089", dialOutsideLinePrefix: prefix });
+
+test("DATEV numbers are dialed as E.164", () => {
+  assert.equal(toDialString("+49 (0) 89 / 123-45", plan), "+498912345");
+  assert.equal(toDialString("0043 1 234567", plan), "+431234567");
+  assert.equal(toDialString("12345", plan), "+498912345");
+  assert.equal(toDialString("101", plan), "101");
+});
+
+test("inbound caller IDs are reported as E.164", () => {
+  assert.equal(normalizeRemoteNumber("08912345", plan), "+498912345");
+  assert.equal(normalizeRemoteNumber("00431234567", plan), "+431234567");
+  assert.equal(normalizeRemoteNumber("101", plan), "101");
+});
+
+test("the outside-line prefix is stripped from outbound numbers", () => {
+  assert.equal(normalizeRemoteNumber("908912345", withPrefix("9"), true), "+498912345");
+  assert.equal(normalizeRemoteNumber("9004312345", withPrefix("9"), true), "+4312345");
+  assert.equal(normalizeRemoteNumber("000431234567", withPrefix("0"), true), "+431234567");
+});
+
+test("with prefix 0 a dialed national number is not taken for international", () => {
+  assert.equal(normalizeRemoteNumber("008912345", withPrefix("0"), true), "+498912345");
+  assert.equal(normalizeRemoteNumber("00431234567", withPrefix("0"), true), "+49431234567");
+});
+
+test("outbound numbers read back as what toDialString dialed", () => {
+  for (const prefix of ["0", "9"]) {
+    const prefixed = dialPlanFromSettings({ dialAreaCode: "089", dialOutsideLinePrefix: prefix, dialNumberFormat: "national" });
+    for (const number of ["089 12345", "0431 234567", "+43 1 234567", "0043 1 234567", "12345"]) {
+      assert.equal(normalizeRemoteNumber(toDialString(number, prefixed), prefixed, true), toE164(number, prefixed), `${prefix}: ${number}`);
+    }
+  }
+});
+
+test("the number to dial is taken from selected text and phone links", () => {
+  assert.equal(extractPhoneNumber("Tel. 089 / 123 456 (Zentrale)"), "089 / 123 456");
+  assert.equal(extractPhoneNumber("tel:+49%2089%20123456;phone-context=x"), "+49 89 123456");
+  assert.equal(extractPhoneNumber("101"), "101");
+  assert.equal(extractPhoneNumber("am 01.02.2024 um 0815"), "");
+});
@@ -0,0 +1,145 @@
+// In-memory stand-in for the chrome.* APIs the service worker uses, enough to
+// run background.js under node:test. Storage areas are plain objects that a
+// test can share between two instances to simulate a service worker restart.
+
+import { mock } from "node:test";
+
+function fakeEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: (fn) => listeners.push(fn),
+    removeListener: (fn) => {
+      const i = listeners.indexOf(fn);
+      if (i >= 0) listeners.splice(i, 1);
+    },
+    hasListener: (fn) => listeners.includes(fn)
+  };
+}
+
+function fakeStorageArea(data) {
+  return {
+    data,
+    async get(keys) {
+      if (keys == null) return { ...data };
+      const list = typeof keys === "string" ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+      const out = {};
+      for (const key of list) {
+        if (key in data) out[key] = structuredClone(data[key]);
+      }
+      return out;
+    },
+    async set(items) {
+      for (const [key, value] of Object.entries(items)) data[key] = structuredClone(value);
+    },
+    async remove(keys) {
+      for (const key of [].concat(keys)) delete data[key];
+    }
+  };
+}
+
+const noop = async () => undefined;
+
+// storage: { local, session, managed } objects kept by the caller.
+// sent: every chrome.runtime.sendMessage / chrome.tabs.sendMessage payload.
+export function createFakeChrome({ local = {}, session = {}, managed = {}, tabs = [] } = {}) {
+  const sent = [];
+  const tabMessages = [];
+  const chrome = {
+    sent,
+    tabMessages,
+    alarms: { create: noop, clear: noop, onAlarm: fakeEvent() },
+    action: { setBadgeText: noop, setBadgeBackgroundColor: noop, setTitle: noop },
+    contextMenus: { create: () => undefined, removeAll: (cb) => cb?.(), onClicked: fakeEvent() },
+    notifications: {
+      create: noop, update: noop, clear: noop,
+      onButtonClicked: fakeEvent(), onClicked: fakeEvent(), onClosed: fakeEvent()
+    },
+    offscreen: { hasDocument: async () => true, createDocument: noop },
+    permissions: {
+      contains: async () => true,
+      onAdded: fakeEvent(),
+      onRemoved: fakeEvent()
+    },
+    runtime: {
+      getURL: (path) => `chrome-extension://test/${path}`,
+      sendMessage: async (msg) => {
+        sent.push(msg);
+      },
+      onMessage: fakeEvent(),
+      onInstalled: fakeEvent(),
+      onStartup: fakeEvent()
+    },
+    scripting: {
+      executeScript: noop,
+      getRegisteredContentScripts: async () => [],
+      registerContentScripts: noop,
+      unregisterContentScripts: noop
+    },
+    storage: {
+      local: fakeStorageArea(local),
+      session: fakeStorageArea(session),
+      managed: fakeStorageArea(managed),
+      onChanged: fakeEvent()
+    },
+    tabs: {
+      get: async (id) => {
+        const tab = tabs.find((t) => t.id === id);
+        if (!tab) throw new Error(`No tab with id: ${id}`);
+        return tab;
+      },
+      query: async () => tabs,
+      sendMessage: async (tabId, msg) => {
+        tabMessages.push({ tabId, msg });
+      },
+      update: noop,
+      onActivated: fakeEvent(),
+      onRemoved: fakeEvent(),
+      onReplaced: fakeEvent(),
+      onUpdated: fakeEvent()
+    },
+    windows: { WINDOW_ID_NONE: -1, update: noop, onFocusChanged: fakeEvent() }
+  };
+  return chrome;
+}
+
+// Deliver a runtime message to every onMessage listener, as from `sender`.
+export function dispatchMessage(chrome, msg, sender = {}) {
+  for (const listener of chrome.runtime.onMessage.listeners) listener(msg, sender, () => {});
+}
+
+// Let pending promise chains and zero-delay timers (state persistence) run.
+// The tests mock setTimeout (mock.timers), so timers only fire when ticked.
+export async function settle() {
+  for (let i = 0; i < 10; i++) {
+    mock.timers.tick(0);
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+}
+
+// Start background.js with the 3CX hosts allowed and tabs open, then provision
+// each tab of `provisions` ({ tab, extension }; the domain is the tab's host).
+// Each import with a new query string is a fresh module instance with empty
+// in-memory state; pass the storage of an earlier instance to simulate a
+// service worker restart.
+let instance = 0;
+export async function startServiceWorker({
+  hosts = ["pbx.example.com"],
+  tabs = [],
+  provisions = tabs.map((tab) => ({ tab })),
+  storage = { local: { allowedHosts: hosts }, session: {}, managed: {} }
+} = {}) {
+  const chrome = createFakeChrome({ ...storage, tabs });
+  globalThis.chrome = chrome;
+  instance += 1;
+  await import(`../scripts/background.js?instance=${instance}`);
+  await settle();
+  for (const { tab, extension = "101" } of provisions) {
+    dispatchMessage(chrome, {
+      type: "3CX_PROVISION",
+      provision: { domain: new URL(tab.url).hostname, extension }
+    }, { tab, url: tab.url });
+    await settle();
+  }
+  return chrome;
+}
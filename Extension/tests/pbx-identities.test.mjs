@@ -0,0 +1,76 @@
+// Several 3CX systems (TEST_PLAN TC-14d): a call keeps the id and domain it
+// was first reported with when the default system changes during the call.
+
+import { test, mock, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { dispatchMessage, settle, startServiceWorker } from "./fake-chrome.mjs";
+import { ACTION_DELETED, ACTION_INSERTED } from "./protobuf.mjs";
+
+const TAB_A = { id: 5, url: "https://pbx.example.com/#/people" };
+const TAB_B = { id: 6, url: "https://pbx2.example.com/#/people" };
+
+beforeEach(() => mock.timers.enable({ apis: ["setTimeout"] }));
+afterEach(() => mock.timers.reset());
+
+function startTwoSystems() {
+  return startServiceWorker({
+    hosts: ["pbx.example.com", "pbx2.example.com"],
+    tabs: [TAB_A, TAB_B],
+    provisions: [{ tab: TAB_A }, { tab: TAB_B, extension: "201" }]
+  });
+}
+
+async function setDefaultPbx(chrome, domain) {
+  await chrome.storage.local.set({ defaultPbxDomain: domain });
+  for (const listener of chrome.storage.onChanged.listeners) {
+    listener({ defaultPbxDomain: { newValue: domain } }, "local");
+  }
+  await settle();
+}
+
+async function frame(chrome, tab, ...localConnections) {
+  dispatchMessage(chrome, {
+    type: "3CX_RAW_SIGNAL",
+    payload: { parsed: { messageId: 201, localConnections } }
+  }, { tab, url: tab.url });
+  await settle();
+}
+
+function callEvents(chrome) {
+  return chrome.sent
+    .filter((msg) => msg.type === "SEND_TO_BRIDGE" && msg.payload?.type === "CALL_EVENT")
+    .map(({ payload }) => `${payload.context.domain} ${payload.context.extension} ${payload.call.id}:${payload.call.state}`);
+}
+
+const ringing = (callId) => ({
+  id: callId * 10, callId, action: ACTION_INSERTED, state: 1, isIncoming: true, otherPartyCallerId: "+49891234567"
+});
+const ended = (callId) => ({ id: callId * 10, callId, action: ACTION_DELETED });
+
+test("a call keeps its id when its system becomes the default", async () => {
+  const chrome = await startTwoSystems();
+  await frame(chrome, TAB_B, ringing(7));
+  await setDefaultPbx(chrome, "pbx2.example.com");
+  await frame(chrome, TAB_B, ended(7));
+  await frame(chrome, TAB_B, ringing(8));
+
+  assert.deepEqual(callEvents(chrome), [
+    "pbx2.example.com 201 pbx2.example.com/7:offered",
+    "pbx2.example.com 201 pbx2.example.com/7:ended",
+    "pbx2.example.com 201 8:offered"
+  ]);
+});
+
+test("a call of the former default system keeps its id and domain", async () => {
+  const chrome = await startTwoSystems();
+  await frame(chrome, TAB_A, ringing(7));
+  await setDefaultPbx(chrome, "pbx2.example.com");
+  await frame(chrome, TAB_B, ringing(7));
+  await frame(chrome, TAB_A, ended(7));
+
+  assert.deepEqual(callEvents(chrome), [
+    "pbx.example.com 101 7:offered",
+    "pbx2.example.com 201 pbx2.example.com/7:offered",
+    "pbx.example.com 101 7:ended"
+  ]);
+});
@@ -0,0 +1,83 @@
+// 3CX status sync (TEST_PLAN TC-10e): SET_PRESENCE only succeeds once
+// MyExtensionInfo reports the new profile, and a profile list that does not
+// decode leaves the calls of the same frame intact.
+
+import { test, mock, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { dispatchMessage, settle, startServiceWorker } from "./fake-chrome.mjs";
+import { bytes, text, uint, varint, wsBinary } from "./protobuf.mjs";
+
+const TAB = { id: 5, url: "https://pbx.example.com/#/people" };
+
+beforeEach(() => mock.timers.enable({ apis: ["setTimeout"] }));
+afterEach(() => mock.timers.reset());
+
+async function signal(chrome, payload) {
+  dispatchMessage(chrome, { type: "3CX_RAW_SIGNAL", payload }, { tab: TAB, url: TAB.url });
+  await settle();
+}
+
+const PROFILES = {
+  action: 1,
+  items: [{ action: 1, id: 1, name: "Available" }, { action: 1, id: 2, name: "Away" }]
+};
+
+function presenceFrame(currentProfileId, profiles = null) {
+  return { parsed: { messageId: 201, extensionNumber: "101", localConnections: [], presence: { currentProfileId, profiles } } };
+}
+
+function results(chrome, requestId) {
+  return chrome.sent
+    .filter((msg) => msg.payload?.type === "COMMAND_RESULT" && msg.payload.requestId === requestId)
+    .map((msg) => msg.payload.status);
+}
+
+test("SET_PRESENCE succeeds only once the PBX reports the new profile", async () => {
+  const chrome = await startServiceWorker({ tabs: [TAB] });
+  await signal(chrome, presenceFrame(1, PROFILES));
+  dispatchMessage(chrome, {
+    target: "background", type: "BRIDGE_COMMAND", data: { cmd: "SET_PRESENCE", status: "away", requestId: "p-1" }
+  });
+  await settle();
+
+  const [{ msg }] = chrome.tabMessages.filter(({ msg }) => msg.type === "SET_PRESENCE");
+  assert.equal(msg.profile, "Away");
+  await signal(chrome, { kind: "PRESENCE_CLICKED", requestId: "p-1", profile: "Away" });
+  assert.deepEqual(results(chrome, "p-1"), ["accepted"]);
+
+  await signal(chrome, presenceFrame(2));
+  assert.deepEqual(results(chrome, "p-1"), ["accepted", "presence-set"]);
+});
+
+test("a SET_PRESENCE the PBX never reports ends as not-confirmed", async () => {
+  const chrome = await startServiceWorker({ tabs: [TAB] });
+  await signal(chrome, presenceFrame(1, PROFILES));
+  dispatchMessage(chrome, {
+    target: "background", type: "BRIDGE_COMMAND", data: { cmd: "SET_PRESENCE", profile: "Away", requestId: "p-1" }
+  });
+  await settle();
+
+  mock.timers.tick(10_000);
+  await settle();
+  assert.deepEqual(results(chrome, "p-1"), ["accepted", "not-confirmed"]);
+});
+
+test("a profile list of another shape is dropped without losing the frame's call", async () => {
+  const chrome = await startServiceWorker({ tabs: [TAB] });
+  // Field 7 as a varint, as a list with an entry that overruns it and as a
+  // list with an entry without id, then a ringing inbound call in field 18.
+  const connection = [...uint(1, 1), ...uint(2, 11), ...uint(3, 7), ...uint(5, 1), ...uint(12, 1),
+    ...text(11, "+49891234567")];
+  const info = [
+    ...text(3, "101"),
+    ...uint(7, 3),
+    ...bytes(7, [...uint(1, 1), ...varint((2 << 3) | 2), 9, ...uint(2, 2)]),
+    ...bytes(7, [...uint(1, 1), ...bytes(2, [...uint(1, 1), ...text(3, "Away")])]),
+    ...bytes(18, [...uint(1, 3), ...bytes(2, connection)])
+  ];
+  await signal(chrome, wsBinary(201, info));
+
+  const sent = chrome.sent.map((msg) => msg.payload).filter(Boolean);
+  assert.equal(sent.filter((p) => p.type === "PRESENCE").length, 0);
+  assert.deepEqual(sent.filter((p) => p.type === "CALL_EVENT").map((p) => p.call.state), ["offered"]);
+});
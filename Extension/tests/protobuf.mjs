@@ -0,0 +1,27 @@
+// Minimal protobuf writer for the raw 3CX frames page-hook.js forwards
+// (3CX_RAW_SIGNAL WS_BINARY). Each helper returns a plain byte array.
+
+// ActionType of LocalConnections in MyExtensionInfo.
+export const ACTION_INSERTED = 1;
+export const ACTION_UPDATED = 3;
+export const ACTION_DELETED = 4;
+
+export function varint(n) {
+  const out = [];
+  while (n > 0x7f) {
+    out.push((n & 0x7f) | 0x80);
+    n >>>= 7;
+  }
+  out.push(n);
+  return out;
+}
+
+export const uint = (field, value) => [...varint(field << 3), ...varint(value)];
+export const bytes = (field, data) => [...varint((field << 3) | 2), ...varint(data.length), ...data];
+export const text = (field, value) => bytes(field, [...Buffer.from(value)]);
+
+// GenericMessage with its payload in the field named by the message id.
+export function wsBinary(messageId, payload) {
+  const frame = Buffer.from([...uint(1, messageId), ...bytes(messageId, payload)]);
+  return { kind: "WS_BINARY", base64: frame.toString("base64") };
+}
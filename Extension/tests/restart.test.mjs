@@ -0,0 +1,69 @@
+// Service worker restart mid-call (TEST_PLAN TC-12c): the call model is
+// persisted to chrome.storage.session and a fresh background.js instance
+// must finish the call with the same id, direction and end reason.
+
+import { test, mock, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { dispatchMessage, settle, startServiceWorker } from "./fake-chrome.mjs";
+import { ACTION_DELETED, ACTION_INSERTED, ACTION_UPDATED } from "./protobuf.mjs";
+
+beforeEach(() => mock.timers.enable({ apis: ["setTimeout"] }));
+afterEach(() => mock.timers.reset());
+
+function frame(...localConnections) {
+  return {
+    type: "3CX_RAW_SIGNAL",
+    payload: { parsed: { messageId: 201, extensionNumber: "101", localConnections } }
+  };
+}
+
+function callEvents(chrome) {
+  return chrome.sent
+    .filter((msg) => msg.type === "SEND_TO_BRIDGE" && msg.payload?.type === "CALL_EVENT")
+    .map((msg) => msg.payload.call);
+}
+
+const inbound = {
+  id: 11,
+  callId: 7,
+  isIncoming: true,
+  otherPartyCallerId: "+49891234567",
+  otherPartyDisplayName: "Max Mustermann"
+};
+
+test("a call answered before the restart ends with its id, direction and reason", async () => {
+  const storage = { local: { allowedHosts: ["pbx.example.com"] }, session: {}, managed: {} };
+
+  const before = await startServiceWorker({ storage });
+  dispatchMessage(before, frame({ ...inbound, action: ACTION_INSERTED, state: 1 }));
+  await settle();
+  dispatchMessage(before, frame({ id: 11, callId: 7, action: ACTION_UPDATED, state: 3 }));
+  await settle();
+
+  assert.deepEqual(callEvents(before).map((call) => call.state), ["offered", "connected"]);
+  assert.ok(storage.session.callTrackingState, "call state persisted to chrome.storage.session");
+
+  const after = await startServiceWorker({ storage });
+  // The delete only carries the ids, like the real frame.
+  dispatchMessage(after, frame({ id: 11, callId: 7, action: ACTION_DELETED }));
+  await settle();
+
+  const [ended] = callEvents(after);
+  assert.equal(ended.id, "7");
+  assert.equal(ended.state, "ended");
+  assert.equal(ended.direction, "inbound");
+  assert.equal(ended.reason, "remote-hangup");
+  assert.equal(ended.remoteNumber, "+49891234567");
+  assert.equal(ended.remoteName, "Max Mustermann");
+});
+
+test("without the persisted state the same delete is not recognised as that call", async () => {
+  const storage = { local: { allowedHosts: ["pbx.example.com"] }, session: {}, managed: {} };
+
+  const fresh = await startServiceWorker({ storage });
+  dispatchMessage(fresh, frame({ id: 11, callId: 7, action: ACTION_DELETED }));
+  await settle();
+
+  const [ended] = callEvents(fresh);
+  assert.notEqual(ended?.reason, "remote-hangup");
+});
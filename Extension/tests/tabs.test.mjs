@@ -0,0 +1,65 @@
+// Several WebClient tabs (TEST_PLAN TC-13): only the primary tab's frames
+// become events, and focusing another tab makes it the primary once no call
+// is up.
+
+import { test, mock, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { dispatchMessage, settle, startServiceWorker } from "./fake-chrome.mjs";
+import { ACTION_DELETED, ACTION_INSERTED } from "./protobuf.mjs";
+
+const TAB_A = { id: 5, windowId: 1, url: "https://pbx.example.com/#/people" };
+const TAB_B = { id: 6, windowId: 2, url: "https://pbx.example.com/#/people" };
+
+beforeEach(() => mock.timers.enable({ apis: ["setTimeout"] }));
+afterEach(() => mock.timers.reset());
+
+async function frame(chrome, tab, ...localConnections) {
+  dispatchMessage(chrome, {
+    type: "3CX_RAW_SIGNAL",
+    payload: { parsed: { messageId: 201, extensionNumber: "101", localConnections } }
+  }, { tab, url: tab.url });
+  await settle();
+}
+
+async function focus(chrome, tab) {
+  for (const listener of chrome.tabs.onActivated.listeners) listener({ tabId: tab.id, windowId: tab.windowId });
+  await settle();
+}
+
+function callEvents(chrome) {
+  return chrome.sent
+    .filter((msg) => msg.type === "SEND_TO_BRIDGE" && msg.payload?.type === "CALL_EVENT")
+    .map((msg) => `${msg.payload.call.id}:${msg.payload.call.state}`);
+}
+
+const ringing = (callId) => ({
+  id: callId * 10, callId, action: ACTION_INSERTED, state: 1, isIncoming: true, otherPartyCallerId: "+49891234567"
+});
+
+test("a focused tab becomes the primary", async () => {
+  const chrome = await startServiceWorker({ tabs: [TAB_A, TAB_B] });
+  await focus(chrome, TAB_B);
+
+  await frame(chrome, TAB_A, ringing(7));
+  assert.deepEqual(callEvents(chrome), []);
+  await frame(chrome, TAB_B, ringing(7));
+  assert.deepEqual(callEvents(chrome), ["7:offered"]);
+});
+
+test("the switch waits until the PBX's last call has ended", async () => {
+  const chrome = await startServiceWorker({ tabs: [TAB_A, TAB_B] });
+  await frame(chrome, TAB_A, ringing(7));
+  await focus(chrome, TAB_B);
+
+  // A is still the primary while call 7 is up.
+  await frame(chrome, TAB_B, { id: 70, callId: 7, action: ACTION_DELETED });
+  assert.deepEqual(callEvents(chrome), ["7:offered"]);
+  await frame(chrome, TAB_A, { id: 70, callId: 7, action: ACTION_DELETED });
+  assert.equal(callEvents(chrome).length, 2);
+
+  // Now B is.
+  await frame(chrome, TAB_A, ringing(8));
+  assert.equal(callEvents(chrome).length, 2);
+  await frame(chrome, TAB_B, ringing(8));
+  assert.deepEqual(callEvents(chrome).slice(2), ["8:offered"]);
+});